@@ -16,6 +16,10 @@ import { deleteCommand } from './commands/delete.js';
 import { openCommand } from './commands/open.js';
 import { logsCommand } from './commands/logs.js';
 import { dbCommand } from './commands/db.js';
+import { envCommand } from './commands/env.js';
+import { generateCommand } from './commands/generate.js';
+import { addCommand } from './commands/add.js';
+import { configurePrompts } from './utils/prompts.js';
 
 // Read version from package.json
 const __filename = fileURLToPath(import.meta.url);
@@ -30,11 +34,20 @@ program
   .version(packageJson.version)
   .addHelpText('after', '\n' +
     'Repository: https://github.com/bitbonsai/bit2\n' +
-    'Issues:     https://github.com/bitbonsai/bit2/issues');
+    'Issues:     https://github.com/bitbonsai/bit2/issues')
+  .option('--non-interactive', 'Never prompt: fail when a required choice has no flag (automatic when stdin is not a TTY)')
+  .option('-y, --yes', 'Answer yes to confirmations');
+
+// Global flags apply to every command, before it prompts for anything
+program.hook('preAction', (thisCommand) => {
+  configurePrompts(thisCommand.opts());
+});
 
 program
   .command('new <project-name>')
   .description('Create new Astro + libSQL project (auto-installs deps & migrates DB)')
+  .option('--template <template>', 'astro-app (default), minimal, blog, api-only, saas-starter, a local directory or a git URL')
+  .option('--with <features>', 'Comma separated optional features to include (e.g. auth)')
   .action(newCommand);
 
 program
@@ -50,16 +63,35 @@ program
 program
   .command('deploy')
   .description('Deploy to production (first time: full setup, after: git push)')
-  .action(() => deployCommand());
+  .option('--provider <provider>', 'Deployment provider: cloudflare, vercel or netlify')
+  .option('--git-repo', 'Create a GitHub/GitLab repository without asking (when gh or glab is logged in)')
+  .option('--no-git-repo', 'Do not create a GitHub/GitLab repository')
+  .option('--repo-visibility <visibility>', 'Visibility of the created repository: private (default) or public')
+  .option('--direct', 'Build locally and upload with the provider CLI instead of deploying through git')
+  .option('--reveal', 'Print the Turso auth token instead of masking it')
+  .option('--token-expiration <duration>', 'Expiration of the Turso auth token, e.g. 90d (default: never)')
+  .option('--env <name>', 'Deploy an environment from bit2.config, e.g. staging (uploads directly, default: production)')
+  .action((options) => deployCommand(options));
 
 program
-  .command('migrate')
-  .description('Reset local database (useful after schema changes or to restore seed data)')
+  .command('migrate [action] [name]')
+  .description('Database migrations: up (default), new <name>, status, rollback')
+  .option('--steps <n>', 'Number of migrations to roll back (default: 1)')
+  .option('--to <id>', 'Roll back every migration applied after <id> (0 for all)')
+  .option('--force', 'Roll back migrations that have no down section')
+  .option('--dry-run', 'Print the SQL plan without touching the database')
+  .option('--no-backup', 'Skip the automatic backup before applying changes')
+  .option('--seed <profile>', 'Apply a seed profile from src/db/seeds (default: dev, on a fresh database)')
+  .option('--no-seed', 'Do not apply seed data')
+  .option('--seed-random <value>', 'Random seed for generated (JS/TS) seed profiles, for reproducible rows')
+  .option('--env <name>', 'Migrate the Turso database of an environment, e.g. staging or production')
   .action(migrateCommand);
 
 program
   .command('status')
   .description('Check project health, database, and deployment status')
+  .option('--json', 'Print the checks as JSON (exits 1 when a check has status "error")')
+  .option('--env <name>', 'Check the deployment and database of an environment (default: production)')
   .action(statusCommand);
 
 program
@@ -70,24 +102,64 @@ program
 program
   .command('delete [project-name]')
   .description('Delete project and all cloud resources (DB, repo, deployment)')
-  .option('--force', 'Skip confirmation prompt')
+  .option('--force', 'Skip confirmation prompt (same as --yes)')
+  .option('--no-backup', 'Skip the backup of the databases before deleting')
+  .option('--env <name>', 'Delete only the database, keys and secrets of an environment, e.g. staging')
   .action((projectName, options) => deleteCommand(projectName, options));
 
 program
   .command('open')
   .description('Open deployment dashboard in browser (Cloudflare/Vercel/Netlify)')
+  .option('--print', 'Print the dashboard URL instead of opening it')
+  .option('--json', 'Print the provider, dashboard and deployment URLs as JSON')
+  .option('--env <name>', 'Open the dashboard of an environment (default: production)')
   .action(openCommand);
 
 program
   .command('logs')
   .description('Show recent deployment logs (provider-specific)')
+  .option('--json', 'Print the recent deployments as JSON')
+  .option('--env <name>', 'Show the logs of an environment (default: production)')
   .action(logsCommand);
 
 program
-  .command('db [action]')
-  .description('Database management: info (default), shell, token, create')
+  .command('db [action] [name]')
+  .description('Database management: info (default), shell, token [rotate], create, diff, pull, push, backup, restore, backups, types')
+  .option('--sql', 'With diff: print the SQL that reconciles Turso with dev.db')
+  .option('--tables <list>', 'With pull/push: comma separated tables to copy')
+  .option('--schema-only', 'With pull: copy the schema without rows')
+  .option('--truncate', 'With push: delete remote rows before pushing')
+  .option('--force', 'With push/restore/token rotate: skip the confirmation prompt')
+  .option('--target <target>', 'With backup/restore: local (dev.db) or remote (Turso)')
+  .option('--format <format>', 'With backup: db (SQLite file copy, local only) or sql (dump)')
+  .option('--no-backup', 'With restore: skip the backup of the current database')
+  .option('--json', 'With info: print the local and Turso database details as JSON')
+  .option('--reveal', 'With token: print the token instead of masking it')
+  .option('--expiration <duration>', 'With token: expiration such as 30d or 12h (default: never, rotate keeps the current one)')
+  .option('--read-only', 'With token: mint a read-only token (printed, not stored)')
+  .option('--env <name>', 'Use the Turso database of an environment (default: production)')
   .action(dbCommand);
 
+program
+  .command('env [action]')
+  .description('Provider environment variables: diff (default), push, pull')
+  .option('--env-file <file>', 'Env file with extra variables to push/diff, or to pull into (default: envFile from bit2.config, pull: .env)')
+  .option('--env <name>', 'Variables of an environment (default: production)')
+  .action(envCommand);
+
+program
+  .command('generate <type> <name> [fields...]')
+  .alias('g')
+  .description('Scaffold a resource: migration, data access, JSON API, pages and tests (e.g. resource post title:text)')
+  .option('--force', 'Overwrite generated files that already exist')
+  .action(generateCommand);
+
+program
+  .command('add <feature>')
+  .description('Add an optional feature to the project: auth (users, sessions, login/logout/register, middleware)')
+  .option('--force', 'Overwrite feature files that already exist')
+  .action(addCommand);
+
 // Error handling
 program.on('command:*', () => {
   console.error(chalk.red(`Invalid command: ${program.args.join(' ')}`));
@@ -0,0 +1,56 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import { FEATURES, addFeature } from '../utils/features.js';
+import { handleError } from '../utils/errors.js';
+
+export async function addCommand(feature, options = {}) {
+  if (!feature || !FEATURES[feature]) {
+    if (feature) {
+      console.log(chalk.red(`❌ Unknown feature: ${feature}`));
+    }
+    showFeatures();
+    process.exit(1);
+  }
+
+  if (!await fs.pathExists('package.json') || !await fs.pathExists('src/db')) {
+    console.log(chalk.red('❌ Not in a bit2 project directory'));
+    console.log(chalk.gray('Run this command from your project root'));
+    process.exit(1);
+  }
+
+  console.log(`${chalk.yellow('∴')} Adding ${chalk.bold(feature)}: ${FEATURES[feature].description}`);
+  console.log();
+
+  try {
+    const result = await addFeature(feature, process.cwd(), { force: options.force });
+    printFeatureResult(result);
+  } catch (error) {
+    handleError(error);
+  }
+
+  console.log();
+  console.log(chalk.cyan('Next steps:'));
+  console.log(chalk.gray('  • Run: bit2 migrate (applies the new migration and regenerates src/db/types.generated.ts)'));
+  FEATURES[feature].nextSteps.forEach(step => console.log(chalk.gray(`  • ${step}`)));
+}
+
+export function printFeatureResult({ files, migration, sharedFiles }) {
+  if (migration.kept) {
+    console.log(chalk.yellow(`  ⚠ ${migration.file} (kept, edit it or add a new migration for schema changes)`));
+  } else {
+    console.log(chalk.green(`  ✓ ${migration.file}`));
+  }
+  for (const file of [...files, ...sharedFiles]) {
+    console.log(chalk.green(`  ✓ ${file}`));
+  }
+}
+
+function showFeatures() {
+  console.log(chalk.cyan('Usage:'));
+  console.log(chalk.gray('  bit2 add <feature>'));
+  console.log();
+  console.log(chalk.cyan('Features:'));
+  for (const [name, feature] of Object.entries(FEATURES)) {
+    console.log(chalk.gray(`  ${name.padEnd(8)} ${feature.description}`));
+  }
+}
@@ -9,14 +9,7 @@ export async function buildCommand() {
   const spinner = ora(`${chalk.yellow('∴')} Building Astro application...`).start();
   
   try {
-    // Check if we're in a bit2 project
-    const fs = await import('fs-extra');
-    if (!await fs.pathExists('./package.json')) {
-      throw new Error('No package.json found. Are you in a bit2 project?');
-    }
-    
-    // Run the build command
-    const { stdout, stderr } = await execAsync('bun run build');
+    const { stdout, stderr } = await runBuild();
     
     spinner.succeed('Build completed successfully!');
     
@@ -40,4 +33,14 @@ export async function buildCommand() {
     if (error.stderr) console.log(chalk.red(error.stderr));
     process.exit(1);
   }
-}
\ No newline at end of file
+}
+
+// Shared with deploy --direct, which builds before uploading the output itself
+export async function runBuild() {
+  const fs = await import('fs-extra');
+  if (!await fs.pathExists('./package.json')) {
+    throw new Error('No package.json found. Are you in a bit2 project?');
+  }
+
+  return await execAsync('bun run build', { maxBuffer: 10 * 1024 * 1024 });
+}
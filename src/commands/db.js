@@ -2,22 +2,71 @@ import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { TimedSpinner } from '../utils/spinner.js';
+import { localConnection, resolveTursoConnection } from '../utils/database.js';
+import { introspectSchema, diffSchemas, reconcileSql, describeDifference } from '../utils/schema.js';
+import { pullDatabase, planPush, pushDatabase } from '../utils/transfer.js';
+import { createBackup, restoreBackup, listBackups, resolveBackup, formatSize } from '../utils/backup.js';
+import { writeTypesFile } from '../utils/typegen.js';
+import { assumeYes, requireConfirmation, confirm } from '../utils/prompts.js';
+import { printJson, exitWithError } from '../utils/output.js';
+import { setSecrets, secretName, maskSecret, SECRETS_FILE } from '../utils/secrets.js';
+import { parseExpiration, createTursoToken, invalidateTursoTokens, recordTokenMetadata } from '../utils/tokens.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, readDeployment } from '../utils/deployment.js';
+import { pushEnv } from '../utils/provider-env.js';
+import { createError, ErrorCodes } from '../utils/errors.js';
+import { loadConfig } from '../utils/config.js';
 
 const execAsync = promisify(exec);
 
-export async function dbCommand(action, options = {}) {
+export async function dbCommand(action, name, options = {}) {
   try {
     const fs = await import('fs-extra');
     
-    // Get project name
-    let projectName;
-    if (await fs.pathExists('package.json')) {
-      const packageJson = await fs.readJson('package.json');
-      projectName = packageJson.name;
-    } else {
-      console.log(chalk.red('❌ Not in a project directory'));
-      console.log(chalk.gray('Run this command from your project root'));
-      process.exit(1);
+    if (!await fs.pathExists('package.json')) {
+      exitWithError('Not in a project directory', ['Run this command from your project root'], { json: options.json });
+    }
+    
+    // Paths and the Turso database name come from bit2.config, with defaults for projects without one.
+    // --env staging works on the database of the staging environment.
+    let config;
+    try {
+      config = await loadConfig(process.cwd(), { env: options.env });
+    } catch (error) {
+      if (options.json) {
+        exitWithError(error.message, error.recoverySteps, { json: true });
+      }
+      reportDatabaseError(error);
+    }
+    const databaseName = config.database.name;
+    
+    // These connect with the credentials in .env.bit2, so they don't need a Turso login
+    if (action === 'diff') {
+      await diffDatabases(config, options);
+      return;
+    } else if (action === 'pull') {
+      await pullFromTurso(config, options);
+      return;
+    } else if (action === 'push') {
+      await pushToTurso(config, options);
+      return;
+    } else if (action === 'backup') {
+      await backupDatabase(config, options);
+      return;
+    } else if (action === 'restore') {
+      await restoreDatabase(config, name, options);
+      return;
+    } else if (action === 'backups') {
+      await showBackups(config);
+      return;
+    } else if (action === 'types') {
+      await generateDatabaseTypes(config);
+      return;
+    }
+    
+    // With --json a missing Turso login is part of the document instead of stopping here
+    if ((!action || action === 'info') && options.json) {
+      await printDatabaseInfoJson(config);
+      return;
     }
     
     // Check Turso authentication
@@ -32,13 +81,15 @@ export async function dbCommand(action, options = {}) {
     }
     
     if (!action || action === 'info') {
-      await showDatabaseInfo(projectName);
+      await showDatabaseInfo(config);
     } else if (action === 'shell') {
-      await openDatabaseShell(projectName);
+      await openDatabaseShell(databaseName);
     } else if (action === 'create') {
-      await createDatabase(projectName);
+      await createDatabase(config);
+    } else if (action === 'token' && name === 'rotate') {
+      await rotateAuthToken(config, options);
     } else if (action === 'token') {
-      await generateAuthToken(projectName);
+      await generateAuthToken(config, options);
     } else {
       console.log(chalk.red('❌ Unknown action'));
       console.log();
@@ -47,28 +98,26 @@ export async function dbCommand(action, options = {}) {
     }
     
   } catch (error) {
+    if (options.json) {
+      exitWithError(`Database command failed: ${error.message}`, [], { json: true });
+    }
     console.error(chalk.red('❌ Database command failed:'), error.message);
     process.exit(1);
   }
 }
 
-async function showDatabaseInfo(projectName) {
-  console.log(`${chalk.cyan('📊 Database Information')}`);
+async function showDatabaseInfo(config) {
+  const databaseName = config.database.name;
+  const envFlag = environmentFlag(config.environment);
+  console.log(`${chalk.cyan('📊 Database Information')} ${chalk.gray(`(${config.environment})`)}`);
   console.log();
   
-  const fs = await import('fs-extra');
-  
   // Local database info
-  const hasLocalDb = await fs.pathExists('dev.db');
+  const local = await getLocalDatabaseInfo(config);
   console.log(chalk.yellow('Local Database:'));
-  if (hasLocalDb) {
-    try {
-      const stats = await fs.stat('dev.db');
-      console.log(chalk.gray(`  File: ./dev.db (${(stats.size / 1024).toFixed(1)} KB)`));
-      console.log(chalk.gray(`  Modified: ${stats.mtime.toLocaleDateString()}`));
-    } catch {
-      console.log(chalk.gray('  File: ./dev.db'));
-    }
+  if (local.exists) {
+    console.log(chalk.gray(`  File: ./${local.path} (${(local.sizeBytes / 1024).toFixed(1)} KB)`));
+    console.log(chalk.gray(`  Modified: ${new Date(local.modifiedAt).toLocaleDateString()}`));
   } else {
     console.log(chalk.gray('  No local database (run: bit2 migrate)'));
   }
@@ -77,37 +126,25 @@ async function showDatabaseInfo(projectName) {
   // Turso database info
   console.log(chalk.yellow('Turso Database:'));
   const spinner = new TimedSpinner('Checking Turso database');
+  const turso = await getTursoDatabaseInfo(databaseName);
   
-  try {
-    // Check if database exists
-    await execAsync(`turso db show ${projectName}`);
-    
-    // Get database URL
-    const { stdout: dbUrl } = await execAsync(`turso db show --url ${projectName}`);
-    
-    // Get database info
-    const { stdout: dbInfo } = await execAsync(`turso db show ${projectName}`);
-    
+  if (turso.exists) {
     spinner.succeed('Connected to Turso');
     
-    console.log(chalk.gray(`  Name: ${projectName}`));
-    console.log(chalk.gray(`  URL: ${dbUrl.trim()}`));
-    
-    // Parse additional info from dbInfo if available
-    const locationMatch = dbInfo.match(/Location: (.+)/);
-    if (locationMatch) {
-      console.log(chalk.gray(`  Location: ${locationMatch[1]}`));
+    console.log(chalk.gray(`  Name: ${turso.name}`));
+    console.log(chalk.gray(`  URL: ${turso.url}`));
+    if (turso.location) {
+      console.log(chalk.gray(`  Location: ${turso.location}`));
     }
     
     console.log();
     console.log(chalk.cyan('🔑 Database Credentials:'));
-    console.log(chalk.gray('  Database URL: ') + chalk.white(`${dbUrl.trim()}`));
-    console.log(chalk.gray('  Auth Token: ') + chalk.yellow('Use "bit2 db token" to generate'));
-    
-  } catch (error) {
+    console.log(chalk.gray('  Database URL: ') + chalk.white(turso.url));
+    console.log(chalk.gray('  Auth Token: ') + chalk.yellow(`Use "bit2 db token${envFlag}" to generate`));
+  } else {
     spinner.stop();
-    console.log(chalk.gray(`  Database "${projectName}" not found`));
-    console.log(chalk.gray('  Run: bit2 db create'));
+    console.log(chalk.gray(`  Database "${databaseName}" not found`));
+    console.log(chalk.gray(`  Run: bit2 db create${envFlag}`));
   }
   
   console.log();
@@ -116,18 +153,392 @@ async function showDatabaseInfo(projectName) {
   console.log(chalk.gray('  bit2 db shell   - Open database shell'));
   console.log(chalk.gray('  bit2 db token   - Generate auth token'));
   console.log(chalk.gray('  bit2 db create  - Create Turso database'));
+  console.log(chalk.gray('  bit2 db diff    - Compare dev.db and Turso schemas'));
+  console.log(chalk.gray('  bit2 db pull    - Copy Turso into dev.db'));
+  console.log(chalk.gray('  bit2 db push    - Copy dev.db rows into Turso'));
+  console.log(chalk.gray('  bit2 db backup  - Back up dev.db (--target remote for Turso)'));
+  console.log(chalk.gray('  bit2 db backups - List backups'));
+  console.log(chalk.gray('  bit2 db types   - Generate TypeScript types from dev.db'));
+  console.log();
+}
+
+// The --json schema of `bit2 db info`; exits non-zero when the Turso CLI isn't logged in
+async function printDatabaseInfoJson(config) {
+  const databaseName = config.database.name;
+  let authenticated = true;
+  try {
+    await execAsync('turso auth whoami');
+  } catch {
+    authenticated = false;
+  }
+  
+  const turso = authenticated
+    ? await getTursoDatabaseInfo(databaseName)
+    : { name: databaseName, exists: null, url: null, location: null };
+  
+  printJson({
+    projectName: config.name,
+    environment: config.environment,
+    local: await getLocalDatabaseInfo(config),
+    turso: { authenticated, ...turso }
+  });
+  if (!authenticated) {
+    process.exitCode = 1;
+  }
+}
+
+async function getLocalDatabaseInfo(config) {
+  const fs = await import('fs-extra');
+  const file = config.paths.database;
+  if (!await fs.pathExists(file)) {
+    return { path: file, exists: false, sizeBytes: null, modifiedAt: null };
+  }
+  
+  const stats = await fs.stat(file);
+  return { path: file, exists: true, sizeBytes: stats.size, modifiedAt: stats.mtime.toISOString() };
+}
+
+async function getTursoDatabaseInfo(databaseName) {
+  try {
+    const { stdout: dbInfo } = await execAsync(`turso db show ${databaseName}`);
+    const { stdout: dbUrl } = await execAsync(`turso db show --url ${databaseName}`);
+    const locationMatch = dbInfo.match(/Location: (.+)/);
+    
+    return {
+      name: databaseName,
+      exists: true,
+      url: dbUrl.trim(),
+      location: locationMatch ? locationMatch[1].trim() : null
+    };
+  } catch (error) {
+    return { name: databaseName, exists: false, url: null, location: null };
+  }
+}
+
+async function diffDatabases(config, options = {}) {
+  const fs = await import('fs-extra');
+  const databaseName = config.database.name;
+  
+  console.log(chalk.cyan(`🔍 Comparing schemas: ${config.paths.database} → Turso (${databaseName})`));
+  console.log();
+  
+  if (!await fs.pathExists(config.paths.database)) {
+    console.log(chalk.red('❌ No local database found'));
+    console.log(chalk.gray('Run: bit2 migrate'));
+    process.exit(1);
+  }
+  
+  const spinner = new TimedSpinner('Reading schemas');
+  
+  let local;
+  let remote;
+  try {
+    local = await introspectSchema(localConnection(process.cwd(), config.paths.database));
+    remote = await introspectSchema(await resolveTursoConnection(databaseName, process.cwd(), config.environment));
+    spinner.succeed('Schemas loaded');
+  } catch (error) {
+    spinner.fail('Could not read schemas');
+    reportDatabaseError(error);
+  }
+  
+  const differences = diffSchemas(local, remote);
+  console.log();
+  
+  if (differences.length === 0) {
+    console.log(chalk.green('✅ No schema drift: dev.db and Turso match'));
+    return;
+  }
+  
+  console.log(chalk.yellow(`⚠ ${differences.length} difference(s) found:`));
+  differences.forEach(diff => {
+    const symbol = diff.change === 'missing' ? chalk.red('-') : diff.change === 'extra' ? chalk.green('+') : chalk.yellow('~');
+    console.log(`  ${symbol} ${describeDifference(diff)}`);
+  });
+  console.log();
+  
+  if (options.sql) {
+    console.log(chalk.cyan('SQL to reconcile Turso with dev.db:'));
+    console.log();
+    reconcileSql(differences, local).forEach(statement => {
+      console.log(statement);
+    });
+    console.log();
+    console.log(chalk.gray('Review it before running it against Turso (bit2 db shell)'));
+  } else {
+    console.log(chalk.gray(`Run ${chalk.bold('bit2 db diff --sql')} to print the SQL that reconciles them`));
+  }
+  
+  // Non-zero exit so scripts and CI can detect drift
+  process.exitCode = 1;
+}
+
+async function pullFromTurso(config, options = {}) {
+  const { tables, schemaOnly } = options;
+  const databaseName = config.database.name;
+  
+  console.log(chalk.cyan(`⬇️  Pulling Turso database (${databaseName}) into ${config.paths.database}`));
+  if (tables) {
+    console.log(chalk.gray(`  Tables: ${tables}`));
+  }
+  console.log();
+  
+  const spinner = new TimedSpinner('Connecting to Turso');
+  
+  try {
+    const remote = await resolveTursoConnection(databaseName, process.cwd(), config.environment);
+    spinner.updateText(schemaOnly ? 'Copying schema' : 'Copying tables');
+    
+    const copied = await pullDatabase(remote, localConnection(process.cwd(), config.paths.database), {
+      tables,
+      schemaOnly,
+      onProgress: (table, rows, total) => {
+        spinner.updateText(`Copying ${table} (${rows}/${total} rows)`);
+      }
+    });
+    
+    spinner.succeed(`Pulled ${copied.length} table(s)${schemaOnly ? ' (schema only)' : ''}`);
+    copied.forEach(table => {
+      console.log(chalk.gray(`  ✓ ${table}`));
+    });
+    console.log();
+    console.log(chalk.green('✅ Pull completed successfully!'));
+  } catch (error) {
+    spinner.fail('Pull failed');
+    reportDatabaseError(error);
+  }
+}
+
+async function pushToTurso(config, options = {}) {
+  const { tables, truncate } = options;
+  const databaseName = config.database.name;
+  const local = localConnection(process.cwd(), config.paths.database);
+  const force = options.force || assumeYes();
+  
+  if (!force) {
+    try {
+      requireConfirmation('push confirmation', ['--force', '--yes']);
+    } catch (error) {
+      reportDatabaseError(error);
+    }
+  }
+  
+  console.log(chalk.cyan(`⬆️  Pushing ${config.paths.database} rows to Turso database (${databaseName})`));
+  console.log();
+  
+  const fs = await import('fs-extra');
+  if (!await fs.pathExists(config.paths.database)) {
+    console.log(chalk.red('❌ No local database found'));
+    console.log(chalk.gray('Run: bit2 migrate'));
+    process.exit(1);
+  }
+  
+  const spinner = new TimedSpinner('Comparing databases');
+  
+  let remote;
+  let plan;
+  try {
+    remote = await resolveTursoConnection(databaseName, process.cwd(), config.environment);
+    plan = await planPush(local, remote, tables);
+    spinner.succeed('Push planned');
+  } catch (error) {
+    spinner.fail('Could not plan push');
+    reportDatabaseError(error);
+  }
+  
+  if (plan.missing.length > 0) {
+    console.log(chalk.red(`❌ Table(s) missing on Turso: ${plan.missing.join(', ')}`));
+    const migrate = config.environment === DEFAULT_ENVIRONMENT ? 'NODE_ENV=production bit2 migrate' : `bit2 migrate --env ${config.environment}`;
+    console.log(chalk.gray(`Run: ${migrate} (or ${chalk.bold(`bit2 db diff --sql${environmentFlag(config.environment)}`)})`));
+    process.exit(1);
+  }
+  
+  console.log();
+  plan.tables.forEach(table => {
+    console.log(chalk.white(`  • ${table.name}: ${table.rows} row(s)`));
+    if (table.skippedColumns.length > 0) {
+      console.log(chalk.yellow(`    ⚠ Not on Turso, skipped: ${table.skippedColumns.join(', ')}`));
+    }
+  });
+  console.log();
+  
+  if (truncate) {
+    console.log(chalk.red(`⚠️  Existing rows in these tables on Turso will be deleted first (--truncate)`));
+  } else {
+    console.log(chalk.yellow('Rows with an existing primary key on Turso will be replaced'));
+  }
+  
+  if (!force) {
+    const confirmed = await confirm(`Write to Turso database "${databaseName}"? (y/N): `);
+    if (!confirmed) {
+      console.log(chalk.yellow('Push cancelled.'));
+      process.exit(0);
+    }
+  }
+  
+  const pushSpinner = new TimedSpinner(truncate ? 'Truncating remote tables' : 'Pushing rows');
+  try {
+    await pushDatabase(local, remote, plan, {
+      truncate,
+      onProgress: (table, rows, total) => {
+        pushSpinner.updateText(`Pushing ${table} (${rows}/${total} rows)`);
+      }
+    });
+    const totalRows = plan.tables.reduce((sum, table) => sum + table.rows, 0);
+    pushSpinner.succeed(`Pushed ${totalRows} row(s) in ${plan.tables.length} table(s)`);
+    console.log();
+    console.log(chalk.green('✅ Push completed successfully!'));
+  } catch (error) {
+    pushSpinner.fail('Push failed');
+    reportDatabaseError(error);
+  }
+}
+
+async function backupDatabase(config, options = {}) {
+  const target = options.target || 'local';
+  const databaseName = config.database.name;
+  if (!['local', 'remote'].includes(target)) {
+    console.log(chalk.red(`❌ Unknown target "${target}" (use local or remote)`));
+    process.exit(1);
+  }
+  
+  const spinner = new TimedSpinner(`Backing up ${target === 'local' ? config.paths.database : `Turso database (${databaseName})`}`);
+  
+  try {
+    const connection = target === 'local' ? await requireLocalDatabase(config, spinner) : await resolveTursoConnection(databaseName, process.cwd(), config.environment);
+    const backup = await createBackup(connection, { target, format: options.format, dir: config.paths.backups });
+    spinner.succeed(`Backup created (${formatSize(backup.size)})`);
+    console.log(chalk.gray(`  ${backup.file}`));
+    console.log();
+    console.log(chalk.gray(`Restore with: ${chalk.bold(`bit2 db restore ${backup.name}`)}`));
+  } catch (error) {
+    spinner.fail('Backup failed');
+    reportDatabaseError(error);
+  }
+}
+
+async function restoreDatabase(config, name, options = {}) {
+  const databaseName = config.database.name;
+  if (!name) {
+    console.log(chalk.red('❌ Backup name is required'));
+    console.log(chalk.gray('Usage: bit2 db restore <backup> (see: bit2 db backups)'));
+    process.exit(1);
+  }
+  
+  const force = options.force || assumeYes();
+  let backup;
+  try {
+    if (!force) {
+      requireConfirmation('restore confirmation', ['--force', '--yes']);
+    }
+    backup = await resolveBackup(name, config.paths.backups);
+  } catch (error) {
+    reportDatabaseError(error);
+  }
+  
+  // Restore to where the backup was taken from unless --target says otherwise
+  const target = options.target || backup.target || 'local';
+  const targetLabel = target === 'local' ? config.paths.database : `Turso database (${databaseName})`;
+  
+  console.log(chalk.cyan(`♻️  Restoring ${backup.file} into ${targetLabel}`));
+  console.log();
+  console.log(chalk.red(`⚠️  The current contents of ${targetLabel} will be replaced`));
+  
+  if (!force) {
+    const confirmed = await confirm(`Restore into ${targetLabel}? (y/N): `);
+    if (!confirmed) {
+      console.log(chalk.yellow('Restore cancelled.'));
+      process.exit(0);
+    }
+  }
+  
+  const spinner = new TimedSpinner('Connecting');
+  
+  try {
+    const connection = target === 'local'
+      ? localConnection(process.cwd(), config.paths.database)
+      : await resolveTursoConnection(databaseName, process.cwd(), config.environment);
+    
+    // Keep the state being overwritten, unless there is nothing to keep
+    const fs = await import('fs-extra');
+    if (options.backup !== false && (target === 'remote' || await fs.pathExists(config.paths.database))) {
+      spinner.updateText('Backing up current database');
+      const safety = await createBackup(connection, { target, label: 'pre-restore', dir: config.paths.backups });
+      console.log(chalk.gray(`  Current database saved to ${safety.file}`));
+    }
+    
+    spinner.updateText('Restoring backup');
+    await restoreBackup(backup.file, connection, { target });
+    spinner.succeed(`Restored ${targetLabel}`);
+    console.log();
+    console.log(chalk.green('✅ Restore completed successfully!'));
+  } catch (error) {
+    spinner.fail('Restore failed');
+    reportDatabaseError(error);
+  }
+}
+
+async function showBackups(config) {
+  const backups = await listBackups(config.paths.backups);
+  
+  console.log(chalk.cyan(`🗂️  Backups in ${config.paths.backups}`));
+  console.log();
+  
+  if (backups.length === 0) {
+    console.log(chalk.gray('  No backups yet (run: bit2 db backup)'));
+    console.log();
+    return;
+  }
+  
+  backups.forEach(backup => {
+    const target = backup.target === 'local' ? config.paths.database : 'Turso';
+    const label = backup.label ? chalk.yellow(` ${backup.label}`) : '';
+    console.log(`  ${chalk.white(backup.name)}`);
+    console.log(chalk.gray(`    ${target}, ${formatSize(backup.size)}, ${backup.createdAt.toLocaleString()}`) + label);
+  });
+  console.log();
+  console.log(chalk.gray(`Restore with: ${chalk.bold('bit2 db restore <backup>')}`));
   console.log();
 }
 
-async function openDatabaseShell(projectName) {
-  console.log(chalk.cyan(`🗄️  Opening database shell for ${projectName}`));
+async function generateDatabaseTypes(config) {
+  const spinner = new TimedSpinner(`Generating TypeScript types from ${config.paths.database}`);
+  
+  try {
+    const { file, changed } = await writeTypesFile(await requireLocalDatabase(config, spinner), config.paths.types);
+    spinner.succeed(changed ? `Types written to ${file}` : `Types are up to date (${file})`);
+  } catch (error) {
+    spinner.fail('Type generation failed');
+    reportDatabaseError(error);
+  }
+}
+
+async function requireLocalDatabase(config, spinner) {
+  const fs = await import('fs-extra');
+  if (!await fs.pathExists(config.paths.database)) {
+    spinner.fail('No local database found');
+    console.log(chalk.gray('Run: bit2 migrate'));
+    process.exit(1);
+  }
+  return localConnection(process.cwd(), config.paths.database);
+}
+
+function reportDatabaseError(error) {
+  console.error(chalk.red('❌'), error.message);
+  error.recoverySteps?.forEach(step => {
+    console.log(chalk.gray(`  • ${step}`));
+  });
+  process.exit(Number.isInteger(error.code) ? error.code : 1);
+}
+
+async function openDatabaseShell(databaseName) {
+  console.log(chalk.cyan(`🗄️  Opening database shell for ${databaseName}`));
   console.log(chalk.gray('Type .exit to close the shell'));
   console.log();
   
   try {
     // Use spawn to allow interactive shell
     const { spawn } = await import('child_process');
-    const shell = spawn('turso', ['db', 'shell', projectName], {
+    const shell = spawn('turso', ['db', 'shell', databaseName], {
       stdio: 'inherit',
       shell: true
     });
@@ -148,34 +559,41 @@ async function openDatabaseShell(projectName) {
   }
 }
 
-async function createDatabase(projectName) {
-  console.log(chalk.cyan(`🗄️  Creating Turso database: ${projectName}`));
+async function createDatabase(config) {
+  const { name: databaseName, org } = config.database;
+  console.log(chalk.cyan(`🗄️  Creating Turso database: ${databaseName}`));
   console.log();
   
   const spinner = new TimedSpinner('Creating database');
   
   try {
+    // The Turso CLI creates databases in its current organization
+    if (org) {
+      await execAsync(`turso org switch ${org}`);
+    }
+    
     // Check if database already exists
     try {
-      await execAsync(`turso db show ${projectName}`);
+      await execAsync(`turso db show ${databaseName}`);
       spinner.warn('Database already exists');
-      console.log(chalk.yellow(`Database "${projectName}" already exists`));
+      console.log(chalk.yellow(`Database "${databaseName}" already exists`));
       return;
     } catch {
       // Database doesn't exist, proceed with creation
     }
     
     // Create database
-    await execAsync(`turso db create ${projectName}`);
+    await execAsync(`turso db create ${databaseName}`);
     spinner.succeed('Database created');
     
     console.log();
-    console.log(chalk.green(`✅ Database "${projectName}" created successfully`));
+    console.log(chalk.green(`✅ Database "${databaseName}" created successfully`));
     console.log();
     console.log(chalk.cyan('Next steps:'));
-    console.log(chalk.gray('  • Run: bit2 db info (to see connection details)'));
-    console.log(chalk.gray('  • Run: bit2 db shell (to open SQL shell)'));
-    console.log(chalk.gray('  • Run: bit2 deploy (to set up production deployment)'));
+    const envFlag = environmentFlag(config.environment);
+    console.log(chalk.gray(`  • Run: bit2 db info${envFlag} (to see connection details)`));
+    console.log(chalk.gray(`  • Run: bit2 db shell${envFlag} (to open SQL shell)`));
+    console.log(chalk.gray(`  • Run: bit2 deploy${envFlag} (to set up the ${config.environment} deployment)`));
     console.log();
     
   } catch (error) {
@@ -185,60 +603,159 @@ async function createDatabase(projectName) {
   }
 }
 
-async function generateAuthToken(projectName) {
-  console.log(chalk.cyan(`🔑 Generating auth token for ${projectName}`));
+// The token replaces the one in the secrets store, output is masked unless --reveal.
+// Read-only tokens are for other tools, so they are printed and never stored.
+async function generateAuthToken(config, options = {}) {
+  const { expiration = 'never', readOnly = false, reveal = false } = options;
+  const { environment } = config;
+  const databaseName = config.database.name;
+  const envFlag = environmentFlag(environment);
+  try {
+    parseExpiration(expiration);
+    if (readOnly && !reveal) {
+      throw createError('Read-only tokens are not stored, so they have to be printed', ErrorCodes.INVALID_INPUT, [
+        `Run: bit2 db token --read-only --reveal${envFlag}`
+      ]);
+    }
+  } catch (error) {
+    reportDatabaseError(error);
+  }
+  
+  console.log(chalk.cyan(`🔑 Generating ${readOnly ? 'read-only ' : ''}auth token for ${databaseName}`));
   console.log();
   
   const spinner = new TimedSpinner('Generating token');
   
   try {
     // Check if database exists
-    await execAsync(`turso db show ${projectName}`);
+    await execAsync(`turso db show ${databaseName}`);
     
     // Generate token
-    const { stdout: token } = await execAsync(`turso db tokens create ${projectName}`);
+    const { token, metadata } = await createTursoToken(databaseName, { expiration, readOnly });
+    if (readOnly) {
+      spinner.succeed('Read-only token generated');
+    } else {
+      await setSecrets({ [secretName(environment, 'TURSO_AUTH_TOKEN')]: token });
+      await recordTokenMetadata(metadata, environment);
+      spinner.succeed(`Token generated and saved encrypted to ${SECRETS_FILE}`);
+    }
     
-    spinner.succeed('Token generated');
+    // Get database URL
+    const { stdout: dbUrl } = await execAsync(`turso db show --url ${databaseName}`);
+    const shownToken = reveal ? token : maskSecret(token);
     
     console.log();
     console.log(chalk.yellow('🔑 Database Credentials:'));
     console.log();
-    
-    // Get database URL
-    const { stdout: dbUrl } = await execAsync(`turso db show --url ${projectName}`);
-    
     console.log(chalk.gray('Database URL:'));
     console.log(chalk.white(`${dbUrl.trim()}`));
     console.log();
-    
     console.log(chalk.gray('Auth Token:'));
-    console.log(chalk.white(`${token.trim()}`));
-    console.log();
-    
-    console.log(chalk.cyan('💡 Environment Variables:'));
-    console.log(chalk.gray('Add these to your deployment platform:'));
-    console.log();
-    console.log(chalk.yellow('TURSO_DATABASE_URL=') + chalk.white(`${dbUrl.trim()}`));
-    console.log(chalk.yellow('TURSO_AUTH_TOKEN=') + chalk.white(`${token.trim()}`));
+    console.log(chalk.white(shownToken));
+    console.log(chalk.gray(metadata.TOKEN_EXPIRES_AT ? `Expires: ${new Date(metadata.TOKEN_EXPIRES_AT).toLocaleString()}` : 'Never expires'));
     console.log();
     
-    // Check if .env.bit2 exists and show where to find these values
-    const fs = await import('fs-extra');
-    if (await fs.pathExists('.env.bit2')) {
-      console.log(chalk.gray('💡 These values are also saved in your .env.bit2 file'));
+    if (!readOnly) {
+      console.log(chalk.cyan('💡 Environment Variables:'));
+      console.log(chalk.gray(`Set them on your deployment platform with: ${chalk.bold(`bit2 env push${envFlag}`)}`));
+      console.log();
+      console.log(chalk.yellow('TURSO_DATABASE_URL=') + chalk.white(`${dbUrl.trim()}`));
+      console.log(chalk.yellow('TURSO_AUTH_TOKEN=') + chalk.white(shownToken));
       console.log();
     }
     
   } catch (error) {
     spinner.fail('Token generation failed');
-    if (error.message.includes('not found')) {
-      console.log(chalk.red(`❌ Database "${projectName}" not found`));
-      console.log(chalk.gray('Run: bit2 db create'));
-    } else {
-      console.error(chalk.red('❌ Failed to generate token:'), error.message);
+    reportTokenError(error, databaseName, envFlag);
+  }
+}
+
+// Turso can only invalidate every token of a database at once, and that includes any token
+// minted before, so the old tokens go first and the new one is minted, stored and pushed after
+async function rotateAuthToken(config, options = {}) {
+  const { environment } = config;
+  const databaseName = config.database.name;
+  const envFlag = environmentFlag(environment);
+  const deployment = await readDeployment(environment);
+  const expiration = options.expiration || deployment.TOKEN_EXPIRATION || 'never';
+  try {
+    parseExpiration(expiration);
+    if (options.readOnly) {
+      throw createError('The deployment token cannot be read-only', ErrorCodes.INVALID_INPUT, [
+        `Run: bit2 db token rotate${envFlag} (without --read-only)`
+      ]);
     }
-    process.exit(1);
+  } catch (error) {
+    reportDatabaseError(error);
+  }
+  
+  console.log(chalk.cyan(`🔄 Rotating auth tokens of ${databaseName}`));
+  console.log(chalk.yellow('⚠ Every existing token of this database stops working, including the one of the running deployment'));
+  console.log();
+  
+  if (!options.force) {
+    let confirmed;
+    try {
+      confirmed = await confirm('Invalidate all tokens and mint a new one? (y/N): ', { choice: 'rotate confirmation', flags: ['--force', '--yes'] });
+    } catch (error) {
+      reportDatabaseError(error);
+    }
+    if (!confirmed) {
+      console.log(chalk.gray('Rotation cancelled'));
+      return;
+    }
+  }
+  
+  let spinner = new TimedSpinner('Invalidating old tokens');
+  let token;
+  try {
+    await invalidateTursoTokens(databaseName);
+    spinner.succeed('Old tokens invalidated');
+    
+    spinner = new TimedSpinner('Minting new token');
+    const created = await createTursoToken(databaseName, { expiration });
+    token = created.token;
+    await setSecrets({ [secretName(environment, 'TURSO_AUTH_TOKEN')]: token });
+    await recordTokenMetadata({ ...created.metadata, TOKEN_ROTATED_AT: created.metadata.TOKEN_CREATED_AT }, environment);
+    spinner.succeed(`New token saved encrypted to ${SECRETS_FILE}`);
+    console.log(chalk.gray(`  ${options.reveal ? token : maskSecret(token)}`));
+  } catch (error) {
+    spinner.fail('Token rotation failed');
+    reportTokenError(error, databaseName, envFlag);
+  }
+  
+  const { PROVIDER: provider, PROJECT_NAME: projectName } = deployment;
+  if (!provider || !projectName) {
+    console.log();
+    console.log(chalk.yellow('⚠ No deployment found, set TURSO_AUTH_TOKEN wherever the old token was used'));
+    return;
+  }
+  
+  spinner = new TimedSpinner(`Setting TURSO_AUTH_TOKEN on ${provider}`);
+  try {
+    await pushEnv(provider, projectName, { TURSO_AUTH_TOKEN: token }, environment);
+    spinner.succeed(`TURSO_AUTH_TOKEN updated on ${provider}`);
+  } catch (error) {
+    spinner.fail(`Could not update ${provider}: ${error.message}`);
+    console.log(chalk.gray(`  Run: ${chalk.bold(`bit2 env push${envFlag}`)} once the provider CLI works`));
+  }
+  
+  console.log();
+  console.log(chalk.cyan('💡 Redeploy so the running app uses the new token:'), chalk.bold(`bit2 deploy${envFlag}`));
+  console.log();
+}
+
+function reportTokenError(error, databaseName, envFlag) {
+  if (error.recoverySteps) {
+    reportDatabaseError(error);
+  }
+  if (error.message.includes('not found')) {
+    console.log(chalk.red(`❌ Database "${databaseName}" not found`));
+    console.log(chalk.gray(`Run: bit2 db create${envFlag}`));
+  } else {
+    console.error(chalk.red('❌ Failed to generate token:'), error.message);
   }
+  process.exit(1);
 }
 
 function showUsage() {
@@ -247,7 +764,15 @@ function showUsage() {
   console.log(chalk.yellow('Actions:'));
   console.log(chalk.gray('  info    - Show database information (default)'));
   console.log(chalk.gray('  shell   - Open interactive database shell'));
-  console.log(chalk.gray('  token   - Generate auth token for production'));
+  console.log(chalk.gray('  token   - Generate auth token for production (--expiration 30d, --read-only, --reveal)'));
+  console.log(chalk.gray('  token rotate - Invalidate all tokens, store a new one and update the provider'));
   console.log(chalk.gray('  create  - Create new Turso database'));
+  console.log(chalk.gray('  diff    - Show schema drift between dev.db and Turso (--sql for a fix)'));
+  console.log(chalk.gray('  pull    - Copy the Turso database into dev.db (--tables, --schema-only)'));
+  console.log(chalk.gray('  push    - Copy dev.db rows into Turso (--tables, --truncate, --force)'));
+  console.log(chalk.gray('  backup  - Back up dev.db or Turso to .bit2/backups (--target, --format)'));
+  console.log(chalk.gray('  restore - Restore a backup: bit2 db restore <backup> (--target, --force)'));
+  console.log(chalk.gray('  backups - List backups with their sizes'));
+  console.log(chalk.gray('  types   - Generate src/db/types.generated.ts from dev.db'));
   console.log();
 }
\ No newline at end of file
@@ -2,14 +2,45 @@ import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { TimedSpinner } from '../utils/spinner.js';
-import readline from 'readline';
+import os from 'os';
+import { localConnection, resolveTursoConnection } from '../utils/database.js';
+import { createBackup, BACKUPS_DIR } from '../utils/backup.js';
+import { createError, ErrorCodes, handleError } from '../utils/errors.js';
+import { assumeYes, requireConfirmation, ask } from '../utils/prompts.js';
+import { loadConfig } from '../utils/config.js';
+import { DEFAULT_ENVIRONMENT, readDeployment, listDeployedEnvironments, removeDeployment } from '../utils/deployment.js';
+import { removeEnvironmentSecrets } from '../utils/secrets.js';
 
 const execAsync = promisify(exec);
 
+// Provider projects are never deleted by bit2, these are where to do it
+const PROVIDER_DASHBOARDS = {
+  cloudflare: 'https://dash.cloudflare.com/',
+  vercel: 'https://vercel.com/dashboard',
+  netlify: 'https://app.netlify.com'
+};
+
 export async function deleteCommand(projectName, options = {}) {
-  const { force } = options;
+  const { backup = true } = options;
+  const force = options.force || assumeYes();
+  const environment = options.env || DEFAULT_ENVIRONMENT;
+  
+  if (options.env === DEFAULT_ENVIRONMENT) {
+    handleError(createError('bit2 delete --env only deletes named environments', ErrorCodes.INVALID_INPUT, [
+      'Delete production, every environment and the project files with: bit2 delete'
+    ]));
+  }
+  
+  // Typing the project name can't happen in scripts: fail before anything is looked up
+  if (!force) {
+    try {
+      requireConfirmation('deletion confirmation', ['--force', '--yes']);
+    } catch (error) {
+      handleError(error);
+    }
+  }
   
-  console.log(`${chalk.yellow('∴')} Delete bit2 project and infrastructure`);
+  console.log(`${chalk.yellow('∴')} ${environment === DEFAULT_ENVIRONMENT ? 'Delete bit2 project and infrastructure' : `Delete the ${environment} environment`}`);
   console.log();
   
   try {
@@ -61,6 +92,18 @@ export async function deleteCommand(projectName, options = {}) {
       }
     }
     
+    // The Turso database is named in bit2.config, or after the package.json name
+    const config = await loadConfig(projectPath);
+    const databaseName = config.database.name;
+    
+    if (environment !== DEFAULT_ENVIRONMENT) {
+      await deleteEnvironment(projectPath, config, environment, { force, backup, projectName: actualProjectName });
+      return;
+    }
+    
+    // Named environments, declared or only left in .env.bit2, go with the project
+    const environments = [...new Set([...Object.keys(config.environments), ...await listDeployedEnvironments(projectPath)])];
+    
     // Show what will be deleted (skip resources that don't exist / aren't configured)
     console.log(chalk.bold.red('DANGER ZONE'));
     console.log();
@@ -70,12 +113,13 @@ export async function deleteCommand(projectName, options = {}) {
 
     // Turso: only include if it actually exists
     try {
-      await execAsync(`turso db show ${actualProjectName}`);
-      console.log(chalk.red(`  • Turso Database: ${chalk.white(actualProjectName)}`));
+      await execAsync(`turso db show ${databaseName}`);
+      console.log(chalk.red(`  • Turso Database: ${chalk.white(databaseName)}`));
       deletionItems.push({
         type: 'Turso Database',
-        name: actualProjectName,
-        deleteAction: () => execAsync(`turso db destroy ${actualProjectName} --yes`)
+        name: databaseName,
+        environment: DEFAULT_ENVIRONMENT,
+        deleteAction: () => execAsync(`turso db destroy ${databaseName} --yes`)
       });
     } catch {
       // skip printing Turso if it doesn't exist or not authenticated
@@ -121,12 +165,7 @@ export async function deleteCommand(projectName, options = {}) {
       console.log(chalk.red(`  • ${providerName} Project: ${chalk.white(actualProjectName)}`));
       
       // All deployment providers require manual deletion
-      const dashboardUrls = {
-        cloudflare: 'https://dash.cloudflare.com/',
-        vercel: 'https://vercel.com/dashboard',
-        netlify: 'https://app.netlify.com'
-      };
-      const dashboardUrl = dashboardUrls[provider] || `https://dashboard.${provider}.com`;
+      const dashboardUrl = PROVIDER_DASHBOARDS[provider] || `https://dashboard.${provider}.com`;
       console.log(chalk.gray(`    Manual deletion: ${dashboardUrl}`));
       deletionItems.push({
         type: `${providerName} Project`,
@@ -150,6 +189,13 @@ export async function deleteCommand(projectName, options = {}) {
       });
     }
     
+    for (const name of environments) {
+      for (const item of await environmentItems(projectPath, config, name)) {
+        printEnvironmentItem(item);
+        deletionItems.push(item);
+      }
+    }
+    
     console.log(chalk.red(`  • Local project files: ${chalk.white(projectPath)}`));
     console.log();
     
@@ -162,6 +208,17 @@ export async function deleteCommand(projectName, options = {}) {
       }
     }
     
+    // The project folder is removed too, so backups go to the home directory
+    if (backup) {
+      const backupDir = path.join(os.homedir(), BACKUPS_DIR, actualProjectName);
+      const databases = deletionItems.filter(item => item.type === 'Turso Database');
+      const saved = await backupDatabases(projectPath, config, databases, backupDir);
+      if (saved.length > 0) {
+        console.log();
+        saved.forEach(file => console.log(chalk.gray(`  Backup: ${file}`)));
+      }
+    }
+    
     console.log();
     console.log(chalk.red('🗑️  Starting deletion process...'));
     console.log();
@@ -309,21 +366,159 @@ async function readDeploymentConfig(configPath) {
   }
 }
 
-async function confirmDeletion(projectName) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+// bit2 delete --env <name>: the database of one environment, its provider project (listed for
+// manual deletion), its .env.bit2 keys and its secrets. Production and the project files stay.
+async function deleteEnvironment(projectPath, config, environment, { force, backup, projectName }) {
+  const path = await import('path');
+  
+  if (!config.environments[environment] && !(await listDeployedEnvironments(projectPath)).includes(environment)) {
+    throw new Error(`Unknown environment: ${environment} (not in bit2.config nor .env.bit2)`);
+  }
+  
+  const items = await environmentItems(projectPath, config, environment);
+  
+  console.log(chalk.bold.red('DANGER ZONE'));
+  console.log();
+  console.log(chalk.red(`⚠️  This will permanently delete the ${environment} environment:`));
+  items.forEach(printEnvironmentItem);
+  console.log(chalk.red(`  • ${environment} entries of .env.bit2 and .bit2/secrets.json`));
+  console.log(chalk.gray('  Production and the local project files are kept'));
+  console.log();
+  
+  if (!force) {
+    const confirmed = await confirmDeletion(environment);
+    if (!confirmed) {
+      console.log(chalk.yellow('Deletion cancelled.'));
+      process.exit(0);
+    }
+  }
+  
+  if (backup) {
+    const backupDir = path.join(os.homedir(), BACKUPS_DIR, projectName);
+    const databases = items.filter(item => item.type === 'Turso Database');
+    const saved = await backupDatabases(projectPath, config, databases, backupDir, { local: false });
+    if (saved.length > 0) {
+      console.log();
+      saved.forEach(file => console.log(chalk.gray(`  Backup: ${file}`)));
+    }
+  }
+  
+  console.log();
+  const manual = [];
+  for (const item of items) {
+    if (item.requiresManualDeletion) {
+      new TimedSpinner(`${item.type} requires manual deletion`).warn('Manual deletion required');
+      manual.push(item);
+      continue;
+    }
+    const spinner = new TimedSpinner(`Deleting ${item.type}: ${item.name}`);
+    try {
+      await item.deleteAction();
+      spinner.succeed(`${item.type} deleted`);
+    } catch {
+      spinner.warn(`${item.type} not found or already deleted`);
+    }
+  }
+  
+  const spinner = new TimedSpinner(`Removing the ${environment} configuration`);
+  const keys = await removeDeployment(environment, projectPath);
+  const secrets = await removeEnvironmentSecrets(environment, projectPath);
+  spinner.succeed(`Removed ${keys.length} .env.bit2 key(s) and ${secrets.length} secret(s)`);
   
-  return new Promise((resolve) => {
-    console.log(chalk.yellow('⚠️  This action cannot be undone!'));
+  if (manual.length > 0) {
     console.log();
-    rl.question(
-      chalk.white(`Type "${chalk.bold(projectName)}" to confirm deletion: `),
-      (answer) => {
-        rl.close();
-        resolve(answer.trim() === projectName);
-      }
-    );
-  });
+    console.log(chalk.yellow('⚠️  Manual deletion required:'));
+    manual.forEach(item => console.log(chalk.cyan(`${item.type}: ${item.name} (${item.dashboardUrl})`)));
+  }
+  
+  console.log();
+  console.log(chalk.green(`✅ Environment "${environment}" deleted`));
+  if (config.environments[environment]) {
+    console.log(chalk.gray(`Remove environments.${environment} from ${config.file || 'bit2.config.json'} so it isn't deployed again`));
+  }
+}
+
+// The Turso database and provider project of a named environment
+async function environmentItems(projectPath, config, environment) {
+  const deployment = await readDeployment(environment, projectPath);
+  const databaseName = config.environments[environment]
+    ? (await loadConfig(projectPath, { env: environment })).database.name
+    : deployment.TURSO_DATABASE;
+  const items = [];
+  
+  if (databaseName && await tursoDatabaseExists(databaseName)) {
+    items.push({
+      type: 'Turso Database',
+      name: databaseName,
+      environment,
+      deleteAction: () => execAsync(`turso db destroy ${databaseName} --yes`)
+    });
+  }
+  
+  // Vercel environments are preview deployments of the production project, not projects of their own
+  const provider = deployment.PROVIDER?.toLowerCase();
+  if (provider && provider !== 'vercel' && deployment.PROJECT_NAME) {
+    items.push({
+      type: `${provider.charAt(0).toUpperCase()}${provider.slice(1)} Project`,
+      name: deployment.PROJECT_NAME,
+      environment,
+      provider,
+      dashboardUrl: PROVIDER_DASHBOARDS[provider] || `https://dashboard.${provider}.com`,
+      requiresManualDeletion: true,
+      deleteAction: () => Promise.resolve()
+    });
+  }
+  return items;
+}
+
+function printEnvironmentItem(item) {
+  console.log(chalk.red(`  • ${item.type} (${item.environment}): ${chalk.white(item.name)}`));
+  if (item.requiresManualDeletion) {
+    console.log(chalk.gray(`    Manual deletion: ${item.dashboardUrl}`));
+  }
+}
+
+async function tursoDatabaseExists(name) {
+  try {
+    await execAsync(`turso db show ${name}`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Turso databases are dumped with the token of their environment, the local database is copied
+async function backupDatabases(projectPath, config, databases, backupDir, { local = true } = {}) {
+  const fs = await import('fs-extra');
+  const path = await import('path');
+  const saved = [];
+  
+  const spinner = new TimedSpinner('Backing up databases');
+  try {
+    if (local && await fs.pathExists(path.join(projectPath, config.paths.database))) {
+      const local = await createBackup(localConnection(projectPath, config.paths.database), { target: 'local', label: 'pre-delete', dir: backupDir });
+      saved.push(local.file);
+    }
+    for (const database of databases) {
+      const connection = await resolveTursoConnection(database.name, projectPath, database.environment);
+      const label = database.environment === DEFAULT_ENVIRONMENT ? 'pre-delete' : `pre-delete-${database.environment}`;
+      const remote = await createBackup(connection, { target: 'remote', label, dir: backupDir });
+      saved.push(remote.file);
+    }
+    spinner.succeed(saved.length > 0 ? `Backed up ${saved.length} database(s)` : 'No databases to back up');
+  } catch (error) {
+    spinner.fail('Backup failed');
+    console.log(chalk.red(`❌ ${error.message}`));
+    console.log(chalk.yellow('Nothing was deleted. Re-run with --no-backup to delete without a backup.'));
+    process.exit(1);
+  }
+  
+  return saved;
+}
+
+async function confirmDeletion(projectName) {
+  console.log(chalk.yellow('⚠️  This action cannot be undone!'));
+  console.log();
+  const answer = await ask(chalk.white(`Type "${chalk.bold(projectName)}" to confirm deletion: `));
+  return answer === projectName;
 }
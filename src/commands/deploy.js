@@ -2,8 +2,27 @@ import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { TimedSpinner } from '../utils/spinner.js';
-import readline from 'readline';
 import path from 'path';
+import { loadMigrations, buildMigrationBatches, legacySchemaPath } from '../utils/migrations.js';
+import { DEFAULT_SEED_PROFILE, findSeedProfile, buildSeedBatch } from '../utils/seeds.js';
+import { runBatches } from '../utils/database.js';
+import { createError, ErrorCodes, handleError } from '../utils/errors.js';
+import { loadConfig } from '../utils/config.js';
+import { isInteractive, assumeYes, confirm, choose, missingChoiceError } from '../utils/prompts.js';
+import { uploadBuild } from '../utils/deployers.js';
+import { assertVercelPreviewScope } from '../utils/provider-env.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, readDeployment, writeDeployment } from '../utils/deployment.js';
+import { setSecrets, secretName, maskSecret, SECRETS_FILE } from '../utils/secrets.js';
+import { parseExpiration, createTursoToken, recordTokenMetadata } from '../utils/tokens.js';
+import { runBuild } from './build.js';
+
+const PROVIDERS = [
+  { value: 'cloudflare', label: 'Cloudflare Pages' },
+  { value: 'netlify', label: 'Netlify' },
+  { value: 'vercel', label: 'Vercel' }
+];
+
+const REPO_VISIBILITIES = ['private', 'public'];
 
 // Custom execAsync with larger buffer for commands that may produce lots of output
 const execAsync = (command, options = {}) => {
@@ -27,23 +46,35 @@ export async function deployCommand(options = {}) {
   let spinner;
   
   try {
+    // --env staging deploys the staging environment of bit2.config, with its own database
+    const config = await loadConfig(process.cwd(), { env: options.env });
+    const { environment } = config;
+    
+    // Git pushes deploy production, named environments are always uploaded directly
+    const direct = options.direct || environment !== DEFAULT_ENVIRONMENT;
+    
     // Check if this is a subsequent deployment first
-    const fs = await import('fs-extra');
-    const isFirstDeploy = !await fs.pathExists('.env.bit2');
+    const deployment = await readDeployment(environment);
+    const isFirstDeploy = !deployment.PROVIDER;
     
     if (!isFirstDeploy) {
-      // This is a subsequent deployment - check git status and push
+      // This is a subsequent deployment - upload directly, or check git status and push
+      if (direct) {
+        return await deployDirect(deployment.PROVIDER, deployment.PROJECT_NAME, environment);
+      }
       return await handleSubsequentDeploy();
     }
     
     // First deployment - show setup messages
-    console.log(`${chalk.yellow('∴')} Starting deployment setup...`);
+    const label = environment === DEFAULT_ENVIRONMENT ? '' : ` of ${chalk.cyan(environment)}`;
+    console.log(`${chalk.yellow('∴')} Starting deployment setup${label}...`);
     console.log();
     
     spinner = new TimedSpinner('Validating project');
     
     // 1. Validate project structure
-    const projectInfo = await validateProject();
+    const projectInfo = await validateProject(config);
+    parseExpiration(options.tokenExpiration);
     spinner.succeed('Project validation complete');
     
     // 3. Check for existing adapter (first deploy only)
@@ -51,20 +82,30 @@ export async function deployCommand(options = {}) {
     const existingAdapter = await detectExistingAdapter();
     spinner.succeed('Configuration check complete');
     
-    // 3. Provider selection
-    let provider;
-    if (existingAdapter) {
-      console.log(chalk.yellow(`ℹ Detected existing adapter: ${existingAdapter}`));
-      const keepExisting = await promptKeepExisting(existingAdapter);
-      provider = keepExisting ? existingAdapter : await selectProvider();
-    } else {
-      provider = await selectProvider();
+    // 3. Provider and repository choices, settled before anything is created
+    // so non-interactive runs fail fast when one is missing. Direct deploys need no repository.
+    const provider = await resolveProvider(options, existingAdapter, config);
+    const repoOptions = direct ? null : await resolveRepoOptions(options);
+
+    // astro.config.mjs is shared by every environment, switching its adapter here
+    // would make the next production build target the wrong host
+    if (environment !== DEFAULT_ENVIRONMENT && existingAdapter && provider !== existingAdapter) {
+      throw createError(
+        `The ${environment} environment deploys to ${provider}, but the project is built for ${existingAdapter}`,
+        ErrorCodes.INVALID_INPUT,
+        [
+          `Deploy ${environment} to ${existingAdapter}: remove environments.${environment}.provider from ${config.file || 'bit2.config.json'} or pass --provider ${existingAdapter}`,
+          'All environments share astro.config.mjs, so they deploy to the same provider'
+        ]
+      );
     }
-    
+
+    await assertVercelPreviewScope(provider, environment);
+
     // 4. Install/update adapter if needed
     if (provider !== existingAdapter) {
       spinner = new TimedSpinner(`Installing ${provider} adapter`);
-      await installAdapter(provider);
+      await installAdapter(provider, config);
       spinner.succeed(`${provider} adapter installed`);
     } else {
       console.log(chalk.green(`✓ Using existing ${provider} adapter`));
@@ -74,21 +115,32 @@ export async function deployCommand(options = {}) {
     spinner = new TimedSpinner('Setting up Turso database');
     let dbInfo;
     try {
-      dbInfo = await setupTursoDatabase(projectInfo.name);
+      dbInfo = await setupTursoDatabase(config, options.tokenExpiration);
       spinner.succeed('Turso database setup complete');
     } catch (error) {
       spinner.fail('Turso database setup failed');
       throw error;
     }
     
+    if (direct) {
+      // 6. Save deployment info first, a failed upload is retried as a subsequent deploy.
+      // Named environments get their own provider project next to the production one.
+      const projectName = environment === DEFAULT_ENVIRONMENT ? projectInfo.name : `${projectInfo.name}-${environment}`;
+      const tokenSaved = await saveDeploymentInfo(projectName, provider, dbInfo, environment);
+      await showDeploymentGuide(provider, dbInfo, null, { reveal: options.reveal, tokenSaved, environment });
+      spinner = null;
+      await deployDirect(provider, projectName, environment);
+      return;
+    }
+    
     // 6. Check Git environment and offer repo creation
-    const gitStatus = await checkGitEnvironment(projectInfo.name);
+    const gitStatus = await checkGitEnvironment(projectInfo.name, repoOptions);
     
-    // 7. Show deployment guide
-    await showDeploymentGuide(provider, dbInfo, gitStatus);
+    // 7. Save deployment info, the guide points at the stored token
+    const tokenSaved = await saveDeploymentInfo(projectInfo.name, provider, dbInfo, environment);
     
-    // 8. Save deployment info
-    await saveDeploymentInfo(projectInfo.name, provider, dbInfo);
+    // 8. Show deployment guide
+    await showDeploymentGuide(provider, dbInfo, gitStatus, { reveal: options.reveal, tokenSaved, environment });
     
   } catch (error) {
     if (spinner) {
@@ -111,8 +163,9 @@ export async function deployCommand(options = {}) {
   }
 }
 
-async function validateProject() {
+async function validateProject(config) {
   const fs = await import('fs-extra');
+  const { astroConfig, migrations } = config.paths;
   
   // Check if we're in a project directory
   if (!await fs.pathExists('./package.json')) {
@@ -120,13 +173,13 @@ async function validateProject() {
   }
   
   // Check if it's an Astro project
-  if (!await fs.pathExists('./astro.config.mjs')) {
-    throw new Error('No astro.config.mjs found. This doesn\'t appear to be an Astro project.');
+  if (!await fs.pathExists(astroConfig)) {
+    throw new Error(`No ${astroConfig} found. This doesn't appear to be an Astro project.`);
   }
   
   // Check for required database files
-  if (!await fs.pathExists('./src/db/schema.sql')) {
-    throw new Error('Missing src/db/schema.sql. This doesn\'t appear to be a bit2 project.');
+  if (!await fs.pathExists(migrations) && !await fs.pathExists(legacySchemaPath(migrations))) {
+    throw new Error(`Missing ${migrations}. This doesn't appear to be a bit2 project.`);
   }
   
   // Get project info
@@ -154,60 +207,89 @@ async function detectExistingAdapter() {
   }
 }
 
-async function promptKeepExisting(adapter) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+async function resolveProvider(options, existingAdapter, config) {
+  const providerFlag = `--provider ${PROVIDERS.map(provider => provider.value).join('|')}`;
+  
+  if (options.provider) {
+    if (!PROVIDERS.some(provider => provider.value === options.provider)) {
+      throw createError(
+        `Unknown provider: ${options.provider}`,
+        ErrorCodes.INVALID_INPUT,
+        [`Use ${providerFlag}`]
+      );
+    }
+    return options.provider;
+  }
   
-  return new Promise((resolve) => {
-    rl.question(chalk.cyan(`Keep existing ${adapter} adapter? (Y/n): `), (answer) => {
-      rl.close();
-      resolve(!answer || answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes');
+  // "provider" in bit2.config answers the question like --provider
+  if (config.provider) {
+    console.log(chalk.gray(`  ℹ Provider from ${config.file}: ${config.provider}`));
+    return config.provider;
+  }
+  
+  // Named environments can only deploy where the shared astro.config.mjs builds for
+  if (existingAdapter && config.environment !== DEFAULT_ENVIRONMENT) {
+    console.log(chalk.gray(`  ℹ Using the project's ${existingAdapter} adapter`));
+    return existingAdapter;
+  }
+
+  if (existingAdapter) {
+    console.log(chalk.yellow(`ℹ Detected existing adapter: ${existingAdapter}`));
+    const keepExisting = await confirm(`Keep existing ${existingAdapter} adapter? (Y/n): `, {
+      defaultValue: true,
+      choice: 'deployment provider',
+      flags: [providerFlag, '--yes (keeps the existing adapter)']
     });
+    if (keepExisting) {
+      return existingAdapter;
+    }
+  }
+  
+  return await choose('Choose your deployment provider:', PROVIDERS, {
+    choice: 'deployment provider',
+    flags: [providerFlag]
   });
 }
 
-async function selectProvider() {
-  console.log();
-  console.log(chalk.cyan('Choose your deployment provider:'));
-  console.log(chalk.white('  [1] Cloudflare Pages'));
-  console.log(chalk.white('  [2] Netlify'));
-  console.log(chalk.white('  [3] Vercel'));
-  console.log();
+// create: true (--git-repo, --yes), false (--no-git-repo) or null to ask when a repository can be created
+async function resolveRepoOptions(options) {
+  const visibility = options.repoVisibility || 'private';
+  if (!REPO_VISIBILITIES.includes(visibility)) {
+    throw createError(
+      `Unknown repository visibility: ${visibility}`,
+      ErrorCodes.INVALID_INPUT,
+      [`Use --repo-visibility ${REPO_VISIBILITIES.join('|')}`]
+    );
+  }
   
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+  let create = options.gitRepo ?? (assumeYes() ? true : null);
+  if (create === null && !isInteractive()) {
+    // Only a missing remote with a logged in gh/glab CLI leads to the question
+    const hasRemote = await execAsync('git remote get-url origin').then(() => true, () => false);
+    if (!hasRemote && await detectRepoPlatform()) {
+      throw missingChoiceError('repository choice', ['--git-repo', '--no-git-repo', '--yes']);
+    }
+    create = false;
+  }
   
-  return new Promise((resolve) => {
-    const askProvider = () => {
-      rl.question(chalk.cyan('Enter your choice (1-3): '), (answer) => {
-        switch (answer.trim()) {
-          case '1':
-            rl.close();
-            resolve('cloudflare');
-            break;
-          case '2':
-            rl.close();
-            resolve('netlify');
-            break;
-          case '3':
-            rl.close();
-            resolve('vercel');
-            break;
-          default:
-            console.log(chalk.red('Please enter 1, 2, or 3'));
-            askProvider();
-        }
-      });
-    };
-    askProvider();
-  });
+  return { create, visibility };
 }
 
-async function installAdapter(provider) {
+async function detectRepoPlatform() {
+  try {
+    await execAsync('gh auth status');
+    return 'github';
+  } catch {
+    try {
+      await execAsync('glab auth status');
+      return 'gitlab';
+    } catch {
+      return null;
+    }
+  }
+}
+
+async function installAdapter(provider, config) {
   const adapters = {
     cloudflare: '@astrojs/cloudflare',
     vercel: '@astrojs/vercel',
@@ -220,12 +302,11 @@ async function installAdapter(provider) {
   await execAsync(`bun add ${adapters[provider]}`);
   
   // Update astro.config.mjs
-  await updateAstroConfig(provider);
+  await updateAstroConfig(provider, config.paths.astroConfig);
 }
 
-async function updateAstroConfig(provider) {
+async function updateAstroConfig(provider, configPath) {
   const fs = await import('fs-extra');
-  const configPath = './astro.config.mjs';
   
   const configs = {
     cloudflare: `import { defineConfig } from 'astro/config';
@@ -290,18 +371,10 @@ export default defineConfig({
   await fs.writeFile(configPath, configs[provider]);
 }
 
-async function setupTursoDatabase(projectName) {
-  // Sanitize database name for Turso requirements
-  // Only numbers, lowercase letters, and dashes allowed
-  const sanitizeDbName = (name) => {
-    return name
-      .toLowerCase()
-      .replace(/[^a-z0-9-]/g, '-')  // Replace invalid chars with dashes
-      .replace(/-+/g, '-')          // Replace multiple consecutive dashes with single dash
-      .replace(/^-+|-+$/g, '');     // Remove leading/trailing dashes
-  };
-  
-  const dbName = sanitizeDbName(projectName);
+async function setupTursoDatabase(config, tokenExpiration = 'never') {
+  // database.name in bit2.config, or the package.json name sanitized for Turso
+  const { name: dbName, org } = config.database;
+  const rerun = `Re-run: bit2 deploy${environmentFlag(config.environment)}`;
   console.log(chalk.gray(`  ℹ Database name: ${dbName}`));
   
   // Check if Turso CLI is available
@@ -313,7 +386,7 @@ async function setupTursoDatabase(projectName) {
       'Install Turso CLI: curl -sSfL https://get.tur.so/install.sh | bash',
       'Restart your terminal',
       'Run: turso auth signup',
-      'Re-run: bit2 deploy'
+      rerun
     ];
     throw err;
   }
@@ -327,7 +400,7 @@ async function setupTursoDatabase(projectName) {
       err.recoverySteps = [
         'Run: turso auth login',
         'Follow the login process',
-        'Re-run: bit2 deploy'
+        rerun
       ];
       throw err;
     }
@@ -341,7 +414,7 @@ async function setupTursoDatabase(projectName) {
       err.recoverySteps = [
         'Run: turso auth login',
         'Follow the login process', 
-        'Re-run: bit2 deploy'
+        rerun
       ];
       throw err;
     }
@@ -351,11 +424,27 @@ async function setupTursoDatabase(projectName) {
     err.recoverySteps = [
       'Run: turso auth login (or turso auth signup if you don\'t have an account)',
       'Follow the authentication process',
-      'Re-run: bit2 deploy'
+      rerun
     ];
     throw err;
   }
   
+  // The Turso CLI works on its current organization, switch to the configured one first
+  if (org) {
+    try {
+      await execAsync(`turso org switch ${org}`);
+      console.log(chalk.gray(`  ℹ Turso organization: ${org}`));
+    } catch (error) {
+      const err = new Error(`Could not switch to Turso organization "${org}"`);
+      err.recoverySteps = [
+        'List your organizations: turso org list',
+        `Fix database.org in ${config.file}`,
+        rerun
+      ];
+      throw err;
+    }
+  }
+  
   // Check if database already exists
   let databaseExists = false;
   try {
@@ -372,7 +461,7 @@ async function setupTursoDatabase(projectName) {
       err.recoverySteps = [
         'Run: turso auth login',
         'Follow the login process',
-        'Re-run: bit2 deploy'
+        rerun
       ];
       throw err;
     }
@@ -390,7 +479,7 @@ async function setupTursoDatabase(projectName) {
         err.recoverySteps = [
           'Run: turso auth login',
           'Follow the login process',
-          'Re-run: bit2 deploy'
+          rerun
         ];
         throw err;
       }
@@ -399,14 +488,13 @@ async function setupTursoDatabase(projectName) {
   }
   
   // Get database URL
-  let databaseUrl, authToken;
+  let databaseUrl, authToken, tokenMetadata;
   try {
     const { stdout: urlOutput } = await execAsync(`turso db show --url ${dbName}`);
     databaseUrl = urlOutput.trim();
     
     // Create auth token
-    const { stdout: tokenOutput } = await execAsync(`turso db tokens create ${dbName}`);
-    authToken = tokenOutput.trim();
+    ({ token: authToken, metadata: tokenMetadata } = await createTursoToken(dbName, { expiration: tokenExpiration }));
   } catch (error) {
     // Check if this is an auth error
     if (error.message.includes('You are not logged in') || 
@@ -417,7 +505,7 @@ async function setupTursoDatabase(projectName) {
       err.recoverySteps = [
         'Run: turso auth login',
         'Follow the login process',
-        'Re-run: bit2 deploy'
+        rerun
       ];
       throw err;
     }
@@ -426,76 +514,25 @@ async function setupTursoDatabase(projectName) {
   
   // Run migrations if database is new
   if (!databaseExists) {
-    const fs = await import('fs-extra');
-    if (await fs.pathExists('./src/db/schema.sql')) {
-      const schema = await fs.readFile('./src/db/schema.sql', 'utf8');
-      const seed = await fs.pathExists('./src/db/seed.sql') 
-        ? await fs.readFile('./src/db/seed.sql', 'utf8') 
-        : '';
+    const migrations = await loadMigrations(config.paths.migrations);
+    if (migrations) {
+      const connection = { url: databaseUrl, authToken };
       
-      // Split SQL into individual statements and execute
-      // This function properly handles semicolons within quoted strings
-      const splitSqlStatements = (sql) => {
-        const lines = sql.split('\n');
-        const cleanLines = lines.filter(line => !line.trim().startsWith('--') && line.trim() !== '');
-        const cleanSql = cleanLines.join('\n');
-        
-        const statements = [];
-        let currentStatement = '';
-        let inSingleQuotes = false;
-        let inDoubleQuotes = false;
-        let i = 0;
-        
-        while (i < cleanSql.length) {
-          const char = cleanSql[i];
-          
-          if (char === "'" && !inDoubleQuotes) {
-            // Check for escaped single quotes
-            if (i + 1 < cleanSql.length && cleanSql[i + 1] === "'") {
-              currentStatement += "''";
-              i += 2;
-              continue;
-            }
-            inSingleQuotes = !inSingleQuotes;
-          } else if (char === '"' && !inSingleQuotes) {
-            inDoubleQuotes = !inDoubleQuotes;
-          } else if (char === ';' && !inSingleQuotes && !inDoubleQuotes) {
-            // End of statement
-            const stmt = currentStatement.trim();
-            if (stmt.length > 0) {
-              statements.push(stmt);
-            }
-            currentStatement = '';
-            i++;
-            continue;
-          }
-          
-          currentStatement += char;
-          i++;
-        }
-        
-        // Add the last statement if there is one
-        const lastStmt = currentStatement.trim();
-        if (lastStmt.length > 0) {
-          statements.push(lastStmt);
-        }
-        
-        return statements;
-      };
+      // Each migration runs in its own transaction and is recorded so later
+      // runs of bit2 migrate only apply new files
+      await runBatches(connection, buildMigrationBatches(migrations));
       
-      const statements = splitSqlStatements([schema, seed].join('\n'));
-      
-      for (const statement of statements) {
-        const cleanStatement = statement.replace(/'/g, `'"'"'`);
-        await execAsync(`turso db shell ${dbName} '${cleanStatement};'`);
+      const seedProfile = await findSeedProfile(DEFAULT_SEED_PROFILE, config.paths.seeds);
+      if (seedProfile) {
+        await runBatches(connection, [await buildSeedBatch(seedProfile, { connection })]);
       }
     }
   }
   
-  return { databaseUrl, authToken, dbName };
+  return { databaseUrl, authToken, tokenMetadata, dbName };
 }
 
-async function checkGitEnvironment(projectName) {
+async function checkGitEnvironment(projectName, repoOptions) {
   const status = {
     hasRepo: false,
     hasRemote: false,
@@ -547,27 +584,13 @@ async function checkGitEnvironment(projectName) {
     status.remoteUrl = stdout.trim();
   } catch {
     // No remote, check for CLI tools
-    
-    // Check GitHub CLI
-    try {
-      await execAsync('gh auth status');
-      status.canCreateRepo = true;
-      status.platform = 'github';
-    } catch {
-      // Check GitLab CLI
-      try {
-        await execAsync('glab auth status');
-        status.canCreateRepo = true;
-        status.platform = 'gitlab';
-      } catch {
-        // No CLI tools configured
-      }
-    }
+    status.platform = await detectRepoPlatform();
+    status.canCreateRepo = status.platform !== null;
   }
   
   // Offer repo creation if possible
-  if (!status.hasRemote && status.canCreateRepo) {
-    const creationResult = await offerGitRepoCreation(status.platform, projectName);
+  if (!status.hasRemote && status.canCreateRepo && repoOptions.create !== false) {
+    const creationResult = await offerGitRepoCreation(status.platform, projectName, repoOptions);
     status.repoCreatedAndPushed = creationResult.createdAndPushed;
     
     // Check if remote was created
@@ -583,73 +606,62 @@ async function checkGitEnvironment(projectName) {
   return status;
 }
 
-async function offerGitRepoCreation(platform, projectName) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
+async function offerGitRepoCreation(platform, projectName, repoOptions) {
+  const { visibility } = repoOptions;
+  const platformName = platform === 'github' ? 'GitHub' : 'GitLab';
+  
+  const create = repoOptions.create ?? await confirm(`Create ${visibility} ${platformName} repository? (Y/n): `, {
+    defaultValue: true,
+    choice: 'repository choice',
+    flags: ['--git-repo', '--no-git-repo', '--yes']
   });
+  if (!create) {
+    return { createdAndPushed: false };
+  }
   
-  return new Promise((resolve) => {
-    const question = platform === 'github' 
-      ? `Create private GitHub repository? (Y/n): `
-      : `Create private GitLab repository? (Y/n): `;
-      
-    rl.question(chalk.cyan(question), async (answer) => {
-      rl.close();
-      
-      if (!answer || answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes') {
-        try {
-          if (platform === 'github') {
-            await execAsync(`gh repo create ${projectName} --private --source=. --remote=origin --push`);
-            console.log(chalk.green('✓ GitHub repository created and pushed'));
-            resolve({ createdAndPushed: true });
-            return;
-          } else if (platform === 'gitlab') {
-            await execAsync(`glab repo create ${projectName} --private`);
-            console.log(chalk.green('✓ GitLab repository created'));
-            resolve({ createdAndPushed: false }); // GitLab CLI doesn't auto-push
-            return;
-          }
-        } catch (error) {
-          console.log(chalk.red(`❌ Failed to create repository: ${error.message}`));
-          
-          // Handle specific error cases
-          if (error.message.includes('Name already exists')) {
-            const err = new Error(`Repository name '${projectName}' already exists on your account`);
-            err.recoverySteps = [
-              `Choose a different project name`,
-              `Or use existing repository manually`,
-              `Run: git remote add origin <your-existing-repo-url>`,
-              `Run: git push -u origin main`
-            ];
-            throw err;
-          } else {
-            const err = new Error(`Repository creation failed: ${error.message}`);
-            err.recoverySteps = [
-              `Create repository manually on ${platform === 'github' ? 'GitHub' : 'GitLab'}`,
-              `Run: git remote add origin <your-repo-url>`,
-              `Run: git push -u origin main`,
-              `Re-run: bit2 deploy`
-            ];
-            throw err;
-          }
-        }
-      }
-      resolve({ createdAndPushed: false });
-    });
-  }).catch(error => {
-    // Re-throw the error to stop deployment
-    throw error;
-  });
+  try {
+    if (platform === 'github') {
+      await execAsync(`gh repo create ${projectName} --${visibility} --source=. --remote=origin --push`);
+      console.log(chalk.green(`✓ ${platformName} repository created and pushed (${visibility})`));
+      return { createdAndPushed: true };
+    }
+    await execAsync(`glab repo create ${projectName} --${visibility}`);
+    console.log(chalk.green(`✓ ${platformName} repository created (${visibility})`));
+    return { createdAndPushed: false }; // GitLab CLI doesn't auto-push
+  } catch (error) {
+    console.log(chalk.red(`❌ Failed to create repository: ${error.message}`));
+    
+    // Handle specific error cases
+    if (error.message.includes('Name already exists')) {
+      const err = new Error(`Repository name '${projectName}' already exists on your account`);
+      err.recoverySteps = [
+        `Choose a different project name`,
+        `Or use existing repository manually`,
+        `Run: git remote add origin <your-existing-repo-url>`,
+        `Run: git push -u origin main`
+      ];
+      throw err;
+    }
+    const err = new Error(`Repository creation failed: ${error.message}`);
+    err.recoverySteps = [
+      `Create repository manually on ${platformName}`,
+      `Run: git remote add origin <your-repo-url>`,
+      `Run: git push -u origin main`,
+      `Re-run: bit2 deploy${repoOptions.create ? ' --no-git-repo' : ''}`
+    ];
+    throw err;
+  }
 }
 
-async function showDeploymentGuide(provider, dbInfo, gitStatus) {
+async function showDeploymentGuide(provider, dbInfo, gitStatus, { reveal = false, tokenSaved = false, environment = DEFAULT_ENVIRONMENT } = {}) {
+  const envFlag = environmentFlag(environment);
   console.log();
   console.log(chalk.bold.green('🎉 DEPLOYMENT SETUP COMPLETE!'));
   console.log();
   
   console.log(chalk.cyan('📋 Deployment Configuration:'));
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(chalk.white(`Environment: ${environment}`));
   
   // Safely extract database name
   let dbDisplayName = 'Unknown';
@@ -668,29 +680,34 @@ async function showDeploymentGuide(provider, dbInfo, gitStatus) {
   
   console.log(chalk.white(`Database: ${dbDisplayName}`));
   console.log(chalk.gray(`TURSO_DATABASE_URL=${dbInfo.databaseUrl || 'Not available'}`));
-  console.log(chalk.gray(`TURSO_AUTH_TOKEN=${dbInfo.authToken || 'Not available'}`));
+  const token = dbInfo.authToken ? (reveal ? dbInfo.authToken : maskSecret(dbInfo.authToken)) : 'Not available';
+  console.log(chalk.gray(`TURSO_AUTH_TOKEN=${token}`));
   console.log();
   
-  // Create .env file for easy copying
-  if (dbInfo && dbInfo.databaseUrl && dbInfo.authToken) {
-    try {
-      const fs = await import('fs-extra');
-      const envContent = `# Environment variables for production deployment\nTURSO_DATABASE_URL=${dbInfo.databaseUrl}\nTURSO_AUTH_TOKEN=${dbInfo.authToken}\n`;
-      await fs.writeFile('.env', envContent);
-      console.log(chalk.green('✓ Environment variables saved to .env file'));
-      console.log();
-    } catch (error) {
-      console.log(chalk.yellow('⚠ Could not create .env file - copy the values above manually'));
-      console.log();
-    }
-  } else {
-    console.log(chalk.yellow('⚠ Database credentials not available - .env file not created'));
+  if (tokenSaved) {
+    console.log(chalk.green(`✓ Auth token saved encrypted to ${SECRETS_FILE}`));
+    console.log();
+  } else if (!dbInfo.authToken) {
+    console.log(chalk.yellow('⚠ Database credentials not available'));
     console.log();
   }
   
+  const providerDashboards = {
+    cloudflare: 'https://dash.cloudflare.com',
+    vercel: 'https://vercel.com/new',
+    netlify: 'https://app.netlify.com'
+  };
+  const providerName = provider.charAt(0).toUpperCase() + provider.slice(1);
+  
   console.log(chalk.cyan('💡 Next Steps:'));
   
-  if (!gitStatus.hasRemote) {
+  if (!gitStatus) {
+    // Direct deploys upload right after this guide, the variables need the project it creates
+    console.log(chalk.yellow(`1. Set the environment variables on ${providerName} once the upload below created the project`));
+    console.log(chalk.gray(`   • Run: bit2 env push${envFlag}`));
+    console.log(chalk.gray(`   • Redeploy so they are picked up: bit2 deploy${envFlag || ' --direct'}`));
+    console.log();
+  } else if (!gitStatus.hasRemote) {
     console.log(chalk.yellow('1. Push your code to a Git repository'));
     console.log(chalk.gray('   • Create repo on GitHub, GitLab, or Bitbucket'));
     console.log(chalk.gray('   • Add as remote: git remote add origin <your-repo-url>'));
@@ -702,17 +719,13 @@ async function showDeploymentGuide(provider, dbInfo, gitStatus) {
     console.log(chalk.green('✓ Git repository configured'));
   }
   
-  const providerDashboards = {
-    cloudflare: 'https://dash.cloudflare.com',
-    vercel: 'https://vercel.com/new',
-    netlify: 'https://app.netlify.com'
-  };
-  
-  console.log(chalk.yellow(`2. Deploy to ${provider.charAt(0).toUpperCase() + provider.slice(1)} (${providerDashboards[provider]})`));
-  console.log(chalk.gray('   • Connect your Git repository'));
-  console.log(chalk.gray('   • Add environment variables from .env file (tip: run "cat .env" to copy them)'));
-  console.log(chalk.gray('   • Deploy your application'));
-  console.log();
+  if (gitStatus) {
+    console.log(chalk.yellow(`2. Deploy to ${providerName} (${providerDashboards[provider]})`));
+    console.log(chalk.gray('   • Connect your Git repository'));
+    console.log(chalk.gray('   • Set the environment variables: bit2 env push (or copy them from: bit2 db token --reveal)'));
+    console.log(chalk.gray('   • Deploy your application'));
+    console.log();
+  }
   
   console.log(chalk.cyan('📖 Detailed deployment guide:'));
   const providerUrls = {
@@ -728,14 +741,34 @@ async function showDeploymentGuide(provider, dbInfo, gitStatus) {
 }
 
 
-async function saveDeploymentInfo(projectName, provider, dbInfo) {
+// .env.bit2 only holds metadata, the token goes to the encrypted secrets store
+async function saveDeploymentInfo(projectName, provider, dbInfo, environment) {
   try {
-    const fs = await import('fs-extra');
-    const envContent = `# bit2 deployment configuration\nBIT2_PROJECT_NAME=${projectName}\nBIT2_PROVIDER=${provider}\nBIT2_TURSO_DATABASE=${dbInfo?.dbName || 'unknown'}\nBIT2_TURSO_DATABASE_URL=${dbInfo?.databaseUrl || ''}\nBIT2_TURSO_AUTH_TOKEN=${dbInfo?.authToken || ''}\nBIT2_CREATED_AT=${new Date().toISOString()}\n`;
-    await fs.writeFile('.env.bit2', envContent);
+    await writeDeployment({
+      PROJECT_NAME: projectName,
+      PROVIDER: provider,
+      TURSO_DATABASE: dbInfo?.dbName || 'unknown',
+      TURSO_DATABASE_URL: dbInfo?.databaseUrl || '',
+      CREATED_AT: new Date().toISOString()
+    }, environment);
+    if (dbInfo?.tokenMetadata) {
+      await recordTokenMetadata(dbInfo.tokenMetadata, environment);
+    }
   } catch (error) {
     console.log(chalk.yellow('⚠ Could not save deployment configuration'));
   }
+  
+  if (!dbInfo?.authToken) {
+    return false;
+  }
+  try {
+    await setSecrets({ [secretName(environment, 'TURSO_AUTH_TOKEN')]: dbInfo.authToken });
+    return true;
+  } catch (error) {
+    console.log(chalk.yellow(`⚠ Could not save the auth token: ${error.message}`));
+    console.log(chalk.gray(`  Run bit2 db token${environmentFlag(environment)} once the secrets store is readable`));
+    return false;
+  }
 }
 
 async function handleSubsequentDeploy() {
@@ -771,4 +804,47 @@ async function handleSubsequentDeploy() {
     console.log(chalk.yellow('Please check your git configuration and try again'));
     process.exit(1);
   }
-}
\ No newline at end of file
+}
+
+// Builds locally and uploads with the provider CLI, no Git provider involved
+async function deployDirect(provider, projectName, environment) {
+  const rerun = `bit2 deploy${environmentFlag(environment) || ' --direct'}`;
+  if (!provider || !projectName) {
+    console.log(chalk.red(`❌ .env.bit2 is missing the provider or project name of ${environment}`));
+    console.log(chalk.gray(`Remove its entries from .env.bit2 and run: ${rerun}`));
+    process.exit(1);
+  }
+  
+  let spinner = new TimedSpinner('Building project');
+  try {
+    await runBuild();
+    spinner.succeed('Build complete');
+  } catch (error) {
+    spinner.fail('Build failed');
+    console.log();
+    if (error.stdout) {
+      console.log(error.stdout);
+    }
+    if (error.stderr) {
+      console.log(chalk.red(error.stderr));
+    }
+    console.log(chalk.gray(`Fix the build and re-run: ${rerun}`));
+    process.exit(1);
+  }
+  
+  spinner = new TimedSpinner(`Uploading to ${provider}`);
+  let deploymentUrl;
+  try {
+    deploymentUrl = await uploadBuild(provider, projectName, environment);
+    spinner.succeed(`Uploaded to ${provider}`);
+  } catch (error) {
+    spinner.fail('Upload failed');
+    handleError(error);
+  }
+  
+  await writeDeployment({ DEPLOYMENT_URL: deploymentUrl }, environment);
+  
+  console.log();
+  console.log(chalk.green('✨ Deployed:'), chalk.cyan(deploymentUrl));
+  console.log();
+}
@@ -2,12 +2,23 @@ import chalk from 'chalk';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
+import { localConnection } from '../utils/database.js';
+import { writeTypesFile } from '../utils/typegen.js';
+import { loadConfig } from '../utils/config.js';
+import { handleError } from '../utils/errors.js';
 
 export async function devCommand() {
   console.log(`${chalk.yellow('∴')} Starting development server...`);
   
+  let config;
+  try {
+    config = await loadConfig();
+  } catch (error) {
+    handleError(error);
+  }
+  
   // Check if we're in a bit2 project
-  const astroConfigPath = path.resolve(process.cwd(), 'astro.config.mjs');
+  const astroConfigPath = path.resolve(process.cwd(), config.paths.astroConfig);
   const packageJsonPath = path.resolve(process.cwd(), 'package.json');
   
   if (!await fs.pathExists(astroConfigPath) || !await fs.pathExists(packageJsonPath)) {
@@ -26,15 +37,17 @@ export async function devCommand() {
       shell: true
     });
     
-    installProcess.on('close', (code) => {
+    installProcess.on('close', async (code) => {
       if (code !== 0) {
         console.error(chalk.red('❌ Failed to install dependencies'));
         process.exit(1);
       }
       
       console.log(chalk.green('✅ Dependencies installed'));
+      
+      await refreshTypes(config);
       console.log(chalk.cyan('🔥 Starting Astro dev server...'));
-      console.log(chalk.gray('Database: Using local SQLite file (./dev.db)'));
+      console.log(chalk.gray(`Database: Using local SQLite file (./${config.paths.database})`));
       console.log();
       
       // Start Astro dev server
@@ -52,4 +65,19 @@ export async function devCommand() {
     console.error(chalk.red('❌ Failed to start dev server:'), error.message);
     process.exit(1);
   }
-}
\ No newline at end of file
+}
+
+// Pick up schema changes made outside of bit2 migrate (e.g. bit2 db pull)
+async function refreshTypes(config) {
+  if (!await fs.pathExists(config.paths.database)) {
+    return;
+  }
+  try {
+    const { file, changed } = await writeTypesFile(localConnection(process.cwd(), config.paths.database), config.paths.types);
+    if (changed) {
+      console.log(chalk.green(`✅ Database types updated (${file})`));
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠ Could not regenerate database types: ${error.message}`));
+  }
+}
@@ -0,0 +1,191 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import ora from 'ora';
+import { loadConfig } from '../utils/config.js';
+import { readEnvFile, setEnvValues } from '../utils/env-file.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, readDeployment } from '../utils/deployment.js';
+import { pushEnv, fetchEnv, diffEnv } from '../utils/provider-env.js';
+import { loadTursoToken, setSecrets, secretName, SECRETS_FILE } from '../utils/secrets.js';
+import { createError, ErrorCodes, handleError } from '../utils/errors.js';
+
+const DIFF_LABELS = {
+  local: chalk.green('+ only local'),
+  remote: chalk.red('- only remote'),
+  changed: chalk.yellow('~ differs'),
+  same: chalk.gray('= in sync'),
+  hidden: chalk.gray('? set (value not readable)')
+};
+
+export async function envCommand(action, options = {}) {
+  try {
+    if (action === 'push') {
+      await pushVariables(options, await resolveTarget(options));
+    } else if (action === 'pull') {
+      await pullVariables(options, await resolveTarget(options));
+    } else if (!action || action === 'diff') {
+      await diffVariables(options, await resolveTarget(options));
+    } else {
+      console.log(chalk.red(`❌ Unknown action: ${action}`));
+      console.log();
+      showUsage();
+      process.exit(1);
+    }
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+async function pushVariables(options, target) {
+  const { provider, projectName, environment } = target;
+  const { values, sources } = await readLocalVariables(options, target);
+  const keys = Object.keys(values);
+  if (keys.length === 0) {
+    throw createError('No variables to push', ErrorCodes.INVALID_INPUT, [
+      `Run bit2 deploy${environmentFlag(environment)} first to create the Turso database`,
+      'Or declare an env file: bit2 env push --env-file .env.production'
+    ]);
+  }
+
+  const spinner = ora(`Setting ${keys.length} variable(s) on ${provider} from ${sources.join(', ')}...`).start();
+  try {
+    await pushEnv(provider, projectName, values, environment);
+  } catch (error) {
+    spinner.fail('Could not set the variables');
+    throw error;
+  }
+  spinner.succeed(`Set ${keys.join(', ')} on ${provider} (${environment})`);
+  console.log(chalk.gray('Redeploy so the running deployment picks them up'));
+}
+
+async function pullVariables(options, { provider, projectName, environment, config }) {
+  const file = options.envFile || config.envFile || '.env';
+
+  const spinner = ora(`Fetching variables from ${provider}...`).start();
+  let remote;
+  try {
+    remote = await fetchEnv(provider, projectName, environment);
+  } catch (error) {
+    spinner.fail('Could not fetch the variables');
+    throw error;
+  }
+
+  const readable = Object.fromEntries(Object.entries(remote).filter(([, value]) => value !== null));
+  const hidden = Object.keys(remote).filter(key => remote[key] === null);
+  if (Object.keys(readable).length === 0) {
+    spinner.fail('No readable variables');
+    throw createError(
+      hidden.length > 0 ? `${provider} does not return the values of ${hidden.join(', ')}` : `No variables set on ${provider}`,
+      ErrorCodes.API_ERROR,
+      [`Compare the keys with: bit2 env diff${environmentFlag(environment)}`, `Set them from this machine with: bit2 env push${environmentFlag(environment)}`]
+    );
+  }
+
+  // The token goes back into the secrets store, never into a plaintext env file
+  const { TURSO_AUTH_TOKEN: token, ...variables } = readable;
+  if (token) {
+    await setSecrets({ [secretName(environment, 'TURSO_AUTH_TOKEN')]: token });
+  }
+  if (Object.keys(variables).length > 0) {
+    await setEnvValues(file, variables);
+  }
+  spinner.succeed([
+    Object.keys(variables).length > 0 ? `Wrote ${Object.keys(variables).join(', ')} to ${file}` : null,
+    token ? `saved TURSO_AUTH_TOKEN encrypted to ${SECRETS_FILE}` : null
+  ].filter(Boolean).join(', '));
+  if (hidden.length > 0) {
+    console.log(chalk.yellow(`⚠ ${provider} does not return the values of ${hidden.join(', ')}, left them out`));
+  }
+}
+
+// Only key names and their status are printed, never the values
+async function diffVariables(options, target) {
+  const { provider, projectName, environment } = target;
+  const { values, sources } = await readLocalVariables(options, target);
+
+  const spinner = ora(`Fetching variables from ${provider}...`).start();
+  let remote;
+  try {
+    remote = await fetchEnv(provider, projectName, environment);
+  } catch (error) {
+    spinner.fail('Could not fetch the variables');
+    throw error;
+  }
+  spinner.stop();
+
+  const entries = diffEnv(values, remote);
+  console.log(chalk.cyan(`Local (${sources.join(', ') || 'nothing'}) vs ${provider} (${environment}):`));
+  console.log();
+  if (entries.length === 0) {
+    console.log(chalk.gray('  No variables on either side'));
+  }
+  const width = Math.max(0, ...entries.map(entry => entry.key.length));
+  entries.forEach(({ key, status }) => {
+    console.log(`  ${key.padEnd(width)}  ${DIFF_LABELS[status]}`);
+  });
+  console.log();
+
+  if (entries.some(entry => entry.status === 'local' || entry.status === 'changed')) {
+    console.log(chalk.yellow(`Run bit2 env push${environmentFlag(environment)} to update the provider`));
+  } else if (entries.some(entry => entry.status === 'hidden')) {
+    console.log(chalk.gray(`${provider} does not return secret values, run bit2 env push${environmentFlag(environment)} to be sure they match`));
+  } else {
+    console.log(chalk.green('✓ Everything local is set on the provider'));
+  }
+}
+
+// TURSO_* come from the deployment (.env.bit2 and the secrets store, or the .env older
+// bit2 versions wrote for production), a declared env file adds to them and wins on conflicts
+async function readLocalVariables(options, { environment, deployment, config }) {
+  const dotenv = environment === DEFAULT_ENVIRONMENT ? await readEnvFile('.env') : {};
+  const token = await loadTursoToken(process.cwd(), environment);
+  const sources = [];
+
+  const values = {
+    TURSO_DATABASE_URL: deployment.TURSO_DATABASE_URL || dotenv.TURSO_DATABASE_URL,
+    TURSO_AUTH_TOKEN: token || dotenv.TURSO_AUTH_TOKEN
+  };
+  if (values.TURSO_DATABASE_URL || values.TURSO_AUTH_TOKEN) {
+    sources.push(token ? SECRETS_FILE : '.env');
+  }
+
+  const envFile = options.envFile || config.envFile;
+  if (envFile) {
+    if (!await fs.pathExists(envFile)) {
+      throw createError(`Env file not found: ${envFile}`, ErrorCodes.FILE_NOT_FOUND, [
+        `Create ${envFile} with KEY=value lines, or point --env-file at another file`
+      ]);
+    }
+    Object.assign(values, await readEnvFile(envFile));
+    sources.push(envFile);
+  }
+
+  return {
+    values: Object.fromEntries(Object.entries(values).filter(([, value]) => value)),
+    sources
+  };
+}
+
+// --env staging works on the variables of the staging deployment
+async function resolveTarget(options) {
+  const config = await loadConfig(process.cwd(), { env: options.env });
+  const { environment } = config;
+  const deployment = await readDeployment(environment);
+  if (!deployment.PROVIDER || !deployment.PROJECT_NAME) {
+    throw createError(`No deployment configuration found for ${environment}`, ErrorCodes.FILE_NOT_FOUND, [
+      environment === DEFAULT_ENVIRONMENT
+        ? 'Run: bit2 deploy (or bit2 deploy --direct) to set up the deployment first'
+        : `Run: bit2 deploy --env ${environment} to set up the deployment first`
+    ]);
+  }
+  return { config, environment, deployment, provider: deployment.PROVIDER, projectName: deployment.PROJECT_NAME };
+}
+
+function showUsage() {
+  console.log(chalk.cyan('Usage: bit2 env [action]'));
+  console.log();
+  console.log(chalk.yellow('Actions:'));
+  console.log(chalk.gray('  diff   - Show which keys differ between local and the provider (default)'));
+  console.log(chalk.gray('  push   - Set the Turso credentials and env file variables on the provider'));
+  console.log(chalk.gray('  pull   - Write the provider variables to the env file (default: .env)'));
+  console.log();
+}
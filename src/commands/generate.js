@@ -0,0 +1,104 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import { createMigrationFile, findMigration } from '../utils/migrations.js';
+import { handleError } from '../utils/errors.js';
+import { resourceNames, parseFields, renderResource, renderMigration, FIELD_TYPES } from '../utils/generator.js';
+import { copyMissingTemplateFiles } from '../utils/features.js';
+import { loadConfig } from '../utils/config.js';
+
+// Helpers the generated files import, copied from the template when a project doesn't have them yet
+const SHARED_FILES = ['src/lib/api.ts', 'src/lib/query.ts'];
+
+export async function generateCommand(type, name, fields = [], options = {}) {
+  if (type !== 'resource') {
+    console.log(chalk.red(`❌ Unknown generator: ${type}`));
+    showUsage();
+    process.exit(1);
+  }
+
+  if (!await fs.pathExists('package.json') || !await fs.pathExists('src/db')) {
+    console.log(chalk.red('❌ Not in a bit2 project directory'));
+    console.log(chalk.gray('Run this command from your project root'));
+    process.exit(1);
+  }
+
+  if (!name) {
+    console.log(chalk.red('❌ Resource name is required'));
+    showUsage();
+    process.exit(1);
+  }
+
+  try {
+    await generateResource(name, fields, options, await loadConfig());
+  } catch (error) {
+    handleError(error);
+  }
+}
+
+async function generateResource(name, definitions, options, config) {
+  const migrationsDir = config.paths.migrations;
+  const names = resourceNames(name);
+  const fields = parseFields(definitions);
+  const files = Object.values(renderResource(names, fields));
+  const migrationSlug = `create_${names.plural.snake}`;
+
+  // Check everything up front so a conflict doesn't leave half a resource behind
+  const existing = [];
+  for (const file of files) {
+    if (await fs.pathExists(file.path)) {
+      existing.push(file.path);
+    }
+  }
+  const existingMigration = await findMigration(migrationsDir, migrationSlug);
+  if (existingMigration) {
+    existing.push(existingMigration);
+  }
+
+  if (existing.length > 0 && !options.force) {
+    console.log(chalk.red(`❌ The ${names.singular.label} resource already exists:`));
+    existing.forEach(file => console.log(chalk.gray(`  ${file}`)));
+    console.log(chalk.gray('Use --force to overwrite the generated files'));
+    process.exit(1);
+  }
+
+  console.log(`${chalk.yellow('∴')} Generating ${chalk.bold(names.singular.label)} resource (${names.plural.snake} table)`);
+  console.log();
+
+  // With --force the existing migration is kept: it may already be applied
+  const migration = existingMigration
+    ? { file: existingMigration, kept: true }
+    : await createMigrationFile(migrationSlug, migrationsDir, renderMigration(names, fields));
+
+  for (const file of files) {
+    await fs.ensureDir(path.dirname(file.path));
+    await fs.writeFile(file.path, file.content);
+  }
+
+  const sharedFiles = await copyMissingTemplateFiles(SHARED_FILES);
+
+  if (migration.kept) {
+    console.log(chalk.yellow(`  ⚠ ${migration.file} (kept, edit it or add a new migration for schema changes)`));
+  } else {
+    console.log(chalk.green(`  ✓ ${migration.file}`));
+  }
+  for (const file of [...files.map(file => file.path), ...sharedFiles]) {
+    console.log(chalk.green(`  ✓ ${file}`));
+  }
+
+  console.log();
+  console.log(chalk.cyan('Next steps:'));
+  console.log(chalk.gray('  • Run: bit2 migrate (creates the table and regenerates src/db/types.generated.ts)'));
+  console.log(chalk.gray(`  • Open: /${names.plural.kebab} and /api/${names.plural.kebab}.json`));
+  console.log(chalk.gray(`  • Test: bun test tests/${names.plural.kebab}.test.ts`));
+}
+
+function showUsage() {
+  console.log(chalk.cyan('Usage:'));
+  console.log(chalk.gray('  bit2 generate resource <name> [field:type...]'));
+  console.log();
+  console.log(chalk.cyan('Example:'));
+  console.log(chalk.gray('  bit2 generate resource post title:text body:text published:boolean'));
+  console.log();
+  console.log(chalk.gray(`Types: ${Object.keys(FIELD_TYPES).join(', ')} (append :optional to allow NULL)`));
+}
@@ -1,185 +1,133 @@
 import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { printJson, exitWithError } from '../utils/output.js';
+import { loadConfig } from '../utils/config.js';
+import { environmentFlag, readDeployment } from '../utils/deployment.js';
 
 const execAsync = promisify(exec);
 
+// How each provider's CLI lists recent deployments
+const LOG_SOURCES = {
+  cloudflare: {
+    cli: 'Wrangler',
+    version: 'npx wrangler --version',
+    deployments: projectName => `npx wrangler pages deployment list --project-name=${projectName} --compatibility-date=2023-10-01`,
+    logs: projectName => `npx wrangler pages deployment list --project-name=${projectName}`,
+    dashboard: projectName => `https://dash.cloudflare.com/pages/view/${projectName}`,
+    install: 'npm install -g wrangler',
+    login: 'npx wrangler login'
+  },
+  vercel: {
+    cli: 'Vercel',
+    version: 'vercel --version',
+    deployments: projectName => `vercel ls ${projectName}`,
+    logs: projectName => `vercel logs ${projectName}`,
+    dashboard: () => 'https://vercel.com/dashboard',
+    install: 'npm install -g vercel',
+    login: 'vercel login'
+  },
+  netlify: {
+    cli: 'Netlify',
+    version: 'netlify --version',
+    deployments: projectName => `netlify api listSiteDeploys --data='{ "site_id": "${projectName}" }'`,
+    logs: projectName => `netlify logs --site=${projectName}`,
+    dashboard: projectName => `https://app.netlify.com/sites/${projectName}`,
+    install: 'npm install -g netlify-cli',
+    login: 'netlify login'
+  }
+};
+
 export async function logsCommand(options = {}) {
+  const json = Boolean(options.json);
+  
   try {
-    const fs = await import('fs-extra');
-    
-    // Check if deployment config exists
-    if (!await fs.pathExists('.env.bit2')) {
-      console.log(chalk.red('❌ No deployment found'));
-      console.log(chalk.gray('Run: bit2 deploy'));
-      process.exit(1);
+    // --env staging looks at the deployment of the staging environment
+    let environment;
+    try {
+      ({ environment } = await loadConfig(process.cwd(), { env: options.env }));
+    } catch (error) {
+      exitWithError(error.message, error.recoverySteps, { json });
     }
+    const envFlag = environmentFlag(environment);
     
-    // Read deployment config
-    const deploymentConfig = await readDeploymentConfig('.env.bit2');
+    const { PROVIDER: provider, PROJECT_NAME: projectName } = await readDeployment(environment);
     
-    if (!deploymentConfig) {
-      console.log(chalk.red('❌ Could not read deployment configuration'));
-      process.exit(1);
+    if (!provider && !projectName) {
+      exitWithError('No deployment found', [`Run: bit2 deploy${envFlag}`], { json });
     }
     
-    const { provider, projectName } = deploymentConfig;
-    
     if (!provider || !projectName) {
-      console.log(chalk.red('❌ Incomplete deployment configuration'));
-      console.log(chalk.gray('Try running: bit2 deploy'));
-      process.exit(1);
+      exitWithError('Incomplete deployment configuration', [`Try running: bit2 deploy${envFlag}`], { json });
     }
     
-    console.log(chalk.cyan(`📋 Fetching ${provider} deployment logs...`));
-    console.log();
-    
-    // Fetch logs based on provider
-    switch (provider.toLowerCase()) {
-      case 'cloudflare':
-        await getCloudflarePageslogs(projectName);
-        break;
-      case 'vercel':
-        await getVercelLogs(projectName);
-        break;
-      case 'netlify':
-        await getNetlifyLogs(projectName);
-        break;
-      default:
-        console.log(chalk.red(`❌ Logs not supported for provider: ${provider}`));
-        console.log(chalk.gray('Supported providers: cloudflare, vercel, netlify'));
-        process.exit(1);
+    const source = LOG_SOURCES[provider.toLowerCase()];
+    if (!source) {
+      exitWithError(
+        `Logs not supported for provider: ${provider}`,
+        [`Supported providers: ${Object.keys(LOG_SOURCES).join(', ')}`],
+        { json }
+      );
     }
     
-  } catch (error) {
-    console.error(chalk.red('❌ Failed to fetch logs:'), error.message);
-    process.exit(1);
-  }
-}
-
-async function getCloudflarePageslogs(projectName) {
-  try {
-    // Check if wrangler is available
-    await execAsync('npx wrangler --version');
-    
-    // Get pages deployments
-    console.log(chalk.yellow('Recent deployments:'));
-    const { stdout } = await execAsync(`npx wrangler pages deployment list --project-name=${projectName} --compatibility-date=2023-10-01 | head -10`);
+    if (!json) {
+      console.log(chalk.cyan(`📋 Fetching ${provider} deployment logs...`));
+      console.log();
+    }
     
-    if (stdout.trim()) {
-      console.log(stdout);
-    } else {
-      console.log(chalk.gray('No recent deployments found'));
+    const deployments = await fetchDeployments(source, projectName);
+    
+    if (json) {
+      printJson({
+        environment,
+        provider,
+        projectName,
+        dashboardUrl: source.dashboard(projectName),
+        logsCommand: source.logs(projectName),
+        cliAvailable: deployments !== null,
+        deployments: deployments || []
+      });
+      return;
     }
     
-    console.log();
-    console.log(chalk.cyan('💡 For detailed logs:'));
-    console.log(chalk.gray(`• Dashboard: https://dash.cloudflare.com/pages/view/${projectName}`));
-    console.log(chalk.gray(`• CLI: npx wrangler pages deployment list --project-name=${projectName}`));
+    printDeployments(source, projectName, deployments);
     
   } catch (error) {
-    console.log(chalk.yellow('⚠ Wrangler CLI not available or not authenticated'));
-    console.log();
-    console.log(chalk.cyan('💡 View logs at:'));
-    console.log(chalk.gray(`• Dashboard: https://dash.cloudflare.com/pages/view/${projectName}`));
-    console.log(chalk.gray(`• Install Wrangler: npm install -g wrangler`));
-    console.log(chalk.gray(`• Login: npx wrangler login`));
+    exitWithError(`Failed to fetch logs: ${error.message}`, [], { json });
   }
 }
 
-async function getVercelLogs(projectName) {
+// The first lines of the provider's deployment list, null when its CLI isn't available or logged in
+async function fetchDeployments(source, projectName) {
   try {
-    // Check if vercel CLI is available
-    await execAsync('vercel --version');
-    
-    // Get recent deployments
-    console.log(chalk.yellow('Recent deployments:'));
-    const { stdout } = await execAsync(`vercel ls ${projectName} | head -10`);
-    
-    if (stdout.trim()) {
-      console.log(stdout);
-    } else {
-      console.log(chalk.gray('No recent deployments found'));
-    }
-    
-    console.log();
-    console.log(chalk.cyan('💡 For detailed logs:'));
-    console.log(chalk.gray(`• CLI: vercel logs ${projectName}`));
-    console.log(chalk.gray('• Dashboard: https://vercel.com/dashboard'));
-    
+    await execAsync(source.version);
+    const { stdout } = await execAsync(`${source.deployments(projectName)} | head -10`);
+    return stdout.split('\n').filter(line => line.trim());
   } catch (error) {
-    console.log(chalk.yellow('⚠ Vercel CLI not available or not authenticated'));
-    console.log();
-    console.log(chalk.cyan('💡 View logs at:'));
-    console.log(chalk.gray('• Dashboard: https://vercel.com/dashboard'));
-    console.log(chalk.gray('• Install CLI: npm install -g vercel'));
-    console.log(chalk.gray('• Login: vercel login'));
+    return null;
   }
 }
 
-async function getNetlifyLogs(projectName) {
-  try {
-    // Check if netlify CLI is available
-    await execAsync('netlify --version');
-    
-    // Get site info and recent deploys
-    console.log(chalk.yellow('Recent deployments:'));
-    const { stdout } = await execAsync(`netlify api listSiteDeploys --data='{ "site_id": "${projectName}" }' | head -10`);
-    
-    if (stdout.trim()) {
-      console.log(stdout);
-    } else {
-      console.log(chalk.gray('No recent deployments found'));
-    }
-    
-    console.log();
-    console.log(chalk.cyan('💡 For detailed logs:'));
-    console.log(chalk.gray(`• CLI: netlify logs --site=${projectName}`));
-    console.log(chalk.gray('• Dashboard: https://app.netlify.com/sites/' + projectName));
-    
-  } catch (error) {
-    console.log(chalk.yellow('⚠ Netlify CLI not available or not authenticated'));
+function printDeployments(source, projectName, deployments) {
+  if (deployments === null) {
+    console.log(chalk.yellow(`⚠ ${source.cli} CLI not available or not authenticated`));
     console.log();
     console.log(chalk.cyan('💡 View logs at:'));
-    console.log(chalk.gray(`• Dashboard: https://app.netlify.com/sites/${projectName}`));
-    console.log(chalk.gray('• Install CLI: npm install -g netlify-cli'));
-    console.log(chalk.gray('• Login: netlify login'));
+    console.log(chalk.gray(`• Dashboard: ${source.dashboard(projectName)}`));
+    console.log(chalk.gray(`• Install CLI: ${source.install}`));
+    console.log(chalk.gray(`• Login: ${source.login}`));
+    return;
   }
-}
-
-async function readDeploymentConfig(configPath) {
-  try {
-    const fs = await import('fs-extra');
-    const content = await fs.readFile(configPath, 'utf8');
-    
-    const config = {};
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      if (line.startsWith('BIT2_')) {
-        const [key, ...valueParts] = line.split('=');
-        const value = valueParts.join('=');
-        const configKey = key.replace('BIT2_', '').toLowerCase();
-        
-        switch (configKey) {
-          case 'project_name':
-            config.projectName = value;
-            break;
-          case 'provider':
-            config.provider = value;
-            break;
-          case 'deployment_url':
-            config.deploymentUrl = value;
-            break;
-          case 'created_at':
-            config.createdAt = value;
-            break;
-        }
-      }
-    }
-    
-    return config;
-  } catch (error) {
-    return null;
+  
+  console.log(chalk.yellow('Recent deployments:'));
+  if (deployments.length > 0) {
+    console.log(deployments.join('\n'));
+  } else {
+    console.log(chalk.gray('No recent deployments found'));
   }
-}
\ No newline at end of file
+  
+  console.log();
+  console.log(chalk.cyan('💡 For detailed logs:'));
+  console.log(chalk.gray(`• Dashboard: ${source.dashboard(projectName)}`));
+  console.log(chalk.gray(`• CLI: ${source.logs(projectName)}`));
+}
@@ -1,163 +1,554 @@
 import chalk from 'chalk';
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs-extra';
-import path from 'path';
 import ora from 'ora';
+import {
+  loadMigrations,
+  legacySchemaPath,
+  planMigrations,
+  readAppliedMigrations,
+  buildMigrationBatches,
+  removeMigrationRecordStatement,
+  planRollback,
+  isDestructiveStatement,
+  migrationStatements,
+  createMigrationFile
+} from '../utils/migrations.js';
+import { DEFAULT_SEED_PROFILE, findSeedProfile, listSeedProfiles, buildSeedBatch } from '../utils/seeds.js';
+import { localConnection, runBatches, resolveTursoConnection } from '../utils/database.js';
+import { createBackup } from '../utils/backup.js';
+import { writeTypesFile } from '../utils/typegen.js';
+import { introspectSchema, rebuildSearchIndexStatements } from '../utils/schema.js';
+import { loadConfig } from '../utils/config.js';
+import { handleError } from '../utils/errors.js';
 
-const execAsync = promisify(exec);
+export async function migrateCommand(action, name, options = {}) {
+  if (!action || action === 'up') {
+    await runMigrations(options);
+  } else if (action === 'new') {
+    await newMigration(name);
+  } else if (action === 'status') {
+    await showMigrationStatus(options);
+  } else if (action === 'rollback') {
+    await rollbackMigrations(options);
+  } else {
+    console.log(chalk.red(`❌ Unknown action: ${action}`));
+    console.log();
+    showUsage();
+    process.exit(1);
+  }
+}
+
+async function runMigrations(options = {}) {
+  const { dryRun } = options;
+  console.log(`${chalk.yellow('∴')} ${dryRun ? 'Planning' : 'Running'} database migrations...`);
+
+  const spinner = ora('Checking for migrations...').start();
 
-export async function migrateCommand() {
-  console.log(`${chalk.yellow('∴')} Running database migrations...`);
-  
-  const spinner = ora('Checking for schema file...').start();
-  
   try {
-    // Check if schema.sql exists
-    const schemaPath = './src/db/schema.sql';
-    if (!await fs.pathExists(schemaPath)) {
+    if (!await fs.pathExists('./package.json')) {
+      spinner.fail();
+      console.error(chalk.red('❌ No package.json found. Run this command in your project root.'));
+      process.exit(1);
+    }
+
+    const config = await loadConfig(process.cwd(), { env: options.env });
+    const migrations = await loadMigrations(config.paths.migrations);
+    if (!migrations) {
       spinner.fail();
-      console.error(chalk.red('❌ No schema.sql file found at ./src/db/schema.sql'));
+      console.error(chalk.red(`❌ No migrations found at ${config.paths.migrations} (or legacy ${legacySchemaPath(config.paths.migrations)})`));
+      console.log(chalk.yellow('Create one with: bit2 migrate new <name>'));
       process.exit(1);
     }
-    
-    // Read schema file
-    const schema = await fs.readFile(schemaPath, 'utf8');
-    spinner.succeed('Schema file found');
-    
-    // Determine environment strictly by NODE_ENV
-    const isProduction = process.env.NODE_ENV === 'production';
-    
-    // Split SQL into individual statements and clean them
-    // This function properly handles semicolons within quoted strings
-    const splitSqlStatements = (sql) => {
-      const lines = sql.split('\n');
-      const cleanLines = lines.filter(line => !line.trim().startsWith('--') && line.trim() !== '');
-      const cleanSql = cleanLines.join('\n');
-      
-      const statements = [];
-      let currentStatement = '';
-      let inSingleQuotes = false;
-      let inDoubleQuotes = false;
-      let i = 0;
-      
-      while (i < cleanSql.length) {
-        const char = cleanSql[i];
-        
-        if (char === "'" && !inDoubleQuotes) {
-          // Check for escaped single quotes
-          if (i + 1 < cleanSql.length && cleanSql[i + 1] === "'") {
-            currentStatement += "''";
-            i += 2;
-            continue;
-          }
-          inSingleQuotes = !inSingleQuotes;
-        } else if (char === '"' && !inSingleQuotes) {
-          inDoubleQuotes = !inDoubleQuotes;
-        } else if (char === ';' && !inSingleQuotes && !inDoubleQuotes) {
-          // End of statement
-          const stmt = currentStatement.trim();
-          if (stmt.length > 0) {
-            statements.push(stmt);
-          }
-          currentStatement = '';
-          i++;
-          continue;
-        }
-        
-        currentStatement += char;
-        i++;
+    spinner.succeed(`Found ${migrations.length} migration file(s)`);
+
+    const target = selectTarget(config, options);
+
+    spinner.start(`Reading migration history from ${target.label}...`);
+    let plan;
+    try {
+      plan = planMigrations(migrations, await target.readApplied());
+      spinner.succeed(`${plan.applied.length} applied, ${plan.pending.length} pending on ${target.label}`);
+    } catch (error) {
+      spinner.fail();
+      console.error(chalk.red(`❌ Failed to read migration history from ${target.label}:`), error.message);
+      printRecoverySteps(error);
+      process.exit(1);
+    }
+
+    for (const migration of plan.modified) {
+      console.log(chalk.yellow(`⚠ ${migration.id} was modified after it was applied (checksum mismatch)`));
+    }
+
+    // Without --seed the dev profile only seeds a fresh database, so re-running migrate never duplicates rows
+    const explicitSeed = typeof options.seed === 'string';
+    const isFresh = plan.applied.length === 0 && plan.pending.length > 0;
+    let seedProfile = null;
+    if (options.seed !== false && (explicitSeed || isFresh)) {
+      seedProfile = await findSeedProfile(explicitSeed ? options.seed : DEFAULT_SEED_PROFILE, config.paths.seeds);
+      if (!seedProfile && explicitSeed) {
+        const available = (await listSeedProfiles(config.paths.seeds)).map(profile => profile.name);
+        console.error(chalk.red(`❌ Seed profile "${options.seed}" not found in ${config.paths.seeds}`));
+        console.log(chalk.gray(`Available profiles: ${available.join(', ') || '(none)'}`));
+        process.exit(1);
       }
-      
-      // Add the last statement if there is one
-      const lastStmt = currentStatement.trim();
-      if (lastStmt.length > 0) {
-        statements.push(lastStmt);
+    }
+
+    if (dryRun) {
+      const sections = plan.pending.map(migration => ({
+        title: migration.id,
+        statements: migrationStatements(migration, 'up').map(statement => statement.sql)
+      }));
+      if (seedProfile?.format === 'sql') {
+        const seedBatch = await buildSeedBatch(seedProfile);
+        sections.push({ title: seedProfile.file, statements: seedBatch.statements.map(statement => statement.sql) });
+      } else if (seedProfile) {
+        sections.push({ title: `${seedProfile.file} (rows are generated when applied)`, statements: [] });
       }
-      
-      return statements;
-    };
-
-    if (isProduction) {
-      // Production: Run against Turso database using a temp SQL file to avoid shell quoting issues
-      spinner.start('Running migrations against Turso database...');
-      const packageJson = await fs.readJson('./package.json');
-      const projectName = packageJson.name;
+      printSqlPlan(target, sections);
+      return;
+    }
+
+    if ((plan.pending.length > 0 || seedProfile) && options.backup !== false) {
+      await backupTarget(target, 'pre-migrate', spinner);
+    }
+
+    if (plan.pending.length === 0) {
+      console.log(chalk.gray('  No pending migrations'));
+    } else {
+      spinner.start(`Applying ${plan.pending.length} migration(s) to ${target.label}...`);
       try {
-        const statements = splitSqlStatements(schema);
-        const sqlBatch = statements.map(s => (s.endsWith(';') ? s : `${s};`)).join('\n');
-        await fs.writeFile('./temp-migration.sql', sqlBatch + '\n');
-        await execAsync(`turso db shell ${projectName} < ./temp-migration.sql`);
-        await fs.remove('./temp-migration.sql');
-        spinner.succeed('Migrations completed on Turso database');
+        await target.execute(buildMigrationBatches(plan.pending));
+        spinner.succeed(`Applied ${plan.pending.length} migration(s) to ${target.label}`);
+        plan.pending.forEach(migration => {
+          console.log(chalk.gray(`  ✓ ${migration.id}`));
+        });
       } catch (error) {
         spinner.fail();
-        console.error(chalk.red('❌ Failed to run migrations on Turso:'), error.message);
-        console.log(chalk.yellow('Make sure you have the Turso CLI installed and are authenticated.'));
-        process.exit(1);
+        reportBatchFailure(error, target);
+        process.exit(Number.isInteger(error.code) ? error.code : 1);
       }
-    } else {
-      // Development: Run against local SQLite file, one statement at a time
-      spinner.start('Running migrations against local database...');
+      await refreshTypes(target);
+    }
+
+    if (seedProfile) {
+      spinner.start(`Seeding ${seedProfile.name} profile...`);
+      let seedBatch;
       try {
-        const statements = splitSqlStatements(schema);
-        const migrationScript = `import { createClient } from '@libsql/client';
+        // Generated seeds read the schema, so they are built once the migrations are in
+        seedBatch = await buildSeedBatch(seedProfile, {
+          connection: await target.connection(),
+          randomSeed: options.seedRandom
+        });
+        await target.execute([seedBatch]);
+      } catch (error) {
+        spinner.fail();
+        reportBatchFailure(error, target);
+        process.exit(Number.isInteger(error.code) ? error.code : 1);
+      }
+      spinner.succeed(`Seed data applied (${seedProfile.name}, ${seedBatch.statements.length} statement(s))`);
+      if (seedBatch.randomSeed && options.seedRandom === undefined) {
+        console.log(chalk.gray(`  Reproduce these rows with --seed-random ${seedBatch.randomSeed}`));
+      }
+    }
 
-const db = createClient({ url: 'file:./dev.db' });
-const statements = ${JSON.stringify(statements)};
+    if (plan.pending.length > 0 || seedProfile) {
+      await rebuildSearchIndexes(target, spinner);
+    }
+
+    console.log(chalk.green('✅ Database migrations completed successfully!'));
 
-for (const statement of statements) {
-  await db.execute(statement);
+  } catch (error) {
+    spinner.fail();
+    console.error(chalk.red('❌ Migration failed:'), error.message);
+    printRecoverySteps(error);
+    process.exit(1);
+  }
 }
 
-await db.close();
-console.log('Migrations completed');
-`;
-        await fs.writeFile('./temp-migration.mjs', migrationScript);
-        await execAsync('bun ./temp-migration.mjs');
-        await fs.remove('./temp-migration.mjs');
-        spinner.succeed('Migrations completed on local database (dev.db)');
-      } catch (error) {
-        spinner.fail();
-        console.error(chalk.red('❌ Failed to run migrations on local database:'), error.message);
-        process.exit(1);
-      }
+async function rollbackMigrations(options) {
+  const { steps, to, force, dryRun } = options;
+  console.log(`${chalk.yellow('∴')} ${dryRun ? 'Planning rollback of' : 'Rolling back'} database migrations...`);
+
+  if (steps !== undefined && to) {
+    console.error(chalk.red('❌ Use either --steps or --to, not both'));
+    process.exit(1);
+  }
+
+  const spinner = ora('Checking for migrations...').start();
+
+  try {
+    if (!await fs.pathExists('./package.json')) {
+      spinner.fail();
+      console.error(chalk.red('❌ No package.json found. Run this command in your project root.'));
+      process.exit(1);
     }
-    
-    // Run seed data if exists
-    const seedPath = './src/db/seed.sql';
-    if (await fs.pathExists(seedPath)) {
-      spinner.start('Running seed data...');
-      const seedData = await fs.readFile(seedPath, 'utf8');
-      const seedStatements = splitSqlStatements(seedData);
-      if (isProduction) {
-        const packageJson = await fs.readJson('./package.json');
-        const projectName = packageJson.name;
-        const sqlBatch = seedStatements.map(s => (s.endsWith(';') ? s : `${s};`)).join('\n');
-        await fs.writeFile('./temp-seed.sql', sqlBatch + '\n');
-        await execAsync(`turso db shell ${projectName} < ./temp-seed.sql`);
-        await fs.remove('./temp-seed.sql');
+
+    const config = await loadConfig(process.cwd(), { env: options.env });
+    const migrations = await loadMigrations(config.paths.migrations) || [];
+
+    const target = selectTarget(config, options);
+
+    spinner.text = `Reading migration history from ${target.label}...`;
+    const plan = planMigrations(migrations, await target.readApplied());
+
+    // Rows whose file was deleted can still be rolled back with --force
+    const applied = [
+      ...plan.applied,
+      ...plan.missing.map(row => ({ id: row.id, down: null, missingFile: true }))
+    ];
+
+    let toRollback;
+    try {
+      toRollback = planRollback(applied, { steps, to });
+    } catch (error) {
+      spinner.fail();
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    if (toRollback.length === 0) {
+      spinner.succeed(`Nothing to roll back on ${target.label}`);
+      return;
+    }
+    spinner.succeed(`${toRollback.length} migration(s) to roll back on ${target.label}`);
+
+    const irreversible = toRollback.filter(migration => migrationStatements(migration, 'down').length === 0);
+    if (irreversible.length > 0 && !force) {
+      console.log();
+      console.log(chalk.red('❌ Cannot roll back migrations without a down section:'));
+      irreversible.forEach(migration => {
+        const reason = migration.missingFile ? 'file is missing' : 'no "-- migrate:down" section';
+        console.log(chalk.gray(`  • ${migration.id} (${reason})`));
+      });
+      console.log();
+      console.log(chalk.yellow('Add a "-- migrate:down" section to each file, or re-run with --force'));
+      console.log(chalk.yellow('to remove them from the migration history without reverting their changes.'));
+      process.exit(1);
+    }
+
+    if (dryRun) {
+      printSqlPlan(target, toRollback.map(migration => ({
+        title: migration.id,
+        statements: migrationStatements(migration, 'down').map(statement => statement.sql)
+      })));
+      return;
+    }
+
+    const batches = toRollback.map(migration => ({
+      name: `${migration.id} (down)`,
+      file: migration.file,
+      statements: [...migrationStatements(migration, 'down'), removeMigrationRecordStatement(migration)]
+    }));
+
+    if (options.backup !== false) {
+      await backupTarget(target, 'pre-rollback', spinner);
+    }
+
+    spinner.start(`Rolling back ${toRollback.length} migration(s) on ${target.label}...`);
+    try {
+      await target.execute(batches);
+    } catch (error) {
+      spinner.fail();
+      reportBatchFailure(error, target);
+      process.exit(Number.isInteger(error.code) ? error.code : 1);
+    }
+    spinner.succeed(`Rolled back ${toRollback.length} migration(s) on ${target.label}`);
+
+    const irreversibleIds = new Set(irreversible.map(migration => migration.id));
+    toRollback.forEach(migration => {
+      if (irreversibleIds.has(migration.id)) {
+        console.log(chalk.yellow(`  ⚠ ${migration.id} (forced, schema changes were not reverted)`));
       } else {
-        const seedScript = `import { createClient } from '@libsql/client';
-
-const db = createClient({ url: 'file:./dev.db' });
-const statements = ${JSON.stringify(seedStatements)};
-for (const s of statements) { await db.execute(s); }
-await db.close();
-console.log('Seed data applied');
-`;
-        await fs.writeFile('./temp-seed.mjs', seedScript);
-        await execAsync('bun ./temp-seed.mjs');
-        await fs.remove('./temp-seed.mjs');
+        console.log(chalk.gray(`  ↺ ${migration.id}`));
       }
-      spinner.succeed('Seed data applied');
+    });
+
+    await refreshTypes(target);
+    console.log(chalk.green('✅ Rollback completed successfully!'));
+
+  } catch (error) {
+    spinner.fail();
+    console.error(chalk.red('❌ Rollback failed:'), error.message);
+    printRecoverySteps(error);
+    process.exit(1);
+  }
+}
+
+// Safety net before changing the schema; a failed backup stops the run
+async function backupTarget(target, label, spinner) {
+  spinner.start(`Backing up ${target.label}...`);
+  try {
+    const backup = await target.backup(label);
+    if (backup) {
+      spinner.succeed(`Backup saved to ${backup.file}`);
+    } else {
+      spinner.stop();
     }
-    
-    console.log(chalk.green('✅ Database migrations completed successfully!'));
-    
   } catch (error) {
     spinner.fail();
-    console.error(chalk.red('❌ Migration failed:'), error.message);
+    console.error(chalk.red(`❌ Could not back up ${target.label}:`), error.message);
+    console.log(chalk.yellow('Re-run with --no-backup to continue without a backup'));
     process.exit(1);
   }
-}
\ No newline at end of file
+}
+
+// Full-text indexes (e.g. quotes_fts) are rebuilt from their content tables, so rows
+// written before the sync triggers existed or by a migration that bypassed them are found
+async function rebuildSearchIndexes(target, spinner) {
+  const statements = rebuildSearchIndexStatements(await introspectSchema(await target.connection()));
+  if (statements.length === 0) {
+    return;
+  }
+
+  spinner.start(`Rebuilding ${statements.length} search index(es)...`);
+  try {
+    await target.execute([{ name: 'Rebuild search indexes', statements }]);
+  } catch (error) {
+    spinner.fail();
+    reportBatchFailure(error, target);
+    process.exit(Number.isInteger(error.code) ? error.code : 1);
+  }
+  spinner.succeed(`Rebuilt ${statements.length} search index(es)`);
+}
+
+// Keep the generated types (src/db/types.generated.ts) in sync with dev.db after schema changes
+async function refreshTypes(target) {
+  if (!target.writeTypes) {
+    return;
+  }
+  try {
+    const { file, changed } = await target.writeTypes();
+    if (changed) {
+      console.log(chalk.gray(`  ✓ Updated ${file}`));
+    }
+  } catch (error) {
+    console.log(chalk.yellow(`⚠ Could not regenerate database types: ${error.message}`));
+  }
+}
+
+function reportBatchFailure(error, target) {
+  console.error(chalk.red(`❌ Failed to run migrations on ${target.label}:`), error.message);
+
+  if (error.statement) {
+    console.log();
+    console.log(chalk.gray('Failing statement:'));
+    console.log(chalk.white(`  ${error.statement.sql.replace(/\n/g, '\n  ')}`));
+    console.log();
+    if (error.committedBatches?.length > 0) {
+      console.log(chalk.gray(`Committed before the failure: ${error.committedBatches.join(', ')}`));
+    }
+  }
+  printRecoverySteps(error);
+}
+
+function printRecoverySteps(error) {
+  if (error.recoverySteps?.length > 0) {
+    console.log();
+    console.log(chalk.cyan('🔧 Recovery steps:'));
+    error.recoverySteps.forEach(step => {
+      console.log(chalk.gray(`  • ${step}`));
+    });
+  }
+}
+
+// Print the statements a run would execute, without touching the database
+function printSqlPlan(target, sections) {
+  console.log();
+  console.log(chalk.cyan('📋 SQL plan (dry run)'));
+  console.log(chalk.gray(`  Target: ${target.label}`));
+  console.log(chalk.gray(`  Database: ${target.databaseName}`));
+  console.log();
+
+  let total = 0;
+  let destructive = 0;
+
+  for (const { title, statements } of sections) {
+    console.log(chalk.yellow(`${title} (${statements.length} statement(s))`));
+    if (statements.length === 0) {
+      console.log(chalk.gray('  (no statements)'));
+    }
+    statements.forEach((statement, index) => {
+      total++;
+      const text = `${statement};`.replace(/\n/g, '\n     ');
+      if (isDestructiveStatement(statement)) {
+        destructive++;
+        console.log(chalk.red(`  ${String(index + 1).padStart(2)}. ${text}`) + chalk.bold.red('  [DESTRUCTIVE]'));
+      } else {
+        console.log(chalk.white(`  ${String(index + 1).padStart(2)}. ${text}`));
+      }
+    });
+    console.log();
+  }
+
+  if (sections.length === 0) {
+    console.log(chalk.gray('  Nothing to do'));
+    console.log();
+  }
+
+  console.log(chalk.cyan(`Summary: ${total} statement(s), ${destructive} destructive`));
+  if (destructive > 0) {
+    console.log(chalk.yellow('⚠ Review the destructive statements above before applying this plan'));
+  }
+  console.log(chalk.gray('Dry run only - no changes were made'));
+}
+
+async function newMigration(name) {
+  if (!name) {
+    console.log(chalk.red('❌ Migration name is required'));
+    console.log(chalk.gray('Usage: bit2 migrate new <name>'));
+    process.exit(1);
+  }
+
+  try {
+    const config = await loadConfig();
+    const { id, file } = await createMigrationFile(name, config.paths.migrations);
+    console.log(chalk.green(`✅ Created migration ${chalk.bold(id)}`));
+    console.log(chalk.gray(`  ${file}`));
+    console.log();
+    console.log(chalk.cyan('Next steps:'));
+    console.log(chalk.gray('  • Add your SQL statements to the file'));
+    console.log(chalk.gray('  • Run: bit2 migrate'));
+  } catch (error) {
+    console.error(chalk.red('❌ Failed to create migration:'), error.message);
+    printRecoverySteps(error);
+    process.exit(1);
+  }
+}
+
+async function showMigrationStatus(options = {}) {
+  console.log(`${chalk.yellow('∴')} Migration status`);
+  console.log();
+
+  let config;
+  try {
+    config = await loadConfig(process.cwd(), { env: options.env });
+  } catch (error) {
+    handleError(error);
+  }
+
+  const migrations = await loadMigrations(config.paths.migrations);
+  if (!migrations) {
+    console.error(chalk.red(`❌ No migrations found at ${config.paths.migrations}`));
+    process.exit(1);
+  }
+
+  const targets = [createLocalTarget(config), createTursoTarget(config)];
+
+  for (const target of targets) {
+    console.log(chalk.yellow(`${target.label}:`));
+
+    let appliedRows;
+    try {
+      appliedRows = await target.readApplied();
+    } catch (error) {
+      console.log(chalk.gray(`  Not available (${error.message.split('\n')[0]})`));
+      console.log();
+      continue;
+    }
+
+    const plan = planMigrations(migrations, appliedRows);
+    const modifiedIds = new Set(plan.modified.map(m => m.id));
+
+    for (const migration of plan.applied) {
+      if (modifiedIds.has(migration.id)) {
+        console.log(chalk.yellow(`  ⚠ ${migration.id} (modified after being applied)`));
+      } else {
+        console.log(chalk.green(`  ✓ ${migration.id}`) + chalk.gray(` applied ${migration.appliedAt}`));
+      }
+    }
+    for (const migration of plan.pending) {
+      console.log(chalk.white(`  ○ ${migration.id}`) + chalk.gray(' pending'));
+    }
+    for (const row of plan.missing) {
+      console.log(chalk.red(`  ✗ ${row.id}`) + chalk.gray(' applied but file is missing'));
+    }
+
+    console.log(chalk.gray(`  ${plan.applied.length} applied, ${plan.pending.length} pending`));
+    console.log();
+  }
+}
+
+// --env migrates the Turso database of that environment. Without it NODE_ENV=production
+// selects the production database and anything else dev.db.
+function selectTarget(config, options) {
+  const remote = options.env || process.env.NODE_ENV === 'production';
+  return remote ? createTursoTarget(config) : createLocalTarget(config);
+}
+
+function createLocalTarget(config) {
+  const databaseFile = config.paths.database;
+  const connection = localConnection(process.cwd(), databaseFile);
+
+  return {
+    label: `Local Database (${databaseFile})`,
+    databaseName: databaseFile,
+
+    async readApplied() {
+      // Avoid creating dev.db just to read its history
+      if (!await fs.pathExists(databaseFile)) {
+        return [];
+      }
+      return readAppliedMigrations(connection);
+    },
+
+    async connection() {
+      return connection;
+    },
+
+    async execute(batches) {
+      await runBatches(connection, batches);
+    },
+
+    async backup(label) {
+      // Nothing to lose before the first migration
+      if (!await fs.pathExists(databaseFile)) {
+        return null;
+      }
+      return createBackup(connection, { target: 'local', label, dir: config.paths.backups });
+    },
+
+    async writeTypes() {
+      return writeTypesFile(connection, config.paths.types);
+    }
+  };
+}
+
+function createTursoTarget(config) {
+  const databaseName = config.database.name;
+  let connection;
+
+  const getConnection = async () => {
+    connection = connection || await resolveTursoConnection(databaseName, process.cwd(), config.environment);
+    return connection;
+  };
+
+  return {
+    label: `Turso Database (${databaseName})`,
+    databaseName,
+
+    async readApplied() {
+      return readAppliedMigrations(await getConnection());
+    },
+
+    connection: getConnection,
+
+    async execute(batches) {
+      await runBatches(await getConnection(), batches);
+    },
+
+    async backup(label) {
+      return createBackup(await getConnection(), { target: 'remote', label, dir: config.paths.backups });
+    }
+  };
+}
+
+function showUsage() {
+  console.log(chalk.cyan('Usage: bit2 migrate [action]'));
+  console.log();
+  console.log(chalk.yellow('Actions:'));
+  console.log(chalk.gray('  up           - Apply pending migrations (default)'));
+  console.log(chalk.gray('  new <name>   - Create the next migration file'));
+  console.log(chalk.gray('  status       - List applied and pending migrations'));
+  console.log(chalk.gray('  rollback     - Reverse migrations (--steps N | --to <id>, --force)'));
+  console.log();
+}
@@ -4,11 +4,19 @@ import ora from 'ora';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { validateProjectName, formatValidationError } from '../utils/validation.js';
+import { loadMigrations, buildMigrationBatches } from '../utils/migrations.js';
+import { DEFAULT_SEED_PROFILE, findSeedProfile, buildSeedBatch } from '../utils/seeds.js';
+import { localConnection, runBatches } from '../utils/database.js';
+import { FEATURES, parseFeatureList, addFeature } from '../utils/features.js';
+import { DEFAULT_TEMPLATE, fetchTemplate, copyTemplate } from '../utils/templates.js';
+import { writeTypesFile } from '../utils/typegen.js';
+import { loadConfig } from '../utils/config.js';
+import { handleError } from '../utils/errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export async function newCommand(projectName) {
+export async function newCommand(projectName, options = {}) {
   // Validate project name
   const validation = validateProjectName(projectName);
   if (!validation.valid) {
@@ -16,6 +24,13 @@ export async function newCommand(projectName) {
     process.exit(1);
   }
   
+  let features = [];
+  try {
+    features = parseFeatureList(options.with);
+  } catch (error) {
+    handleError(error);
+  }
+  
   console.log(`${chalk.yellow('∴')} Creating new Astro + libSQL project: ${chalk.bold(projectName)}`);
   
   // Check for bun
@@ -32,63 +47,62 @@ export async function newCommand(projectName) {
     process.exit(1);
   }
   
+  const projectPath = path.resolve(process.cwd(), projectName);
+  
+  // Check if directory already exists
+  if (await fs.pathExists(projectPath)) {
+    console.error(chalk.red(`❌ Directory ${projectName} already exists!`));
+    process.exit(1);
+  }
+  
+  // Bundled template, local directory or git URL (cloned to a temporary directory)
+  let template;
+  const templateSpinner = ora(`Loading template ${options.template || DEFAULT_TEMPLATE}...`).start();
+  try {
+    template = await fetchTemplate(options.template || DEFAULT_TEMPLATE);
+    templateSpinner.succeed(`Template: ${template.label}`);
+  } catch (error) {
+    templateSpinner.fail();
+    handleError(error);
+  }
+  
   const spinner = ora('Setting up project...').start();
   
   try {
-    const projectPath = path.resolve(process.cwd(), projectName);
-    
-    // Check if directory already exists
-    if (await fs.pathExists(projectPath)) {
-      spinner.fail();
-      console.error(chalk.red(`❌ Directory ${projectName} already exists!`));
-      process.exit(1);
-    }
-    
     // Create project directory
     await fs.ensureDir(projectPath);
     
-    // Copy template files
-    const templatePath = path.resolve(__dirname, '../../templates/astro-app');
-    await fs.copy(templatePath, projectPath);
-    
-    // Update package.json with project name
-    const packageJsonPath = path.join(projectPath, 'package.json');
-    const packageJson = await fs.readJson(packageJsonPath);
-    packageJson.name = projectName;
-    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
-    
-    // Update README.md with project name and bit2 version
-    const readmePath = path.join(projectPath, 'README.md');
-    let readmeContent = await fs.readFile(readmePath, 'utf8');
-    
     // Get bit2 CLI version from package.json
     const bit2PackageJsonPath = path.resolve(__dirname, '../../package.json');
     const bit2PackageJson = await fs.readJson(bit2PackageJsonPath);
     const bit2Version = bit2PackageJson.version;
     
-    readmeContent = readmeContent.replace(/PROJECT_NAME/g, projectName);
-    readmeContent = readmeContent.replace(/v2\.0\.0/g, `v${bit2Version}`);
-    await fs.writeFile(readmePath, readmeContent);
+    // Copy the template, its manifest defines which placeholders are replaced in which files
+    const { features: templateFeatures } = await copyTemplate(template.dir, projectPath, {
+      projectName,
+      bit2Version,
+      template: template.label
+    });
+    features = [...new Set([...parseFeatureList(templateFeatures.join(',')), ...features])];
     
-    // Update version in Astro pages
-    const indexPath = path.join(projectPath, 'src/pages/index.astro');
-    const aboutPath = path.join(projectPath, 'src/pages/about.astro');
+    // Update package.json with project name
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    const packageJson = await fs.readJson(packageJsonPath);
+    packageJson.name = projectName;
+    await fs.writeJson(packageJsonPath, packageJson, { spaces: 2 });
     
-    if (await fs.pathExists(indexPath)) {
-      let indexContent = await fs.readFile(indexPath, 'utf8');
-      indexContent = indexContent.replace(/v2\.0\.0/g, `v${bit2Version}`);
-      indexContent = indexContent.replace(/BIT2_VERSION_PLACEHOLDER/g, bit2Version);
-      await fs.writeFile(indexPath, indexContent);
-    }
+    // Templates can ship a bit2.config that moves the database files
+    const config = await loadConfig(projectPath);
     
-    if (await fs.pathExists(aboutPath)) {
-      let aboutContent = await fs.readFile(aboutPath, 'utf8');
-      aboutContent = aboutContent.replace(/v2\.0\.0/g, `v${bit2Version}`);
-      aboutContent = aboutContent.replace(/BIT2_VERSION_PLACEHOLDER/g, bit2Version);
-      await fs.writeFile(aboutPath, aboutContent);
+    // Optional features (--with auth), added before install so their migrations run below
+    for (const feature of features) {
+      await addFeature(feature, projectPath);
     }
     
     spinner.succeed();
+    if (features.length > 0) {
+      console.log(chalk.green(`✓ Added ${features.join(', ')}`));
+    }
     
     // Auto-run bun install
     spinner.start('Installing dependencies...');
@@ -103,94 +117,28 @@ export async function newCommand(projectName) {
       // Auto-run migrations to create database
       spinner.start('Setting up database...');
       
-      // Read and parse SQL files
-      const schemaContent = await fs.readFile(path.join(projectPath, 'src/db/schema.sql'), 'utf8');
-      const seedContent = await fs.readFile(path.join(projectPath, 'src/db/seed.sql'), 'utf8');
+      // Apply migrations (recorded so later runs of bit2 migrate skip them) and seed data
+      // Templates without tables (minimal) or without seed data skip those steps
+      const migrations = await loadMigrations(path.join(projectPath, config.paths.migrations)) || [];
+      const seedProfile = await findSeedProfile(DEFAULT_SEED_PROFILE, path.join(projectPath, config.paths.seeds));
+      const connection = localConnection(projectPath, config.paths.database);
       
-      // Helper function to split SQL statements
-      // This function properly handles semicolons within quoted strings
-      const splitSqlStatements = (sql) => {
-        const lines = sql.split('\n');
-        const cleanLines = lines.filter(line => !line.trim().startsWith('--') && line.trim() !== '');
-        const cleanSql = cleanLines.join('\n');
-        
-        const statements = [];
-        let currentStatement = '';
-        let inSingleQuotes = false;
-        let inDoubleQuotes = false;
-        let i = 0;
-        
-        while (i < cleanSql.length) {
-          const char = cleanSql[i];
-          
-          if (char === "'" && !inDoubleQuotes) {
-            // Check for escaped single quotes
-            if (i + 1 < cleanSql.length && cleanSql[i + 1] === "'") {
-              currentStatement += "''";
-              i += 2;
-              continue;
-            }
-            inSingleQuotes = !inSingleQuotes;
-          } else if (char === '"' && !inSingleQuotes) {
-            inDoubleQuotes = !inDoubleQuotes;
-          } else if (char === ';' && !inSingleQuotes && !inDoubleQuotes) {
-            // End of statement
-            const stmt = currentStatement.trim();
-            if (stmt.length > 0) {
-              statements.push(stmt);
-            }
-            currentStatement = '';
-            i++;
-            continue;
-          }
-          
-          currentStatement += char;
-          i++;
-        }
-        
-        // Add the last statement if there is one
-        const lastStmt = currentStatement.trim();
-        if (lastStmt.length > 0) {
-          statements.push(lastStmt);
-        }
-        
-        return statements;
-      };
-      
-      // Parse SQL statements
-      const schemaStatements = splitSqlStatements(schemaContent);
-      const seedStatements = splitSqlStatements(seedContent);
-      
-      // Create the migration script
-      const migrationScript = `import { createClient } from '@libsql/client';
-
-const db = createClient({
-  url: 'file:./dev.db'
-});
-
-// Schema statements
-const schemaStatements = ${JSON.stringify(schemaStatements)};
-for (const statement of schemaStatements) {
-  await db.execute(statement);
-}
-
-// Seed statements  
-const seedStatements = ${JSON.stringify(seedStatements)};
-for (const statement of seedStatements) {
-  await db.execute(statement);
-}
-
-await db.close();
-console.log('Database initialized');
-`;
-      
-      await fs.writeFile(path.join(projectPath, 'temp-init.mjs'), migrationScript);
-      await execAsync('bun ./temp-init.mjs', { cwd: projectPath });
-      await fs.remove(path.join(projectPath, 'temp-init.mjs'));
-      spinner.succeed('Database initialized with tables and seed data');
+      await runBatches(connection, [
+        ...buildMigrationBatches(migrations),
+        ...(seedProfile ? [await buildSeedBatch(seedProfile, { connection })] : [])
+      ]);
+      if (migrations.length > 0) {
+        await writeTypesFile(connection, path.join(projectPath, config.paths.types));
+      }
+      if (seedProfile) {
+        spinner.succeed('Database initialized with tables and seed data');
+      } else {
+        spinner.succeed(migrations.length > 0 ? 'Database initialized with tables' : 'Database initialized (no tables yet)');
+      }
       
     } catch (error) {
       spinner.warn('Could not auto-install dependencies or initialize database');
+      console.log(chalk.gray(error.message));
       console.log(chalk.yellow('Please run these commands manually:'));
       console.log(chalk.gray(`  cd ${projectName}`));
       console.log(chalk.gray('  bun install'));
@@ -211,10 +159,18 @@ console.log('Database initialized');
     console.log();
     console.log(chalk.gray('or check project status:'), chalk.white(`bit2 status`));
     console.log();
+    for (const feature of features) {
+      console.log(chalk.cyan(`${feature}:`));
+      FEATURES[feature].nextSteps.forEach(step => console.log(chalk.gray(`  • ${step}`)));
+      console.log();
+    }
     
   } catch (error) {
     spinner.fail();
     console.error(chalk.red('❌ Failed to create project:'), error.message);
+    await template.cleanup();
     process.exit(1);
+  } finally {
+    await template.cleanup();
   }
 }
\ No newline at end of file
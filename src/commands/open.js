@@ -1,34 +1,34 @@
 import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { printJson, exitWithError } from '../utils/output.js';
+import { loadConfig } from '../utils/config.js';
+import { environmentFlag, readDeployment } from '../utils/deployment.js';
 
 const execAsync = promisify(exec);
 
 export async function openCommand(options = {}) {
+  // --json implies --print: report the dashboard instead of opening a browser
+  const json = Boolean(options.json);
+  
   try {
-    const fs = await import('fs-extra');
-    
-    // Check if deployment config exists
-    if (!await fs.pathExists('.env.bit2')) {
-      console.log(chalk.red('❌ No deployment found'));
-      console.log(chalk.gray('Run: bit2 deploy'));
-      process.exit(1);
+    // --env staging looks at the deployment of the staging environment
+    let environment;
+    try {
+      ({ environment } = await loadConfig(process.cwd(), { env: options.env }));
+    } catch (error) {
+      exitWithError(error.message, error.recoverySteps, { json });
     }
+    const envFlag = environmentFlag(environment);
     
-    // Read deployment config
-    const deploymentConfig = await readDeploymentConfig('.env.bit2');
+    const { PROVIDER: provider, PROJECT_NAME: projectName, DEPLOYMENT_URL: deploymentUrl } = await readDeployment(environment);
     
-    if (!deploymentConfig) {
-      console.log(chalk.red('❌ Could not read deployment configuration'));
-      process.exit(1);
+    if (!provider && !projectName) {
+      exitWithError('No deployment found', [`Run: bit2 deploy${envFlag}`], { json });
     }
     
-    const { provider, projectName } = deploymentConfig;
-    
     if (!provider || !projectName) {
-      console.log(chalk.red('❌ Incomplete deployment configuration'));
-      console.log(chalk.gray('Try running: bit2 deploy'));
-      process.exit(1);
+      exitWithError('Incomplete deployment configuration', [`Try running: bit2 deploy${envFlag}`], { json });
     }
     
     // Generate dashboard URL based on provider
@@ -44,8 +44,18 @@ export async function openCommand(options = {}) {
         dashboardUrl = `https://app.netlify.com/sites/${projectName}`;
         break;
       default:
-        console.log(chalk.red(`❌ Unsupported provider: ${provider}`));
-        process.exit(1);
+        exitWithError(`Unsupported provider: ${provider}`, [], { json });
+    }
+    
+    if (json) {
+      printJson({ environment, provider, projectName, dashboardUrl, deploymentUrl: deploymentUrl || null });
+      return;
+    }
+    
+    // Just the URL, for scripts: open "$(bit2 open --print)"
+    if (options.print) {
+      console.log(dashboardUrl);
+      return;
     }
     
     console.log(chalk.cyan(`Opening ${provider} dashboard...`));
@@ -63,44 +73,10 @@ export async function openCommand(options = {}) {
     }
     
   } catch (error) {
+    if (json) {
+      exitWithError(`Failed to open dashboard: ${error.message}`, [], { json });
+    }
     console.error(chalk.red('❌ Failed to open dashboard:'), error.message);
     process.exit(1);
   }
 }
-
-async function readDeploymentConfig(configPath) {
-  try {
-    const fs = await import('fs-extra');
-    const content = await fs.readFile(configPath, 'utf8');
-    
-    const config = {};
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      if (line.startsWith('BIT2_')) {
-        const [key, ...valueParts] = line.split('=');
-        const value = valueParts.join('=');
-        const configKey = key.replace('BIT2_', '').toLowerCase();
-        
-        switch (configKey) {
-          case 'project_name':
-            config.projectName = value;
-            break;
-          case 'provider':
-            config.provider = value;
-            break;
-          case 'deployment_url':
-            config.deploymentUrl = value;
-            break;
-          case 'created_at':
-            config.createdAt = value;
-            break;
-        }
-      }
-    }
-    
-    return config;
-  } catch (error) {
-    return null;
-  }
-}
\ No newline at end of file
@@ -2,44 +2,82 @@ import chalk from 'chalk';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { TimedSpinner } from '../utils/spinner.js';
+import { localConnection, storedTursoConnection } from '../utils/database.js';
+import { introspectSchema, diffSchemas } from '../utils/schema.js';
+import { printJson, plainText, exitWithError } from '../utils/output.js';
+import { loadConfig } from '../utils/config.js';
+import { legacySchemaPath } from '../utils/migrations.js';
+import { handleError } from '../utils/errors.js';
+import { SECRETS_FILE, TOKEN_PATTERN } from '../utils/secrets.js';
+import { tokenExpiry, EXPIRY_WARNING_DAYS } from '../utils/tokens.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, readDeployment } from '../utils/deployment.js';
 
 const execAsync = promisify(exec);
 
-export async function statusCommand() {
-  console.log(`${chalk.yellow('∴')} bit2 Project Status`);
-  console.log();
+const CHECKS = [
+  { name: 'Project Structure', check: checkProjectStructure },
+  { name: 'Dependencies', check: checkDependencies },
+  { name: 'Database', check: checkDatabase },
+  { name: 'Git Repository', check: checkGitRepo },
+  { name: 'Turso Database', check: checkTursoDatabase },
+  { name: 'Schema Drift', check: checkSchemaDrift },
+  { name: 'Deployment Config', check: checkDeploymentConfig },
+  { name: 'Secrets', check: checkSecrets }
+];
+
+export async function statusCommand(options = {}) {
+  // --env staging checks the database, deployment and token of the staging environment
+  let config;
+  try {
+    config = await loadConfig(process.cwd(), { env: options.env });
+  } catch (error) {
+    if (options.json) {
+      exitWithError(error.message, error.recoverySteps, { json: true });
+    }
+    handleError(error);
+  }
   
-  const checks = [
-    { name: 'Project Structure', check: checkProjectStructure },
-    { name: 'Dependencies', check: checkDependencies },
-    { name: 'Database', check: checkDatabase },
-    { name: 'Git Repository', check: checkGitRepo },
-    { name: 'Turso Database', check: checkTursoDatabase },
-    { name: 'Deployment Config', check: checkDeploymentConfig }
-  ];
+  // Any check with status "error" makes the command exit non-zero, so status can gate CI
+  if (options.json) {
+    const checks = [];
+    for (const { name, check } of CHECKS) {
+      checks.push(toJsonCheck(name, await runCheck(check, config)));
+    }
+    const ok = !checks.some(check => check.status === 'error');
+    printJson({ ok, environment: config.environment, checks });
+    if (!ok) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  
+  const label = config.environment === DEFAULT_ENVIRONMENT ? '' : chalk.gray(` (${config.environment})`);
+  console.log(`${chalk.yellow('∴')} bit2 Project Status${label}`);
+  console.log();
   
-  for (const { name, check } of checks) {
+  let failed = false;
+  for (const { name, check } of CHECKS) {
     const spinner = new TimedSpinner(`Checking ${name}`);
-    try {
-      const result = await check();
-      if (result.status === 'success') {
-        spinner.succeed(`${name}: ${chalk.green(result.message)}`);
-      } else if (result.status === 'warning') {
-        spinner.warn(`${name}: ${chalk.yellow(result.message)}`);
-      } else {
-        spinner.fail(`${name}: ${chalk.red(result.message)}`);
-      }
-      
-      if (result.details) {
-        result.details.forEach(detail => {
-          console.log(chalk.gray(`  ${detail}`));
-        });
-      }
-    } catch (error) {
-      spinner.fail(`${name}: ${chalk.red('Check failed')}`);
+    const result = await runCheck(check, config);
+    if (result.status === 'success') {
+      spinner.succeed(`${name}: ${chalk.green(result.message)}`);
+    } else if (result.status === 'warning') {
+      spinner.warn(`${name}: ${chalk.yellow(result.message)}`);
+    } else {
+      failed = true;
+      spinner.fail(`${name}: ${chalk.red(result.message)}`);
+    }
+    
+    if (result.details) {
+      result.details.forEach(detail => {
+        console.log(chalk.gray(`  ${detail}`));
+      });
     }
     console.log();
   }
+  if (failed) {
+    process.exitCode = 1;
+  }
   
   // Show final recommendations
   console.log(chalk.bold.blue('NEXT STEPS'));
@@ -51,14 +89,31 @@ export async function statusCommand() {
   console.log();
 }
 
-async function checkProjectStructure() {
+async function runCheck(check, config) {
+  try {
+    return await check(config);
+  } catch (error) {
+    return { status: 'error', message: 'Check failed', details: [error.message] };
+  }
+}
+
+// The --json schema: { name, status: "success" | "warning" | "error", message, details: string[] }
+function toJsonCheck(name, result) {
+  return {
+    name,
+    status: result.status,
+    message: plainText(result.message),
+    details: (result.details || []).map(plainText).filter(Boolean)
+  };
+}
+
+async function checkProjectStructure(config) {
   const fs = await import('fs-extra');
   const requiredFiles = [
     'package.json',
-    'astro.config.mjs',
+    config.paths.astroConfig,
     'src/pages/index.astro',
-    'src/db/client.ts',
-    'src/db/schema.sql'
+    'src/db/client.ts'
   ];
   
   const missing = [];
@@ -68,6 +123,11 @@ async function checkProjectStructure() {
     }
   }
   
+  // Older projects keep a single schema.sql instead of versioned migrations
+  if (!await hasMigrations(config)) {
+    missing.push(config.paths.migrations);
+  }
+  
   if (missing.length === 0) {
     return { status: 'success', message: 'All required files present' };
   } else {
@@ -111,15 +171,15 @@ async function checkDependencies() {
   }
 }
 
-async function checkDatabase() {
+async function checkDatabase(config) {
   const fs = await import('fs-extra');
   
   try {
-    const hasDevDb = await fs.pathExists('dev.db');
-    const hasSchema = await fs.pathExists('src/db/schema.sql');
+    const hasDevDb = await fs.pathExists(config.paths.database);
+    const hasSchema = await hasMigrations(config);
     
     if (!hasSchema) {
-      return { status: 'error', message: 'Schema file missing' };
+      return { status: 'error', message: 'Migrations directory missing' };
     }
     
     if (hasDevDb) {
@@ -170,13 +230,12 @@ async function checkGitRepo() {
   }
 }
 
-async function checkTursoDatabase() {
-  const fs = await import('fs-extra');
-  
+async function checkTursoDatabase(config) {
   try {
-    // Get project name from package.json
-    const packageJson = await fs.readJson('package.json');
-    const projectName = packageJson.name;
+    const projectName = config.database.name;
+    if (!projectName) {
+      return { status: 'error', message: 'No database name', details: ['Set database.name in bit2.config.json or add a package.json name'] };
+    }
     
     // Check if authenticated with Turso
     try {
@@ -199,14 +258,14 @@ async function checkTursoDatabase() {
         message: 'Turso database exists',
         details: [
           chalk.yellow('Database URL: ') + chalk.cyan(dbUrl.trim()),
-          chalk.gray(`Use ${chalk.bold('bit2 db')} to get connection details`)
+          chalk.gray(`Use ${chalk.bold(`bit2 db${environmentFlag(config.environment)}`)} to get connection details`)
         ]
       };
     } catch (dbError) {
       return { 
         status: 'warning', 
         message: 'Turso database not found',
-        details: [`Run: ${chalk.bold('bit2 deploy')} OR turso db create ${projectName}`]
+        details: [`Run: ${chalk.bold(`bit2 deploy${environmentFlag(config.environment)}`)} OR turso db create ${projectName}`]
       };
     }
   } catch (error) {
@@ -214,94 +273,172 @@ async function checkTursoDatabase() {
   }
 }
 
-async function checkDeploymentConfig() {
+async function checkSchemaDrift(config) {
   const fs = await import('fs-extra');
   
+  if (!await fs.pathExists(config.paths.database)) {
+    return { status: 'warning', message: 'Local database not initialized' };
+  }
+  
+  // Only with the saved credentials: status must not mint tokens or rewrite .env.bit2
+  let remote;
+  try {
+    const connection = await storedTursoConnection(process.cwd(), config.environment);
+    if (!connection) {
+      return {
+        status: 'warning',
+        message: 'No saved Turso token, skipped',
+        details: [`Run: ${chalk.bold(`bit2 db diff${environmentFlag(config.environment)}`)} to compare the schemas`]
+      };
+    }
+    remote = await introspectSchema(connection);
+  } catch (error) {
+    return { status: 'warning', message: 'Turso database not reachable, skipped' };
+  }
+  
+  const differences = diffSchemas(await introspectSchema(localConnection(process.cwd(), config.paths.database)), remote);
+  if (differences.length === 0) {
+    return { status: 'success', message: 'dev.db and Turso schemas match' };
+  }
+  
+  return {
+    status: 'warning',
+    message: `${differences.length} difference(s) between dev.db and Turso`,
+    details: [`Run: ${chalk.bold(`bit2 db diff${environmentFlag(config.environment)}`)} for details`]
+  };
+}
+
+async function checkDeploymentConfig(config) {
+  const envFlag = environmentFlag(config.environment);
+  
   try {
-    // Check if deployment config exists
-    if (await fs.pathExists('.env.bit2')) {
-      const deploymentConfig = await readDeploymentConfig('.env.bit2');
+    // Check if the environment is deployed
+    const deployment = await readDeployment(config.environment);
+    
+    if (deployment.PROVIDER && deployment.PROJECT_NAME) {
+      const { PROVIDER: provider, PROJECT_NAME: projectName, CREATED_AT: createdAt } = deployment;
+      
+      // Generate dashboard URL
+      const dashboardUrl = generateDashboardUrl(provider, projectName);
+      
+      // Get last deploy info
+      const lastDeployInfo = await getLastDeployInfo(provider, projectName);
+      
+      const details = [
+        `${chalk.cyan('Project:')} ${projectName}`,
+        `${chalk.cyan('Provider:')} ${provider}`,
+        `${chalk.cyan('Dashboard:')} ${dashboardUrl}`,
+      ];
+      
+      if (createdAt) {
+        const createdDate = new Date(createdAt);
+        details.push(`${chalk.cyan('Created:')} ${createdDate.toLocaleDateString()}`);
+      }
       
-      if (deploymentConfig.provider && deploymentConfig.projectName) {
-        const { provider, projectName, createdAt, deploymentUrl } = deploymentConfig;
-        
-        // Generate dashboard URL
-        const dashboardUrl = generateDashboardUrl(provider, projectName);
-        
-        // Get last deploy info
-        const lastDeployInfo = await getLastDeployInfo(provider, projectName);
-        
-        const details = [
-          `${chalk.cyan('Project:')} ${projectName}`,
-          `${chalk.cyan('Provider:')} ${provider}`,
-          `${chalk.cyan('Dashboard:')} ${dashboardUrl}`,
-        ];
-        
-        if (createdAt) {
-          const createdDate = new Date(createdAt);
-          details.push(`${chalk.cyan('Created:')} ${createdDate.toLocaleDateString()}`);
-        }
-        
-        if (lastDeployInfo) {
-          details.push(`${chalk.cyan('Last Deploy:')} ${lastDeployInfo}`);
-        }
-        
-        details.push('');
-        details.push(`${chalk.gray('Commands:')} bit2 open | bit2 logs | bit2 db | bit2 deploy`);
-        
-        return {
-          status: 'success',
-          message: `Deployed on ${provider}`,
-          details
-        };
+      if (lastDeployInfo) {
+        details.push(`${chalk.cyan('Last Deploy:')} ${lastDeployInfo}`);
       }
+      
+      details.push('');
+      details.push(`${chalk.gray('Commands:')} ${['open', 'logs', 'db', 'deploy'].map(command => `bit2 ${command}${envFlag}`).join(' | ')}`);
+      
+      return {
+        status: 'success',
+        message: `Deployed on ${provider}`,
+        details
+      };
     }
     
     return {
       status: 'warning',
       message: 'No deployment configuration',
-      details: [`Run: ${chalk.bold('bit2 deploy')} to set up deployment`]
+      details: [`Run: ${chalk.bold(`bit2 deploy${envFlag}`)} to set up deployment`]
     };
   } catch (error) {
     return { status: 'error', message: 'Could not check deployment config' };
   }
 }
 
-async function readDeploymentConfig(configPath) {
-  try {
-    const fs = await import('fs-extra');
-    const content = await fs.readFile(configPath, 'utf8');
-    
-    const config = {};
-    const lines = content.split('\n');
-    
-    for (const line of lines) {
-      if (line.startsWith('BIT2_')) {
-        const [key, ...valueParts] = line.split('=');
-        const value = valueParts.join('=');
-        const configKey = key.replace('BIT2_', '').toLowerCase();
-        
-        switch (configKey) {
-          case 'project_name':
-            config.projectName = value;
-            break;
-          case 'provider':
-            config.provider = value;
-            break;
-          case 'deployment_url':
-            config.deploymentUrl = value;
-            break;
-          case 'created_at':
-            config.createdAt = value;
-            break;
-        }
-      }
+// Expired deployment tokens, plaintext tokens in env files (worst when git tracks the file)
+// and tokens close to expiry
+async function checkSecrets(config) {
+  const fs = await import('fs-extra');
+  const envFlag = environmentFlag(config.environment);
+  const deployment = await readDeployment(config.environment);
+  const expiry = tokenExpiry(deployment);
+  if (expiry?.expired) {
+    return {
+      status: 'error',
+      message: `Turso token expired on ${expiry.expiresAt.toLocaleDateString()}`,
+      details: [`Run: ${chalk.bold(`bit2 db token rotate${envFlag}`)} and redeploy`]
+    };
+  }
+  
+  const candidates = ['.env', '.env.bit2', ...(await fs.readdir('.')).filter(file => file.startsWith('.env.'))];
+  if (config.envFile) {
+    candidates.push(config.envFile);
+  }
+  
+  const plaintext = [];
+  for (const file of new Set(candidates)) {
+    if (await fs.pathExists(file) && TOKEN_PATTERN.test(await fs.readFile(file, 'utf8'))) {
+      plaintext.push(file);
     }
-    
-    return config;
-  } catch (error) {
-    return {};
   }
+  
+  let tracked = [];
+  if (plaintext.length > 0) {
+    try {
+      const { stdout } = await execAsync(`git ls-files -- ${plaintext.map(file => `"${file}"`).join(' ')}`);
+      tracked = stdout.split('\n').filter(Boolean);
+    } catch {
+      // Not a git repository, nothing can be tracked
+    }
+  }
+  
+  if (tracked.length > 0) {
+    return {
+      status: 'warning',
+      message: `Token file tracked by git: ${tracked.join(', ')}`,
+      details: [
+        `Run: git rm --cached ${tracked.join(' ')} and add it to .gitignore`,
+        `Then replace the leaked token: ${chalk.bold('bit2 db token')} and ${chalk.bold('bit2 env push')}`
+      ]
+    };
+  }
+  if (plaintext.length > 0) {
+    return {
+      status: 'warning',
+      message: `Plaintext Turso token in ${plaintext.join(', ')}`,
+      details: [`Tokens belong in ${SECRETS_FILE}: remove the TURSO_AUTH_TOKEN line and run ${chalk.bold('bit2 db token')}`]
+    };
+  }
+  
+  if (expiry && expiry.daysLeft <= EXPIRY_WARNING_DAYS) {
+    return {
+      status: 'warning',
+      message: `Turso token expires in ${expiry.daysLeft} day(s)`,
+      details: [`Run: ${chalk.bold(`bit2 db token rotate${envFlag}`)} and redeploy`]
+    };
+  }
+  
+  const details = [];
+  if (expiry) {
+    details.push(`${chalk.cyan('Token expires:')} ${expiry.expiresAt.toLocaleDateString()}`);
+  }
+  if (deployment.TOKEN_ROTATED_AT) {
+    details.push(`${chalk.cyan('Last rotated:')} ${new Date(deployment.TOKEN_ROTATED_AT).toLocaleDateString()}`);
+  }
+  return {
+    status: 'success',
+    message: await fs.pathExists(SECRETS_FILE) ? `Tokens encrypted in ${SECRETS_FILE}` : 'No tokens stored',
+    details
+  };
+}
+
+async function hasMigrations(config) {
+  const fs = await import('fs-extra');
+  return await fs.pathExists(config.paths.migrations) || await fs.pathExists(legacySchemaPath(config.paths.migrations));
 }
 
 function generateDashboardUrl(provider, projectName) {
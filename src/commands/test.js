@@ -55,8 +55,8 @@ export async function testCommand() {
       'package.json',
       'src/pages/index.astro',
       'src/layouts/Layout.astro',
-      'src/db/schema.sql',
-      'src/db/seed.sql',
+      'src/db/migrations/0001_create_quotes.sql',
+      'src/db/seeds/dev.sql',
       'src/pages/api/quotes.json.ts',
       'src/pages/api/quote/random.json.ts',
       'dev.db'
@@ -158,7 +158,7 @@ export async function testCommand() {
         });
         
         const quotes = JSON.parse(quotesResponse);
-        if (!Array.isArray(quotes) || quotes.length === 0) {
+        if (!Array.isArray(quotes.data) || quotes.data.length === 0 || typeof quotes.meta?.total !== 'number') {
           throw new Error('Quotes API returned invalid data');
         }
         
@@ -0,0 +1,138 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { runBatches, withDatabase } from './database.js';
+import { introspectSchema, hasExternalContent, rebuildSearchIndexStatements } from './schema.js';
+import { parseSqlStatements, quoteIdentifier } from './sql.js';
+import { readTablePages, pullDatabase } from './transfer.js';
+import { createError, ErrorCodes } from './errors.js';
+
+export const BACKUPS_DIR = '.bit2/backups';
+
+// <target>-<timestamp>[-<label>].<db|sql>, e.g. local-2025-01-01T12-00-00-000Z-pre-migrate.db
+const BACKUP_FILE_PATTERN = /^(local|remote)-(\d{4}-\d{2}-\d{2}T[\d-]+Z)(?:-([a-z0-9-]+))?\.(db|sql)$/;
+
+// Local databases are copied as SQLite files by default, remote ones can only be dumped as SQL
+export async function createBackup(connection, options = {}) {
+  const { target = 'local', format = target === 'local' ? 'db' : 'sql', label, dir = BACKUPS_DIR } = options;
+
+  if (target === 'remote' && format === 'db') {
+    throw createError('Remote databases can only be backed up as SQL dumps', ErrorCodes.INVALID_INPUT, ['Use: --format sql']);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const name = `${target}-${timestamp}${label ? `-${label}` : ''}.${format}`;
+  const file = path.join(dir, name);
+
+  await fs.ensureDir(dir);
+  if (format === 'db') {
+    await fs.copy(localDatabasePath(connection), file);
+  } else {
+    await dumpDatabase(connection, file);
+  }
+
+  const { size } = await fs.stat(file);
+  return { name, file, size };
+}
+
+// Write a SQL script that recreates every table (migration history included) with its rows
+export async function dumpDatabase(connection, file) {
+  const schema = await introspectSchema(connection, { includeMigrations: true });
+
+  await fs.writeFile(file, `-- bit2 database dump\n-- Created: ${new Date().toISOString()}\n\n`);
+
+  await withDatabase(connection, async (db) => {
+    for (const [table, definition] of Object.entries(schema.tables)) {
+      await fs.appendFile(file, `DROP TABLE IF EXISTS ${quoteIdentifier(table)};\n${definition.sql};\n`);
+      if (hasExternalContent(definition)) {
+        continue;
+      }
+
+      const columns = definition.columns.map(column => column.name);
+      const prefix = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES`;
+      for await (const { rows } of readTablePages(db, table, definition)) {
+        const lines = rows.map(row => `${prefix} (${columns.map(column => sqlLiteral(row[column])).join(', ')});`);
+        await fs.appendFile(file, `${lines.join('\n')}\n`);
+      }
+      await fs.appendFile(file, '\n');
+    }
+
+    const objects = [
+      ...Object.values(schema.indexes),
+      ...Object.values(schema.triggers),
+      ...rebuildSearchIndexStatements(schema)
+    ];
+    if (objects.length > 0) {
+      await fs.appendFile(file, `${objects.map(object => `${object.sql};`).join('\n')}\n`);
+    }
+  });
+}
+
+// SQL dumps run in a single transaction; SQLite files replace dev.db or are copied table by table
+export async function restoreBackup(file, connection, { target = 'local' } = {}) {
+  if (file.endsWith('.sql')) {
+    const sql = await fs.readFile(file, 'utf8');
+    await runBatches(connection, [{ name: path.basename(file), file, statements: parseSqlStatements(sql) }]);
+  } else if (target === 'local') {
+    await fs.copy(file, localDatabasePath(connection), { overwrite: true });
+  } else {
+    await pullDatabase({ url: `file:${path.resolve(file)}` }, connection);
+  }
+}
+
+export async function listBackups(dir = BACKUPS_DIR) {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+
+  const backups = [];
+  for (const name of await fs.readdir(dir)) {
+    const match = name.match(BACKUP_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+    const file = path.join(dir, name);
+    const { size, mtime } = await fs.stat(file);
+    backups.push({ name, file, size, target: match[1], label: match[3] || null, format: match[4], createdAt: mtime });
+  }
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt || b.name.localeCompare(a.name));
+}
+
+// Accept a file name from .bit2/backups or a path to any backup file
+export async function resolveBackup(nameOrPath, dir = BACKUPS_DIR) {
+  for (const candidate of [path.join(dir, nameOrPath), nameOrPath]) {
+    if (await fs.pathExists(candidate) && (candidate.endsWith('.db') || candidate.endsWith('.sql'))) {
+      const match = path.basename(candidate).match(BACKUP_FILE_PATTERN);
+      return { file: candidate, target: match ? match[1] : null };
+    }
+  }
+
+  throw createError(`Backup "${nameOrPath}" not found`, ErrorCodes.FILE_NOT_FOUND, ['List available backups: bit2 db backups']);
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function localDatabasePath(connection) {
+  return connection.url.replace(/^file:/, '');
+}
+
+function sqlLiteral(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    return String(value);
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return `X'${Buffer.from(value).toString('hex')}'`;
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
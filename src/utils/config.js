@@ -0,0 +1,244 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LOCAL_DATABASE_FILE } from './database.js';
+import { MIGRATIONS_DIR } from './migrations.js';
+import { SEEDS_DIR } from './seeds.js';
+import { TYPES_FILE } from './typegen.js';
+import { BACKUPS_DIR } from './backup.js';
+import { DEFAULT_ENVIRONMENT } from './deployment.js';
+import { createError, ErrorCodes } from './errors.js';
+
+// Checked in this order, a project may only have one of them
+export const CONFIG_FILES = ['bit2.config.js', 'bit2.config.mjs', 'bit2.config.json'];
+
+export const PROVIDERS = ['cloudflare', 'vercel', 'netlify'];
+
+// Paths are relative to the project root. The legacy single-file schema.sql and
+// seed.sql are looked up next to the migrations and seeds directories.
+export const DEFAULT_PATHS = {
+  migrations: path.normalize(MIGRATIONS_DIR),
+  seeds: path.normalize(SEEDS_DIR),
+  database: LOCAL_DATABASE_FILE,
+  types: path.normalize(TYPES_FILE),
+  astroConfig: 'astro.config.mjs',
+  backups: BACKUPS_DIR
+};
+
+// Turso only allows lowercase letters, numbers and dashes
+const DATABASE_NAME = /^[a-z0-9-]+$/;
+
+// Environment names end up in database, provider project and .env.bit2 key names
+const ENVIRONMENT_NAME = /^[a-z0-9-]+$/;
+
+const TOP_LEVEL_KEYS = ['paths', 'database', 'provider', 'environments', 'envFile'];
+const DATABASE_KEYS = ['name', 'org'];
+const ENVIRONMENT_KEYS = ['database', 'provider'];
+
+// {
+//   "paths": { "migrations": "db/migrations", "database": "local.db" },
+//   "database": { "name": "my-app", "org": "acme" },   defaults to the package.json name
+//   "provider": "cloudflare",                          answers the deploy provider question
+//   "environments": { "staging": { "database": { "name": "my-app-staging" } } },
+//   "envFile": ".env.production"                       extra variables for bit2 env push/pull/diff
+// }
+// Projects without a config file get the defaults, so existing projects keep working.
+// With { env: 'staging' } database and provider are those of the staging environment.
+export async function loadConfig(projectPath = process.cwd(), { env = DEFAULT_ENVIRONMENT } = {}) {
+  const file = await findConfigFile(projectPath);
+  const config = file ? await readConfigFile(path.join(projectPath, file)) : {};
+  validateConfig(config, file || 'bit2 config');
+
+  const packageName = await readPackageName(projectPath);
+  const database = config.database || {};
+  const production = {
+    database: {
+      name: database.name || (packageName ? sanitizeDatabaseName(packageName) : null),
+      org: database.org || null
+    },
+    provider: config.provider || null
+  };
+  const environments = config.environments || {};
+
+  return {
+    file,
+    name: packageName,
+    paths: { ...DEFAULT_PATHS, ...normalizePaths(config.paths || {}) },
+    environment: env,
+    ...resolveEnvironment(env, environments, production, file),
+    environments,
+    envFile: config.envFile ? path.normalize(config.envFile.trim()) : null
+  };
+}
+
+// Throws one error listing every problem, so a config can be fixed in one go
+export function validateConfig(config, file = 'bit2 config') {
+  const problems = [];
+
+  if (!isPlainObject(config)) {
+    problems.push('The config must be an object');
+  } else {
+    problems.push(...unknownKeys(config, TOP_LEVEL_KEYS, ''));
+
+    if (config.paths !== undefined) {
+      if (!isPlainObject(config.paths)) {
+        problems.push('paths must be an object');
+      } else {
+        problems.push(...unknownKeys(config.paths, Object.keys(DEFAULT_PATHS), 'paths.'));
+        for (const [key, value] of Object.entries(config.paths)) {
+          if (typeof value !== 'string' || !value.trim()) {
+            problems.push(`paths.${key} must be a non-empty string`);
+          }
+        }
+      }
+    }
+
+    problems.push(...validateDatabase(config.database, 'database'));
+    problems.push(...validateProvider(config.provider, 'provider'));
+
+    if (config.envFile !== undefined && (typeof config.envFile !== 'string' || !config.envFile.trim())) {
+      problems.push('envFile must be a non-empty string');
+    }
+
+    if (config.environments !== undefined) {
+      if (!isPlainObject(config.environments)) {
+        problems.push('environments must be an object of named environments');
+      } else {
+        for (const [name, environment] of Object.entries(config.environments)) {
+          if (name === DEFAULT_ENVIRONMENT) {
+            problems.push(`environments.${name} is the top-level config, move its options there`);
+            continue;
+          }
+          if (!ENVIRONMENT_NAME.test(name)) {
+            problems.push(`environments.${name} must be named with lowercase letters, numbers and dashes`);
+          }
+          if (!isPlainObject(environment)) {
+            problems.push(`environments.${name} must be an object`);
+            continue;
+          }
+          problems.push(...unknownKeys(environment, ENVIRONMENT_KEYS, `environments.${name}.`));
+          problems.push(...validateDatabase(environment.database, `environments.${name}.database`));
+          problems.push(...validateProvider(environment.provider, `environments.${name}.provider`));
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw createError(`Invalid ${file}`, ErrorCodes.INVALID_INPUT, problems);
+  }
+}
+
+// Same rules Turso applies to database names
+export function sanitizeDatabaseName(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Named environments get their own database, <database>-<environment> unless configured,
+// in the production org, and deploy to the production provider unless configured
+function resolveEnvironment(env, environments, production, file) {
+  if (env === DEFAULT_ENVIRONMENT) {
+    return production;
+  }
+
+  const environment = environments[env];
+  if (!environment) {
+    const declared = Object.keys(environments);
+    throw createError(`Unknown environment: ${env}`, ErrorCodes.INVALID_INPUT, [
+      declared.length > 0 ? `Declared environments: ${[DEFAULT_ENVIRONMENT, ...declared].join(', ')}` : 'No environments are declared yet',
+      `Declare it in ${file || 'bit2.config.json'}: "environments": { "${env}": {} }`
+    ]);
+  }
+
+  const database = environment.database || {};
+  return {
+    database: {
+      name: database.name || (production.database.name ? `${production.database.name}-${env}` : null),
+      org: database.org || production.database.org
+    },
+    provider: environment.provider || production.provider
+  };
+}
+
+async function findConfigFile(projectPath) {
+  const found = [];
+  for (const file of CONFIG_FILES) {
+    if (await fs.pathExists(path.join(projectPath, file))) {
+      found.push(file);
+    }
+  }
+
+  if (found.length > 1) {
+    throw createError(
+      `Found more than one config file: ${found.join(', ')}`,
+      ErrorCodes.INVALID_INPUT,
+      ['Keep a single bit2.config.js, bit2.config.mjs or bit2.config.json']
+    );
+  }
+  return found[0] || null;
+}
+
+// JS configs export the config object as their default export
+async function readConfigFile(file) {
+  try {
+    if (file.endsWith('.json')) {
+      return await fs.readJson(file);
+    }
+    const module = await import(pathToFileURL(file).href);
+    return module.default;
+  } catch (error) {
+    throw createError(`Could not load ${path.basename(file)}: ${error.message}`, ErrorCodes.INVALID_INPUT);
+  }
+}
+
+async function readPackageName(projectPath) {
+  try {
+    const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
+    return packageJson.name || null;
+  } catch {
+    return null;
+  }
+}
+
+function validateDatabase(database, key) {
+  if (database === undefined) {
+    return [];
+  }
+  if (!isPlainObject(database)) {
+    return [`${key} must be an object with "name" and "org"`];
+  }
+
+  const problems = unknownKeys(database, DATABASE_KEYS, `${key}.`);
+  if (database.name !== undefined && (typeof database.name !== 'string' || !DATABASE_NAME.test(database.name))) {
+    problems.push(`${key}.name must only contain lowercase letters, numbers and dashes`);
+  }
+  if (database.org !== undefined && (typeof database.org !== 'string' || !database.org.trim())) {
+    problems.push(`${key}.org must be a non-empty string`);
+  }
+  return problems;
+}
+
+function validateProvider(provider, key) {
+  if (provider === undefined || PROVIDERS.includes(provider)) {
+    return [];
+  }
+  return [`${key} must be one of: ${PROVIDERS.join(', ')}`];
+}
+
+function unknownKeys(object, allowed, prefix) {
+  return Object.keys(object)
+    .filter(key => !allowed.includes(key))
+    .map(key => `Unknown option ${prefix}${key} (expected: ${allowed.join(', ')})`);
+}
+
+function normalizePaths(paths) {
+  return Object.fromEntries(Object.entries(paths).map(([key, value]) => [key, path.normalize(value.trim())]));
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,130 @@
+import { createClient } from '@libsql/client';
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { createError, ErrorCodes } from './errors.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, readDeployment } from './deployment.js';
+import { loadTursoToken } from './secrets.js';
+
+const execAsync = promisify(exec);
+
+export const LOCAL_DATABASE_FILE = 'dev.db';
+
+// Local SQLite file of a project, relative to its root (paths.database in bit2.config)
+export function localConnection(projectPath = process.cwd(), databaseFile = LOCAL_DATABASE_FILE) {
+  return { url: `file:${path.join(projectPath, databaseFile)}` };
+}
+
+// URL saved by `bit2 deploy` in .env.bit2 and token from the encrypted secrets store,
+// falling back to the Turso CLI
+export async function resolveTursoConnection(dbName, projectPath = process.cwd(), environment = DEFAULT_ENVIRONMENT) {
+  const { TURSO_DATABASE_URL: url } = await readDeployment(environment, projectPath);
+  if (url) {
+    const authToken = await loadTursoToken(projectPath, environment);
+    if (authToken) {
+      return { url, authToken };
+    }
+  }
+
+  try {
+    const { stdout: url } = await execAsync(`turso db show --url ${dbName}`);
+    const { stdout: token } = await execAsync(`turso db tokens create ${dbName} --expiration 1h`);
+    return { url: url.trim(), authToken: token.trim() };
+  } catch (error) {
+    throw createError(
+      `Could not resolve connection details for Turso database "${dbName}"`,
+      ErrorCodes.DATABASE_CONNECTION_FAILED,
+      [
+        `Run: bit2 deploy${environmentFlag(environment)} (saves the database URL to .env.bit2 and the token to .bit2/secrets.json)`,
+        'Or install and log in to the Turso CLI: turso auth login'
+      ]
+    );
+  }
+}
+
+// The URL and token bit2 saved for the environment, or null. Never mints a token nor moves a
+// legacy one, for checks that must not change anything.
+export async function storedTursoConnection(projectPath = process.cwd(), environment = DEFAULT_ENVIRONMENT) {
+  const { TURSO_DATABASE_URL: url } = await readDeployment(environment, projectPath);
+  const authToken = url ? await loadTursoToken(projectPath, environment, { migrate: false }) : null;
+  return url && authToken ? { url, authToken } : null;
+}
+
+// Open a client for the duration of `fn` and always close it afterwards
+export async function withDatabase(connection, fn) {
+  const db = createClient({
+    url: connection.url,
+    authToken: connection.authToken || undefined
+  });
+
+  try {
+    return await fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+export async function query(connection, sql, args = []) {
+  return withDatabase(connection, async (db) => {
+    const result = await db.execute({ sql, args });
+    return result.rows;
+  });
+}
+
+export async function tableExists(connection, tableName) {
+  const rows = await query(
+    connection,
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [tableName]
+  );
+  return rows.length > 0;
+}
+
+// Run each batch of statements in its own write transaction. The first failing
+// statement rolls back its batch and stops the run; earlier batches stay committed.
+// batches: [{ name, file?, statements: [{ sql, args?, line? }] }]
+export async function runBatches(connection, batches) {
+  const nonEmpty = batches.filter(batch => batch.statements.length > 0);
+  if (nonEmpty.length === 0) {
+    return;
+  }
+
+  await withDatabase(connection, async (db) => {
+    for (let b = 0; b < nonEmpty.length; b++) {
+      const batch = nonEmpty[b];
+      const tx = await db.transaction('write');
+
+      for (let s = 0; s < batch.statements.length; s++) {
+        const statement = batch.statements[s];
+        try {
+          await tx.execute({ sql: statement.sql, args: statement.args || [] });
+        } catch (error) {
+          await tx.rollback();
+          throw batchError(batch, statement, s, error, nonEmpty.slice(0, b));
+        }
+      }
+
+      await tx.commit();
+    }
+  });
+}
+
+function batchError(batch, statement, index, cause, committed) {
+  const location = batch.file && statement.line
+    ? `${batch.file}:${statement.line}`
+    : `statement ${index + 1}`;
+
+  const err = createError(
+    `${batch.name} failed at ${location}: ${cause.message}`,
+    ErrorCodes.DATABASE_MIGRATION_FAILED,
+    [
+      `All statements of ${batch.name} were rolled back`,
+      'Fix the statement above and re-run the command'
+    ]
+  );
+  err.batch = batch.name;
+  err.statement = statement;
+  err.committedBatches = committed.map(b => b.name);
+  return err;
+}
@@ -0,0 +1,150 @@
+import { execFile } from 'child_process';
+import { createRequire } from 'module';
+import path from 'path';
+import { DEFAULT_ENVIRONMENT, environmentFlag } from './deployment.js';
+import { createError, ErrorCodes } from './errors.js';
+import { plainText } from './output.js';
+
+const require = createRequire(import.meta.url);
+
+// Provider CLIs used by deploy --direct and bit2 env
+export const PROVIDER_CLIS = {
+  cloudflare: {
+    cli: 'wrangler',
+    install: 'Reinstall bit2, wrangler ships with it',
+    login: 'npx wrangler login'
+  },
+  vercel: {
+    cli: 'vercel',
+    install: 'npm install -g vercel',
+    login: 'vercel login'
+  },
+  netlify: {
+    cli: 'netlify',
+    install: 'npm install -g netlify-cli',
+    login: 'netlify login'
+  }
+};
+
+export async function uploadBuild(provider, projectName, environment = DEFAULT_ENVIRONMENT) {
+  const deployer = PROVIDER_CLIS[provider];
+  if (!deployer) {
+    throw createError(`Direct deploys are not supported for ${provider}`, ErrorCodes.INVALID_INPUT);
+  }
+
+  let output;
+  try {
+    output = await UPLOADS[provider](projectName, environment);
+  } catch (error) {
+    const hints = [];
+    if (provider === 'netlify' && /not found|no site/i.test(`${error.stderr}${error.stdout}`)) {
+      hints.push(`Create the site first: netlify sites:create --name ${projectName}`);
+    }
+    throw providerCliError(provider, 'upload', error, `bit2 deploy${environmentFlag(environment) || ' --direct'}`, hints);
+  }
+
+  const url = extractDeploymentUrl(provider, output);
+  if (!url) {
+    throw createError(
+      `${deployer.cli} finished but did not report a deployment URL`,
+      ErrorCodes.DEPLOYMENT_FAILED,
+      [`Check the deployment in the ${provider} dashboard`, 'Run with DEBUG=1 to see the CLI output']
+    );
+  }
+  return url;
+}
+
+// The deploy output mixes the URL with progress lines and docs links
+export function extractDeploymentUrl(provider, output) {
+  if (provider === 'netlify') {
+    try {
+      const result = JSON.parse(output);
+      return result.deploy_url || result.url || null;
+    } catch {
+      // Older CLIs without --json support fall through to the text output
+    }
+  }
+
+  const urls = output.match(/https:\/\/[^\s'"<>)]+/g) || [];
+  const hosts = { cloudflare: '.pages.dev', vercel: '.vercel.app', netlify: '.netlify.app' };
+  const preferred = urls.filter(url => url.includes(hosts[provider]));
+  return (preferred.length > 0 ? preferred : urls).pop() || null;
+}
+
+const UPLOADS = {
+  // Production deploys go to main, the project is created on the first upload
+  async cloudflare(projectName) {
+    const deploy = ['pages', 'deploy', 'dist', `--project-name=${projectName}`, '--branch=main', '--commit-dirty=true'];
+    try {
+      return await runWrangler(deploy);
+    } catch (error) {
+      if (!/project not found|8000007/i.test(`${error.stdout}${error.stderr}`)) {
+        throw error;
+      }
+      await runWrangler(['pages', 'project', 'create', projectName, '--production-branch=main']);
+      return await runWrangler(deploy);
+    }
+  },
+
+  // The Vercel adapter writes .vercel/output, which --prebuilt uploads without building again.
+  // Vercel deploys to the linked project, named environments are preview deployments of it.
+  async vercel(projectName, environment) {
+    const target = environment === DEFAULT_ENVIRONMENT ? ['--prod'] : [];
+    return await runCli('vercel', ['deploy', '--prebuilt', ...target, '--yes']);
+  },
+
+  async netlify(projectName) {
+    return await runCli('netlify', ['deploy', '--prod', '--dir', 'dist', '--site', projectName, '--json']);
+  }
+};
+
+// Use the wrangler bit2 depends on instead of whatever npx would download
+export function runWrangler(args, options) {
+  const wranglerDir = path.dirname(require.resolve('wrangler/package.json'));
+  return runCli('node', [path.join(wranglerDir, 'bin', 'wrangler.js'), ...args], options);
+}
+
+// Secrets are passed on stdin (input) so they never show up in the process list
+export function runCli(command, args, { input } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(command, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (process.env.DEBUG) {
+        console.log(stdout);
+        console.log(stderr);
+      }
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+    // Closed stdin makes a CLI prompt fail instead of waiting forever
+    child.stdin.end(input);
+  });
+}
+
+export function providerCliError(provider, action, error, rerun, hints = []) {
+  const deployer = PROVIDER_CLIS[provider];
+  if (error.code === 'ENOENT') {
+    return createError(`${deployer.cli} CLI not found`, ErrorCodes.MISSING_DEPENDENCY, [
+      `Install it: ${deployer.install}`,
+      `Log in: ${deployer.login}`,
+      `Re-run: ${rerun}`
+    ]);
+  }
+
+  const reason = errorLine(error.stderr) || errorLine(error.stdout);
+  return createError(
+    `${deployer.cli} ${action} failed${reason ? `: ${reason}` : ''}`,
+    ErrorCodes.DEPLOYMENT_FAILED,
+    [...hints, `Make sure you are logged in: ${deployer.login}`, `Re-run: ${rerun}`]
+  );
+}
+
+// CLIs end their output with log paths and upgrade notices, the error line is more useful
+function errorLine(text = '') {
+  const lines = plainText(text).split('\n').map(line => line.trim()).filter(Boolean);
+  return lines.filter(line => /error/i.test(line)).pop() || lines.pop();
+}
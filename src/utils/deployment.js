@@ -0,0 +1,72 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { readEnvFile, setEnvValues } from './env-file.js';
+
+export const DEPLOYMENT_FILE = '.env.bit2';
+
+// The top-level config and the original BIT2_* keys of .env.bit2
+export const DEFAULT_ENVIRONMENT = 'production';
+
+// Named environments share .env.bit2 with production: BIT2_ENV_STAGING__PROVIDER next to BIT2_PROVIDER
+export function deploymentKey(environment, key) {
+  if (environment === DEFAULT_ENVIRONMENT) {
+    return `BIT2_${key}`;
+  }
+  return `BIT2_ENV_${environment.toUpperCase().replace(/-/g, '_')}__${key}`;
+}
+
+// The deployment of one environment without the prefixes: { PROJECT_NAME, PROVIDER, TURSO_DATABASE_URL, ... }
+export async function readDeployment(environment = DEFAULT_ENVIRONMENT, projectPath = process.cwd()) {
+  const values = await readEnvFile(path.join(projectPath, DEPLOYMENT_FILE));
+  const prefix = deploymentKey(environment, '');
+
+  const deployment = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (!key.startsWith(prefix)) {
+      continue;
+    }
+    if (environment === DEFAULT_ENVIRONMENT && key.startsWith('BIT2_ENV_')) {
+      continue;
+    }
+    deployment[key.slice(prefix.length)] = value;
+  }
+  return deployment;
+}
+
+// Merges into .env.bit2, undefined removes a key
+export async function writeDeployment(values, environment = DEFAULT_ENVIRONMENT, projectPath = process.cwd()) {
+  const file = path.join(projectPath, DEPLOYMENT_FILE);
+  if (!await fs.pathExists(file)) {
+    await fs.writeFile(file, '# bit2 deployment configuration\n');
+  }
+  await setEnvValues(file, Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [deploymentKey(environment, key), value])
+  ));
+}
+
+// Named environments with keys in .env.bit2, including those no longer declared in bit2.config
+export async function listDeployedEnvironments(projectPath = process.cwd()) {
+  const values = await readEnvFile(path.join(projectPath, DEPLOYMENT_FILE));
+  const environments = new Set();
+  for (const key of Object.keys(values)) {
+    const match = key.match(/^BIT2_ENV_([A-Z0-9_]+?)__/);
+    if (match) {
+      environments.add(match[1].toLowerCase().replace(/_/g, '-'));
+    }
+  }
+  return [...environments].sort();
+}
+
+// Removes every key of one environment from .env.bit2
+export async function removeDeployment(environment, projectPath = process.cwd()) {
+  const keys = Object.keys(await readDeployment(environment, projectPath));
+  if (keys.length > 0) {
+    await writeDeployment(Object.fromEntries(keys.map(key => [key, undefined])), environment, projectPath);
+  }
+  return keys;
+}
+
+// Appended to the commands bit2 suggests, so they target the same environment
+export function environmentFlag(environment) {
+  return environment === DEFAULT_ENVIRONMENT ? '' : ` --env ${environment}`;
+}
@@ -0,0 +1,52 @@
+import fs from 'fs-extra';
+
+// KEY=value files such as .env and .env.bit2; blank lines and # comments are skipped
+export function parseEnv(content) {
+  const values = {};
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || !trimmed.includes('=')) {
+      continue;
+    }
+    const [key, ...valueParts] = trimmed.split('=');
+    values[key.trim()] = unquote(valueParts.join('=').trim());
+  }
+  return values;
+}
+
+export async function readEnvFile(file) {
+  if (!await fs.pathExists(file)) {
+    return {};
+  }
+  return parseEnv(await fs.readFile(file, 'utf8'));
+}
+
+// Replace the given keys where they are and append the new ones, keeping comments and order.
+// An undefined value removes the key.
+export async function setEnvValues(file, values) {
+  const content = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : '';
+  const lines = content ? content.replace(/\n$/, '').split('\n') : [];
+  const remaining = { ...values };
+
+  const updated = lines.flatMap(line => {
+    const key = line.split('=')[0].trim();
+    if (!line.trim().startsWith('#') && line.includes('=') && key in remaining) {
+      const value = remaining[key];
+      delete remaining[key];
+      return value === undefined ? [] : [`${key}=${value}`];
+    }
+    return [line];
+  });
+
+  for (const [key, value] of Object.entries(remaining)) {
+    if (value !== undefined) {
+      updated.push(`${key}=${value}`);
+    }
+  }
+  await fs.writeFile(file, `${updated.join('\n')}\n`);
+}
+
+function unquote(value) {
+  const quoted = value.match(/^(['"])(.*)\1$/);
+  return quoted ? quoted[2] : value;
+}
@@ -0,0 +1,59 @@
+// Small, dependency-free fake data generator for seed scripts.
+// The same seed always produces the same sequence of values.
+
+const FIRST_NAMES = ['Ada', 'Marcus', 'Lucia', 'Zeno', 'Helena', 'Tomas', 'Aiko', 'Rafael', 'Noor', 'Ingrid', 'Kofi', 'Mira', 'Dario', 'Yuki', 'Elena', 'Samir'];
+const LAST_NAMES = ['Aurelius', 'Lovelace', 'Okafor', 'Lindqvist', 'Moreau', 'Tanaka', 'Silva', 'Haddad', 'Novak', 'Reyes', 'Brennan', 'Kowalski', 'Ibrahim', 'Fischer'];
+const WORDS = [
+  'virtue', 'reason', 'nature', 'courage', 'justice', 'wisdom', 'patience', 'time', 'mind', 'fortune',
+  'habit', 'change', 'silence', 'duty', 'freedom', 'fear', 'anger', 'calm', 'practice', 'choice',
+  'morning', 'river', 'stone', 'path', 'light', 'measure', 'friend', 'work', 'rest', 'truth'
+];
+const DOMAINS = ['example.com', 'example.org', 'example.net'];
+
+// Turn any string or number into a 32 bit seed
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+export function createFaker(seed = Date.now()) {
+  // mulberry32
+  let state = hashSeed(seed);
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const faker = {
+    seed: String(seed),
+    random,
+    integer: (min = 0, max = 1000) => min + Math.floor(random() * (max - min + 1)),
+    float: (min = 0, max = 1000, decimals = 2) => Number((min + random() * (max - min)).toFixed(decimals)),
+    boolean: () => random() < 0.5,
+    pick: (list) => list[Math.floor(random() * list.length)],
+    word: () => faker.pick(WORDS),
+    words: (count = 3) => Array.from({ length: count }, () => faker.word()).join(' '),
+    sentence: (count = faker.integer(6, 14)) => {
+      const text = faker.words(count);
+      return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+    },
+    paragraph: (count = faker.integer(3, 5)) => Array.from({ length: count }, () => faker.sentence()).join(' '),
+    firstName: () => faker.pick(FIRST_NAMES),
+    lastName: () => faker.pick(LAST_NAMES),
+    name: () => `${faker.firstName()} ${faker.lastName()}`,
+    email: () => `${faker.firstName().toLowerCase()}.${faker.lastName().toLowerCase()}${faker.integer(1, 99)}@${faker.pick(DOMAINS)}`,
+    url: () => `https://${faker.pick(DOMAINS)}/${faker.word()}-${faker.integer(1, 9999)}`,
+    // A date in 2024 as SQLite DATETIME text, fixed so seeded runs stay reproducible
+    date: () => new Date(Date.UTC(2024, 0, 1) + faker.integer(0, 365 * 24 * 3600) * 1000).toISOString().replace('T', ' ').slice(0, 19)
+  };
+
+  return faker;
+}
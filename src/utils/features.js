@@ -0,0 +1,127 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMigrationFile, findMigration, parseMigrationSections } from './migrations.js';
+import { createError, ErrorCodes } from './errors.js';
+import { loadConfig } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const TEMPLATE_DIR = path.resolve(__dirname, '../../templates/astro-app');
+export const FEATURES_DIR = path.resolve(__dirname, '../../templates/features');
+
+// Optional features a project can opt into with `bit2 new --with` or `bit2 add`.
+// Each one lives in templates/features/<name>: files/ is copied into the project
+// and migration.sql becomes a new migration.
+export const FEATURES = {
+  auth: {
+    description: 'Users and sessions tables, password hashing, login/logout/register API and middleware',
+    migration: 'create_auth',
+    // Template helpers the feature imports, copied when a project doesn't have them
+    requires: ['src/lib/api.ts'],
+    nextSteps: [
+      'Open: /login to create an account, /account is only visible when signed in',
+      'Protect more pages: add them to PROTECTED_ROUTES in src/middleware.ts'
+    ]
+  }
+};
+
+// Resolve the comma separated --with option
+export function parseFeatureList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const requested = [...new Set(value.split(',').map(feature => feature.trim()).filter(Boolean))];
+  const unknown = requested.filter(feature => !FEATURES[feature]);
+  if (unknown.length > 0) {
+    throw createError(
+      `Unknown feature(s): ${unknown.join(', ')}`,
+      ErrorCodes.INVALID_INPUT,
+      [`Available features: ${Object.keys(FEATURES).join(', ')}`]
+    );
+  }
+  return requested;
+}
+
+// Copy template files a project is missing, returns the ones that were copied
+export async function copyMissingTemplateFiles(files, projectPath = process.cwd()) {
+  const copied = [];
+  for (const file of files) {
+    const target = path.join(projectPath, file);
+    if (!await fs.pathExists(target)) {
+      await fs.copy(path.join(TEMPLATE_DIR, file), target);
+      copied.push(file);
+    }
+  }
+  return copied;
+}
+
+// Add a feature to a project. Conflicting files stop it before anything is written,
+// unless `force` is set; an existing feature migration is kept as it may already be applied.
+export async function addFeature(name, projectPath = process.cwd(), options = {}) {
+  const { force = false } = options;
+  const feature = FEATURES[name];
+  if (!feature) {
+    throw createError(
+      `Unknown feature: ${name}`,
+      ErrorCodes.INVALID_INPUT,
+      [`Available features: ${Object.keys(FEATURES).join(', ')}`]
+    );
+  }
+
+  const featureDir = path.join(FEATURES_DIR, name);
+  const filesDir = path.join(featureDir, 'files');
+  const files = await listFiles(filesDir);
+  const migrationsDir = path.join(projectPath, (await loadConfig(projectPath)).paths.migrations);
+  const existingMigration = await findMigration(migrationsDir, feature.migration);
+
+  const conflicts = [];
+  for (const file of files) {
+    if (await fs.pathExists(path.join(projectPath, file))) {
+      conflicts.push(file);
+    }
+  }
+  if (existingMigration) {
+    conflicts.push(path.relative(projectPath, existingMigration));
+  }
+
+  if (conflicts.length > 0 && !force) {
+    throw createError(
+      `The ${name} feature conflicts with existing files: ${conflicts.join(', ')}`,
+      ErrorCodes.DIRECTORY_EXISTS,
+      ['Use --force to overwrite them (the existing migration is kept)']
+    );
+  }
+
+  for (const file of files) {
+    await fs.copy(path.join(filesDir, file), path.join(projectPath, file), { overwrite: true });
+  }
+
+  let migration;
+  if (existingMigration) {
+    migration = { file: path.relative(projectPath, existingMigration), kept: true };
+  } else {
+    const { up, down } = parseMigrationSections(await fs.readFile(path.join(featureDir, 'migration.sql'), 'utf8'));
+    const created = await createMigrationFile(feature.migration, migrationsDir, { up: up.trim(), down: (down ?? '').trim() });
+    migration = { file: path.relative(projectPath, created.file), kept: false };
+  }
+
+  const sharedFiles = await copyMissingTemplateFiles(feature.requires ?? [], projectPath);
+
+  return { files, migration, sharedFiles };
+}
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files.sort();
+}
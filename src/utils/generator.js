@@ -0,0 +1,741 @@
+import { createError, ErrorCodes } from './errors.js';
+import { typeNames } from './typegen.js';
+
+// Field types accepted by `bit2 generate resource`, with their column definition and TypeScript type
+export const FIELD_TYPES = {
+  text: { sql: 'TEXT', ts: 'string' },
+  integer: { sql: 'INTEGER', ts: 'number' },
+  real: { sql: 'REAL', ts: 'number' },
+  boolean: { sql: 'BOOLEAN', ts: 'number' },
+  date: { sql: 'DATETIME', ts: 'string' }
+};
+
+const TYPE_ALIASES = {
+  string: 'text',
+  int: 'integer',
+  number: 'real',
+  float: 'real',
+  bool: 'boolean',
+  datetime: 'date'
+};
+
+const RESERVED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+// post, blog-post, BlogPost -> names for every place the resource shows up
+export function resourceNames(name) {
+  const words = String(name || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+  if (words.length === 0 || !/^[a-z]/.test(words[0])) {
+    throw createError(
+      `Invalid resource name "${name}"`,
+      ErrorCodes.INVALID_INPUT,
+      ['Use a singular name that starts with a letter, e.g. bit2 generate resource post title:text']
+    );
+  }
+
+  const singular = words;
+  const plural = [...words.slice(0, -1), pluralize(words[words.length - 1])];
+
+  return {
+    // Row type name as bit2 db types will generate it for the table
+    type: typeNames([plural.join('_')])[plural.join('_')],
+    singular: {
+      snake: singular.join('_'),
+      kebab: singular.join('-'),
+      camel: camelCase(singular),
+      pascal: pascalCase(singular),
+      label: singular.join(' ')
+    },
+    plural: {
+      snake: plural.join('_'),
+      kebab: plural.join('-'),
+      camel: camelCase(plural),
+      pascal: pascalCase(plural),
+      label: plural.join(' ')
+    }
+  };
+}
+
+// title:text, views:integer:optional -> [{ name, type, required }]
+export function parseFields(definitions) {
+  if (!definitions || definitions.length === 0) {
+    throw createError(
+      'At least one field is required',
+      ErrorCodes.INVALID_INPUT,
+      ['Example: bit2 generate resource post title:text body:text published:boolean']
+    );
+  }
+
+  const fields = [];
+  for (const definition of definitions) {
+    const [name, rawType = 'text', ...modifiers] = definition.split(':');
+    const type = TYPE_ALIASES[rawType.toLowerCase()] || rawType.toLowerCase();
+
+    if (!/^[a-z][a-z0-9_]*$/.test(name)) {
+      throw createError(`Invalid field name "${name}"`, ErrorCodes.INVALID_INPUT, ['Field names use lowercase letters, numbers and underscores']);
+    }
+    if (RESERVED_FIELDS.includes(name)) {
+      throw createError(`"${name}" is added automatically, remove it from the field list`, ErrorCodes.INVALID_INPUT);
+    }
+    if (!FIELD_TYPES[type]) {
+      throw createError(
+        `Unknown type "${rawType}" for field "${name}"`,
+        ErrorCodes.INVALID_INPUT,
+        [`Supported types: ${Object.keys(FIELD_TYPES).join(', ')}`]
+      );
+    }
+    const unknown = modifiers.filter(modifier => modifier !== 'optional');
+    if (unknown.length > 0) {
+      throw createError(`Unknown modifier "${unknown[0]}" for field "${name}"`, ErrorCodes.INVALID_INPUT, ['Supported modifiers: optional']);
+    }
+    if (fields.some(field => field.name === name)) {
+      throw createError(`Field "${name}" is defined twice`, ErrorCodes.INVALID_INPUT);
+    }
+
+    // Booleans always have a value, they default to false instead of being required
+    fields.push({ name, type, required: type !== 'boolean' && !modifiers.includes('optional') });
+  }
+
+  return fields;
+}
+
+// Every file of a resource, keyed by its path relative to the project root
+export function renderResource(names, fields) {
+  const { singular, plural } = names;
+
+  return {
+    lib: { path: `src/lib/${plural.kebab}.ts`, content: renderLib(names, fields) },
+    listRoute: { path: `src/pages/api/${plural.kebab}.json.ts`, content: renderListRoute(names, fields) },
+    itemRoute: { path: `src/pages/api/${singular.kebab}/[id].json.ts`, content: renderItemRoute(names) },
+    listPage: { path: `src/pages/${plural.kebab}/index.astro`, content: renderListPage(names, fields) },
+    detailPage: { path: `src/pages/${plural.kebab}/[id].astro`, content: renderDetailPage(names, fields) },
+    test: { path: `tests/${plural.kebab}.test.ts`, content: renderTest(names, fields) }
+  };
+}
+
+export function renderMigration(names, fields) {
+  const table = names.plural.snake;
+  const columns = [
+    'id INTEGER PRIMARY KEY AUTOINCREMENT',
+    ...fields.map(field => {
+      const parts = [field.name, FIELD_TYPES[field.type].sql];
+      if (field.type === 'boolean') {
+        parts.push('NOT NULL DEFAULT 0');
+      } else if (field.required) {
+        parts.push('NOT NULL');
+      }
+      return parts.join(' ');
+    }),
+    'created_at DATETIME DEFAULT CURRENT_TIMESTAMP',
+    'updated_at DATETIME DEFAULT CURRENT_TIMESTAMP'
+  ];
+
+  return {
+    up: `CREATE TABLE IF NOT EXISTS ${table} (\n  ${columns.join(',\n  ')}\n);`,
+    down: `DROP TABLE IF EXISTS ${table};`
+  };
+}
+
+// to<Type>(row): every column converted to the type bit2 db types declares for it
+function renderMapper(names, fields) {
+  const { singular: s, plural: p, type } = names;
+  const converters = fields.map(field => {
+    const number = FIELD_TYPES[field.type].ts === 'number';
+    // Booleans are NOT NULL DEFAULT 0
+    const required = field.required || field.type === 'boolean';
+    const convert = required ? (number ? 'Number' : 'String') : (number ? 'optionalNumber' : 'optionalText');
+    return { name: field.name, convert };
+  });
+  const properties = [
+    { name: 'id', convert: 'Number' },
+    ...converters,
+    { name: 'created_at', convert: 'optionalText' },
+    { name: 'updated_at', convert: 'optionalText' }
+  ];
+  const helpers = [
+    'function optionalText(value: unknown): string | null {\n  return value === null || value === undefined ? null : String(value);\n}'
+  ];
+  if (converters.some(converter => converter.convert === 'optionalNumber')) {
+    helpers.push('function optionalNumber(value: unknown): number | null {\n  return value === null || value === undefined ? null : Number(value);\n}');
+  }
+
+  return `/**
+ * Map a database row to a ${type}
+ * @param row - A row of the ${p.snake} table (SELECT * or RETURNING *)
+ * @returns The ${s.label} with its columns converted to their declared types
+ */
+export function to${s.pascal}(row: Record<string, unknown>): ${type} {
+  return {
+${properties.map(property => `    ${property.name}: ${property.convert}(row.${property.name})`).join(',\n')}
+  };
+}
+
+${helpers.join('\n\n')}`;
+}
+
+function renderLib(names, fields) {
+  const { singular: s, plural: p, type } = names;
+  const table = p.snake;
+  const fieldSpecs = fields
+    .map(field => `  { name: '${field.name}', type: '${field.type}', required: ${field.required} }`)
+    .join(',\n');
+
+  const columns = ['id', ...fields.map(field => field.name), 'created_at', 'updated_at'];
+  const filterable = fields.filter(field => field.type !== 'real').map(field => field.name);
+
+  return `import { getDatabase } from '../db/client.js';
+import type { ${type}, ${type}Insert } from '../db/types.generated';
+import { listRows } from './query';
+import type { ListParams, ListSpec, Page } from './query';
+
+export type { ${type}, ${type}Insert } from '../db/types.generated';
+
+// Generated by bit2 generate resource ${s.kebab}
+
+const ${s.snake.toUpperCase()}_FIELDS = [
+${fieldSpecs}
+] as const;
+
+const ${s.snake.toUpperCase()}_COLUMNS: string[] = ${s.snake.toUpperCase()}_FIELDS.map(field => field.name);
+
+// Columns the list endpoint can sort and filter by
+export const ${s.snake.toUpperCase()}_LIST: ListSpec = {
+  table: '${table}',
+  sortable: [${columns.map(column => `'${column}'`).join(', ')}],
+  filterable: [${filterable.map(column => `'${column}'`).join(', ')}],
+  defaultSort: '-created_at'
+};
+
+${renderMapper(names, fields)}
+
+export interface ${s.pascal}ValidationResult {
+  data: Partial<${type}Insert>;
+  errors: string[];
+}
+
+/**
+ * Validate a request body before it is written to the database
+ * @param input - Parsed JSON body
+ * @param partial - Allow missing fields (for updates)
+ * @returns The accepted fields and a list of validation errors
+ */
+export function validate${s.pascal}Input(input: unknown, partial = false): ${s.pascal}ValidationResult {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { data: {}, errors: ['Request body must be a JSON object'] };
+  }
+
+  const body = input as Record<string, unknown>;
+  const data: Record<string, unknown> = {};
+  const errors: string[] = [];
+
+  for (const field of ${s.snake.toUpperCase()}_FIELDS) {
+    const value = body[field.name];
+
+    if (value === undefined) {
+      if (field.required && !partial) {
+        errors.push(\`\${field.name} is required\`);
+      }
+      continue;
+    }
+
+    if (value === null) {
+      if (field.type === 'boolean') {
+        // Booleans are NOT NULL DEFAULT 0: leave the field out instead of sending null
+        errors.push(\`\${field.name} must be \${FIELD_DESCRIPTIONS.boolean}\`);
+      } else if (field.required) {
+        errors.push(\`\${field.name} is required\`);
+      } else {
+        data[field.name] = null;
+      }
+      continue;
+    }
+
+    const parsed = parseFieldValue(field.type, value);
+    if (parsed === undefined) {
+      errors.push(\`\${field.name} must be \${FIELD_DESCRIPTIONS[field.type]}\`);
+    } else {
+      data[field.name] = parsed;
+    }
+  }
+
+  return { data: data as Partial<${type}Insert>, errors };
+}
+
+const FIELD_DESCRIPTIONS: Record<string, string> = {
+  text: 'a non-empty string',
+  integer: 'a whole number',
+  real: 'a number',
+  boolean: 'true or false',
+  date: 'a date string (e.g. 2025-01-31)'
+};
+
+function parseFieldValue(type: string, value: unknown): unknown {
+  switch (type) {
+    case 'text':
+      return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+    case 'integer':
+      return Number.isInteger(value) ? value : undefined;
+    case 'real':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'boolean':
+      // Stored as 0/1
+      return typeof value === 'boolean' ? Number(value) : value === 0 || value === 1 ? value : undefined;
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Get a page of ${p.label}, newest first unless sorted otherwise
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param params - Pagination, sort and filters (see parseListParams)
+ * @returns One page of ${p.label} with the total count and next cursor
+ */
+export async function list${p.pascal}(runtime?: any, params: ListParams = {}): Promise<Page<${type}>> {
+  const db = getDatabase(runtime);
+  const page = await listRows<Record<string, unknown>>(db, ${s.snake.toUpperCase()}_LIST, params);
+  return { ...page, data: page.data.map(row => to${s.pascal}(row)) };
+}
+
+/**
+ * Get a specific ${s.label} by ID
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The ${s.label} ID
+ * @returns The ${s.label} or null if not found
+ */
+export async function get${s.pascal}(runtime: any, id: number): Promise<${type} | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'SELECT * FROM ${table} WHERE id = ?',
+    args: [id]
+  });
+  return result.rows.length > 0 ? to${s.pascal}(result.rows[0]) : null;
+}
+
+/**
+ * Create a ${s.label}
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param input - Validated fields (see validate${s.pascal}Input)
+ * @returns The created ${s.label}
+ */
+export async function create${s.pascal}(runtime: any, input: ${type}Insert): Promise<${type}> {
+  const db = getDatabase(runtime);
+  const columns = ${s.snake.toUpperCase()}_COLUMNS.filter(column => column in input);
+  const values = input as Record<string, any>;
+
+  const result = await db.execute({
+    sql: columns.length > 0
+      ? \`INSERT INTO ${table} (\${columns.join(', ')}) VALUES (\${columns.map(() => '?').join(', ')}) RETURNING *\`
+      : 'INSERT INTO ${table} DEFAULT VALUES RETURNING *',
+    args: columns.map(column => values[column])
+  });
+  return to${s.pascal}(result.rows[0]);
+}
+
+/**
+ * Update some fields of a ${s.label}
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The ${s.label} ID
+ * @param input - Validated fields to change
+ * @returns The updated ${s.label} or null if not found
+ */
+export async function update${s.pascal}(runtime: any, id: number, input: Partial<${type}Insert>): Promise<${type} | null> {
+  const db = getDatabase(runtime);
+  const columns = ${s.snake.toUpperCase()}_COLUMNS.filter(column => column in input);
+  const values = input as Record<string, any>;
+
+  const result = await db.execute({
+    sql: \`UPDATE ${table} SET \${[...columns.map(column => \`\${column} = ?\`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ? RETURNING *\`,
+    args: [...columns.map(column => values[column]), id]
+  });
+  return result.rows.length > 0 ? to${s.pascal}(result.rows[0]) : null;
+}
+
+/**
+ * Delete a ${s.label}
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The ${s.label} ID
+ * @returns true if a ${s.label} was deleted
+ */
+export async function delete${s.pascal}(runtime: any, id: number): Promise<boolean> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'DELETE FROM ${table} WHERE id = ?',
+    args: [id]
+  });
+  return result.rowsAffected > 0;
+}
+`;
+}
+
+function renderListRoute(names, fields) {
+  const { singular: s, plural: p, type } = names;
+
+  return `import type { APIRoute } from 'astro';
+import { ${s.snake.toUpperCase()}_LIST, list${p.pascal}, create${s.pascal}, validate${s.pascal}Input } from '../../lib/${p.kebab}';
+import type { ${type}Insert } from '../../lib/${p.kebab}';
+import { json, errorResponse, readJson } from '../../lib/api';
+import { parseListParams } from '../../lib/query';
+
+// ?limit=20&cursor=... or ?offset=40, ?sort=-created_at, filters by column: ?${filterExample(names, fields)}
+export const GET: APIRoute = async ({ url, locals }) => {
+  const { params, errors } = parseListParams(url.searchParams, ${s.snake.toUpperCase()}_LIST);
+  if (errors.length > 0) {
+    return errorResponse(400, 'Invalid query parameters', errors);
+  }
+
+  try {
+    const page = await list${p.pascal}(locals.runtime, params);
+    return json(page);
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch ${p.label}');
+  }
+};
+
+export const POST: APIRoute = async ({ request, locals }) => {
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  const { data, errors } = validate${s.pascal}Input(body);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid ${s.label}', errors);
+  }
+
+  try {
+    const ${s.camel} = await create${s.pascal}(locals.runtime, data as ${type}Insert);
+    return json(${s.camel}, 201, { Location: \`/api/${s.kebab}/\${${s.camel}.id}.json\` });
+  } catch (error) {
+    return errorResponse(500, 'Failed to create ${s.label}');
+  }
+};
+`;
+}
+
+function renderItemRoute(names) {
+  const { singular: s, plural: p } = names;
+  const notFound = `${s.label.charAt(0).toUpperCase()}${s.label.slice(1)} not found`;
+
+  return `import type { APIRoute } from 'astro';
+import { get${s.pascal}, update${s.pascal}, delete${s.pascal}, validate${s.pascal}Input } from '../../../lib/${p.kebab}';
+import { json, errorResponse, readJson, parseId } from '../../../lib/api';
+
+export const GET: APIRoute = async ({ params, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid ${s.label} ID');
+  }
+
+  try {
+    const ${s.camel} = await get${s.pascal}(locals.runtime, id);
+    return ${s.camel} ? json(${s.camel}) : errorResponse(404, '${notFound}');
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch ${s.label}');
+  }
+};
+
+export const PUT: APIRoute = async ({ params, request, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid ${s.label} ID');
+  }
+
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  // Partial updates: only the fields present in the body are changed
+  const { data, errors } = validate${s.pascal}Input(body, true);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid ${s.label}', errors);
+  }
+
+  try {
+    const ${s.camel} = await update${s.pascal}(locals.runtime, id, data);
+    return ${s.camel} ? json(${s.camel}) : errorResponse(404, '${notFound}');
+  } catch (error) {
+    return errorResponse(500, 'Failed to update ${s.label}');
+  }
+};
+
+export const PATCH = PUT;
+
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid ${s.label} ID');
+  }
+
+  try {
+    const deleted = await delete${s.pascal}(locals.runtime, id);
+    return deleted ? new Response(null, { status: 204 }) : errorResponse(404, '${notFound}');
+  } catch (error) {
+    return errorResponse(500, 'Failed to delete ${s.label}');
+  }
+};
+`;
+}
+
+function renderListPage(names, fields) {
+  const { singular: s, plural: p } = names;
+  const [titleField, ...otherFields] = fields;
+  const title = titleCase(p.label);
+
+  return `---
+import Layout from '@layouts/Layout.astro';
+import { ${s.snake.toUpperCase()}_LIST, list${p.pascal} } from '@lib/${p.kebab}';
+import { parseListParams } from '@lib/query';
+
+// Same ?limit=, ?cursor=, ?sort= and filter parameters as the JSON API
+const { params, errors } = parseListParams(Astro.url.searchParams, ${s.snake.toUpperCase()}_LIST);
+const { data: ${p.camel}, meta } = await list${p.pascal}(Astro.locals.runtime, errors.length > 0 ? {} : params);
+
+const nextPage = new URL(Astro.url);
+nextPage.searchParams.delete('offset');
+if (meta.next_cursor) {
+  nextPage.searchParams.set('cursor', meta.next_cursor);
+}
+---
+
+<Layout title="${title}">
+  <main class="container">
+    <h1>${title}</h1>
+
+    {${p.camel}.length === 0 ? (
+      <p class="empty">No ${p.label} yet. Create one with POST /api/${p.kebab}.json</p>
+    ) : (
+      <ul class="items">
+        {${p.camel}.map((${s.camel}) => (
+          <li>
+            <a href={\`/${p.kebab}/\${${s.camel}.id}\`}>{String(${s.camel}.${titleField.name} ?? \`${titleCase(s.label)} #\${${s.camel}.id}\`)}</a>
+${otherFields.length > 0 ? `            <span class="meta">{${s.camel}.created_at}</span>\n` : ''}          </li>
+        ))}
+      </ul>
+    )}
+
+    <p class="meta">
+      {meta.total} ${p.label}
+      {meta.next_cursor && <a href={nextPage.pathname + nextPage.search}>Next page →</a>}
+    </p>
+  </main>
+</Layout>
+
+<style>
+  .container {
+    max-width: 48rem;
+    margin: 0 auto;
+    padding: 2rem 1rem;
+  }
+
+  .items {
+    list-style: none;
+    padding: 0;
+  }
+
+  .items li {
+    display: flex;
+    justify-content: space-between;
+    padding: 0.75rem 0;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+  }
+
+  a {
+    color: #7dd3fc;
+  }
+
+  .meta,
+  .empty {
+    color: #94a3b8;
+  }
+</style>
+`;
+}
+
+function renderDetailPage(names, fields) {
+  const { singular: s, plural: p } = names;
+  const rows = fields
+    .map(field => `      <dt>${field.name}</dt>\n      <dd>{formatValue(${s.camel}.${field.name}, '${field.type}')}</dd>`)
+    .join('\n');
+
+  return `---
+import Layout from '@layouts/Layout.astro';
+import { get${s.pascal} } from '@lib/${p.kebab}';
+
+const id = parseInt(Astro.params.id || '0');
+const ${s.camel} = isNaN(id) ? null : await get${s.pascal}(Astro.locals.runtime, id);
+
+if (!${s.camel}) {
+  return new Response('${titleCase(s.label)} not found', { status: 404 });
+}
+
+function formatValue(value: unknown, type: string) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  if (type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+---
+
+<Layout title={\`${titleCase(s.label)} #\${${s.camel}.id}\`}>
+  <main class="container">
+    <a href="/${p.kebab}">← All ${p.label}</a>
+    <h1>${titleCase(s.label)} #{${s.camel}.id}</h1>
+
+    <dl>
+${rows}
+      <dt>created_at</dt>
+      <dd>{${s.camel}.created_at}</dd>
+    </dl>
+  </main>
+</Layout>
+
+<style>
+  .container {
+    max-width: 48rem;
+    margin: 0 auto;
+    padding: 2rem 1rem;
+  }
+
+  dl {
+    display: grid;
+    grid-template-columns: max-content 1fr;
+    gap: 0.5rem 1.5rem;
+  }
+
+  dt {
+    color: #94a3b8;
+  }
+
+  dd {
+    margin: 0;
+  }
+
+  a {
+    color: #7dd3fc;
+  }
+</style>
+`;
+}
+
+function renderTest(names, fields) {
+  const { singular: s, plural: p } = names;
+  const valid = Object.fromEntries(fields.map(field => [field.name, sampleValue(field.type)]));
+  const required = fields.filter(field => field.required);
+  const invalidField = fields[0];
+  const booleans = fields.filter(field => field.type === 'boolean');
+
+  const requiredTest = required.length > 0
+    ? `
+  it('should require ${required.map(field => field.name).join(', ')}', () => {
+    const { errors } = validate${s.pascal}Input({});
+    expect(errors).toEqual([${required.map(field => `'${field.name} is required'`).join(', ')}]);
+  });
+`
+    : '';
+
+  return `import { describe, it, expect } from 'bun:test';
+import { validate${s.pascal}Input } from '../src/lib/${p.kebab}';
+
+// Generated by bit2 generate resource ${s.kebab}
+describe('${p.label} validation', () => {
+  it('should accept a complete ${s.label}', () => {
+    const { data, errors } = validate${s.pascal}Input(${JSON.stringify(valid)});
+    expect(errors).toEqual([]);
+    expect(Object.keys(data)).toEqual(${JSON.stringify(fields.map(field => field.name))});
+  });
+${requiredTest}${booleanTest(s, booleans)}
+  it('should reject values of the wrong type', () => {
+    const { errors } = validate${s.pascal}Input({ ...${JSON.stringify(valid)}, ${invalidField.name}: ${invalidValue(invalidField.type)} });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith('${invalidField.name} must be');
+  });
+
+  it('should allow partial updates', () => {
+    const { errors } = validate${s.pascal}Input({}, true);
+    expect(errors).toEqual([]);
+  });
+
+  it('should reject bodies that are not objects', () => {
+    expect(validate${s.pascal}Input([]).errors).toEqual(['Request body must be a JSON object']);
+  });
+});
+`;
+}
+
+// Boolean columns are NOT NULL, so null must be refused before it reaches the database
+function booleanTest(s, booleans) {
+  if (booleans.length === 0) {
+    return '';
+  }
+  const nulls = Object.fromEntries(booleans.map(field => [field.name, null]));
+  return `
+  it('should reject null for ${booleans.map(field => field.name).join(', ')}', () => {
+    const { errors } = validate${s.pascal}Input(${JSON.stringify(nulls)}, true);
+    expect(errors).toEqual([${booleans.map(field => `'${field.name} must be true or false'`).join(', ')}]);
+  });
+`;
+}
+
+function filterExample(names, fields) {
+  const field = fields.find(candidate => candidate.type === 'text') || fields[0];
+  return `${field.name}=${field.type === 'boolean' ? '1' : 'a,b'}`;
+}
+
+function sampleValue(type) {
+  switch (type) {
+    case 'integer':
+      return 42;
+    case 'real':
+      return 4.5;
+    case 'boolean':
+      return true;
+    case 'date':
+      return '2025-01-31';
+    default:
+      return 'Example';
+  }
+}
+
+function invalidValue(type) {
+  if (type === 'text') {
+    return '123';
+  }
+  return type === 'date' ? "'not a date'" : "'not valid'";
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/.test(word)) {
+    return word.replace(/y$/, 'ies');
+  }
+  if (/(s|x|z|ch|sh)$/.test(word)) {
+    return `${word}es`;
+  }
+  return `${word}s`;
+}
+
+function camelCase(words) {
+  return words.map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+}
+
+function pascalCase(words) {
+  return words.map(capitalize).join('');
+}
+
+function titleCase(label) {
+  return label.split(' ').map(capitalize).join(' ');
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
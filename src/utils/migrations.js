@@ -0,0 +1,242 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { parseSqlStatements } from './sql.js';
+import { query, tableExists } from './database.js';
+
+export const MIGRATIONS_DIR = './src/db/migrations';
+export const MIGRATIONS_TABLE = '_bit2_migrations';
+
+// Projects created before versioned migrations only have a schema.sql next to
+// the migrations directory, which is treated as a single baseline migration
+const LEGACY_SCHEMA_FILE = 'schema.sql';
+const LEGACY_MIGRATION_ID = '0000_schema';
+
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+
+// Optional section markers; a file without them is treated as all "up"
+const UP_MARKER = /^[ \t]*--[ \t]*migrate:up[ \t]*$/im;
+const DOWN_MARKER = /^[ \t]*--[ \t]*migrate:down[ \t]*$/im;
+
+export async function loadMigrations(migrationsDir = MIGRATIONS_DIR) {
+  if (!await fs.pathExists(migrationsDir)) {
+    const legacyPath = legacySchemaPath(migrationsDir);
+    if (await fs.pathExists(legacyPath)) {
+      const sql = await fs.readFile(legacyPath, 'utf8');
+      return [createMigration(LEGACY_MIGRATION_ID, legacyPath, sql)];
+    }
+    return null;
+  }
+
+  const files = (await fs.readdir(migrationsDir))
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const filePath = path.join(migrationsDir, file);
+    const sql = await fs.readFile(filePath, 'utf8');
+    migrations.push(createMigration(path.basename(file, '.sql'), filePath, sql));
+  }
+
+  return migrations;
+}
+
+export function legacySchemaPath(migrationsDir = MIGRATIONS_DIR) {
+  return path.join(path.dirname(migrationsDir), LEGACY_SCHEMA_FILE);
+}
+
+function createMigration(id, file, sql) {
+  const { up, down, downLine } = parseMigrationSections(sql);
+  return {
+    id,
+    file,
+    sql,
+    up,
+    down,
+    downLine,
+    checksum: computeChecksum(sql)
+  };
+}
+
+// The up section keeps its original line breaks, so statement lines match the file
+export function parseMigrationSections(sql) {
+  const downMatch = DOWN_MARKER.exec(sql);
+  const upSource = downMatch ? sql.slice(0, downMatch.index) : sql;
+  const down = downMatch ? sql.slice(downMatch.index + downMatch[0].length) : null;
+  const downLine = downMatch ? sql.slice(0, downMatch.index).split('\n').length : null;
+
+  return {
+    up: upSource.replace(UP_MARKER, ''),
+    down,
+    downLine
+  };
+}
+
+// Statements of one direction of a migration, with line numbers in the migration file
+export function migrationStatements(migration, direction = 'up') {
+  if (direction === 'down') {
+    if (!migration.down) {
+      return [];
+    }
+    return parseSqlStatements(migration.down).map(statement => ({
+      sql: statement.sql,
+      line: migration.downLine + statement.line - 1
+    }));
+  }
+
+  return parseSqlStatements(migration.up);
+}
+
+export function computeChecksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Compare migration files against the rows of the bookkeeping table
+export function planMigrations(migrations, appliedRows) {
+  const appliedById = new Map(appliedRows.map(row => [row.id, row]));
+  const fileIds = new Set(migrations.map(m => m.id));
+
+  const applied = [];
+  const pending = [];
+  const modified = [];
+
+  for (const migration of migrations) {
+    const row = appliedById.get(migration.id);
+    if (!row) {
+      pending.push(migration);
+      continue;
+    }
+
+    applied.push({ ...migration, appliedAt: row.applied_at });
+    if (row.checksum !== migration.checksum) {
+      modified.push(migration);
+    }
+  }
+
+  // Applied on the database but no longer present on disk
+  const missing = appliedRows.filter(row => !fileIds.has(row.id));
+
+  return { applied, pending, modified, missing };
+}
+
+// One transaction per migration, so a failure never leaves a migration half-applied
+export function buildMigrationBatches(migrations) {
+  return [
+    { name: MIGRATIONS_TABLE, statements: [{ sql: createBookkeepingTableSql() }] },
+    ...migrations.map(migration => ({
+      name: migration.id,
+      file: migration.file,
+      statements: [...migrationStatements(migration, 'up'), recordMigrationStatement(migration)]
+    }))
+  ];
+}
+
+export function createBookkeepingTableSql() {
+  return `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+  id TEXT PRIMARY KEY,
+  checksum TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+}
+
+export async function readAppliedMigrations(connection) {
+  if (!await tableExists(connection, MIGRATIONS_TABLE)) {
+    return [];
+  }
+
+  const rows = await query(connection, `SELECT id, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id`);
+  return rows.map(row => ({ id: row.id, checksum: row.checksum, applied_at: row.applied_at }));
+}
+
+export function recordMigrationStatement(migration) {
+  return {
+    sql: `INSERT INTO ${MIGRATIONS_TABLE} (id, checksum, applied_at) VALUES (?, ?, ?)`,
+    args: [migration.id, migration.checksum, new Date().toISOString()]
+  };
+}
+
+export function removeMigrationRecordStatement(migration) {
+  return {
+    sql: `DELETE FROM ${MIGRATIONS_TABLE} WHERE id = ?`,
+    args: [migration.id]
+  };
+}
+
+// Pick the applied migrations to reverse, newest first
+export function planRollback(applied, { steps, to } = {}) {
+  const newestFirst = [...applied].sort((a, b) => b.id.localeCompare(a.id));
+
+  if (to) {
+    // --to 0 reverses every applied migration
+    if (/^0+$/.test(to)) {
+      return newestFirst;
+    }
+    const index = newestFirst.findIndex(migration => migration.id === to || migration.id.startsWith(`${to}_`));
+    if (index === -1) {
+      throw new Error(`Migration "${to}" has not been applied`);
+    }
+    return newestFirst.slice(0, index);
+  }
+
+  const count = steps === undefined ? 1 : Number(steps);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('--steps must be a positive whole number');
+  }
+  return newestFirst.slice(0, count);
+}
+
+// DROP ..., DELETE ... and ALTER TABLE ... DROP [COLUMN] lose data when applied
+export function isDestructiveStatement(statement) {
+  const sql = statement.trim();
+  return /^DROP\s/i.test(sql) ||
+    /^DELETE\s/i.test(sql) ||
+    /^ALTER\s+TABLE\s[\s\S]*\bDROP\b/i.test(sql);
+}
+
+export function slugifyMigrationName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// `up` and `down` prefill the sections, e.g. for generated resources
+export async function createMigrationFile(name, migrationsDir = MIGRATIONS_DIR, { up = '', down = '' } = {}) {
+  const slug = slugifyMigrationName(name);
+  if (!slug) {
+    throw new Error('Migration name must contain at least one letter or number');
+  }
+
+  await fs.ensureDir(migrationsDir);
+  const existing = (await fs.readdir(migrationsDir))
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+
+  const nextVersion = existing.length > 0 ? Math.max(...existing) + 1 : 1;
+  const id = `${String(nextVersion).padStart(4, '0')}_${slug}`;
+  const filePath = path.join(migrationsDir, `${id}.sql`);
+
+  const content = `-- Migration: ${id}
+-- Created: ${new Date().toISOString()}
+
+-- migrate:up
+${up}
+
+-- migrate:down
+${down}
+`;
+  await fs.writeFile(filePath, content);
+
+  return { id, file: filePath };
+}
+
+// The migration file created for a slug, whatever its version number
+export async function findMigration(migrationsDir, slug) {
+  if (!await fs.pathExists(migrationsDir)) {
+    return null;
+  }
+  const file = (await fs.readdir(migrationsDir)).find(entry => entry.endsWith(`_${slug}.sql`));
+  return file ? path.join(migrationsDir, file) : null;
+}
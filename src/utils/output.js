@@ -0,0 +1,23 @@
+import chalk from 'chalk';
+import { stripVTControlCharacters } from 'util';
+
+// --json output is a single document on stdout, without colours or spinners
+export function printJson(data) {
+  console.log(JSON.stringify(data, null, 2));
+}
+
+// Messages are written with chalk for the terminal, JSON gets the plain text
+export function plainText(text) {
+  return stripVTControlCharacters(String(text));
+}
+
+// Failures stay parseable in --json mode: { "error": { "message", "recoverySteps" } } and exit code 1
+export function exitWithError(message, recoverySteps = [], { json = false } = {}) {
+  if (json) {
+    printJson({ error: { message, recoverySteps } });
+  } else {
+    console.log(chalk.red(`❌ ${message}`));
+    recoverySteps.forEach(step => console.log(chalk.gray(step)));
+  }
+  process.exit(1);
+}
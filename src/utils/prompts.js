@@ -0,0 +1,92 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import { createError, ErrorCodes } from './errors.js';
+
+const settings = {
+  nonInteractive: false,
+  yes: false
+};
+
+// Set from the global --non-interactive and --yes flags before a command runs
+export function configurePrompts({ nonInteractive = false, yes = false } = {}) {
+  settings.nonInteractive = Boolean(nonInteractive);
+  settings.yes = Boolean(yes);
+}
+
+// Prompts are off with --non-interactive and whenever stdin isn't a terminal (CI, pipes, scripts)
+export function isInteractive() {
+  return !settings.nonInteractive && Boolean(process.stdin.isTTY);
+}
+
+export function assumeYes() {
+  return settings.yes;
+}
+
+// The error for a choice that has no flag when nobody can be asked
+export function missingChoiceError(choice, flags) {
+  return createError(
+    `Missing ${choice}: prompts are disabled in non-interactive mode`,
+    ErrorCodes.INVALID_INPUT,
+    [
+      `Pass ${flags.join(' or ')}`,
+      'Non-interactive mode is on with --non-interactive and when stdin is not a terminal'
+    ]
+  );
+}
+
+// Check up front that a confirmation can be answered, so scripts fail before any work is done
+export function requireConfirmation(choice, flags = ['--yes']) {
+  if (!settings.yes && !isInteractive()) {
+    throw missingChoiceError(choice, flags);
+  }
+}
+
+export async function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    rl.question(chalk.cyan(question), (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// y/n question; --yes answers it, an empty answer picks the default
+export async function confirm(question, { defaultValue = false, choice = 'confirmation', flags = ['--yes'] } = {}) {
+  if (settings.yes) {
+    return true;
+  }
+  requireConfirmation(choice, flags);
+
+  const answer = (await ask(question)).toLowerCase();
+  if (!answer) {
+    return defaultValue;
+  }
+  return answer === 'y' || answer === 'yes';
+}
+
+// Numbered list of { value, label }, asked again until the answer is valid
+export async function choose(title, choices, { choice = 'choice', flags } = {}) {
+  if (!isInteractive()) {
+    throw missingChoiceError(choice, flags);
+  }
+
+  console.log();
+  console.log(chalk.cyan(title));
+  choices.forEach((option, index) => {
+    console.log(chalk.white(`  [${index + 1}] ${option.label}`));
+  });
+  console.log();
+
+  while (true) {
+    const answer = Number(await ask(`Enter your choice (1-${choices.length}): `));
+    if (Number.isInteger(answer) && answer >= 1 && answer <= choices.length) {
+      return choices[answer - 1].value;
+    }
+    console.log(chalk.red(`Please enter a number from 1 to ${choices.length}`));
+  }
+}
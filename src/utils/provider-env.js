@@ -0,0 +1,153 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { runCli, runWrangler, providerCliError } from './deployers.js';
+import { parseEnv } from './env-file.js';
+import { DEFAULT_ENVIRONMENT, environmentFlag, listDeployedEnvironments, readDeployment } from './deployment.js';
+import { createError, ErrorCodes } from './errors.js';
+
+// Variables are set for production deploys (Netlify: every context), or those of the named environment. fetch() returns
+// null for values the provider keeps write-only, so only their names can be compared.
+const PROVIDER_ENV = {
+  // Named environments have a Pages project of their own
+  cloudflare: {
+    async push(projectName, values) {
+      await runWrangler(['pages', 'secret', 'bulk', `--project-name=${projectName}`], { input: JSON.stringify(values) });
+    },
+    // Pages secrets are encrypted, the list only has their names
+    async fetch(projectName) {
+      const output = await runWrangler(['pages', 'secret', 'list', `--project-name=${projectName}`]);
+      const keys = [...output.matchAll(/^\s*-\s*([A-Za-z_][A-Za-z0-9_]*):/gm)].map(match => match[1]);
+      return Object.fromEntries(keys.map(key => [key, null]));
+    }
+  },
+
+  // Named environments are preview deployments of the linked project and share its preview variables
+  vercel: {
+    async push(projectName, values, environment) {
+      for (const [key, value] of Object.entries(values)) {
+        await runCli('vercel', ['env', 'add', key, vercelTarget(environment), '--force'], { input: value });
+      }
+    },
+    // Sensitive variables come back empty and the VERCEL_* system variables are not ours
+    async fetch(projectName, environment) {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-env-'));
+      try {
+        const file = path.join(dir, '.env');
+        await runCli('vercel', ['env', 'pull', file, `--environment=${vercelTarget(environment)}`, '--yes']);
+        const values = parseEnv(await fs.readFile(file, 'utf8'));
+        return Object.fromEntries(Object.entries(values)
+          .filter(([key]) => key !== 'VERCEL' && !key.startsWith('VERCEL_'))
+          .map(([key, value]) => [key, value === '' ? null : value]));
+      } finally {
+        await fs.remove(dir);
+      }
+    }
+  },
+
+  netlify: {
+    // env:set only takes the value as an argument, which other users can read in the process list.
+    // env:import reads a file instead (readable by us only), and sets the values for every deploy context.
+    async push(projectName, values) {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-env-'));
+      try {
+        const file = path.join(dir, '.env');
+        await fs.writeFile(file, formatDotenv(values), { mode: 0o600 });
+        await runCli('netlify', ['env:import', file]);
+      } finally {
+        await fs.remove(dir);
+      }
+    },
+    async fetch() {
+      const values = JSON.parse(await runCli('netlify', ['env:list', '--json', '--context', 'production']));
+      return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, /^\*+$/.test(value) ? null : value]));
+    }
+  }
+};
+
+export async function pushEnv(provider, projectName, values, environment = DEFAULT_ENVIRONMENT) {
+  assertLinkedSite(provider, projectName, environment);
+  await assertVercelPreviewScope(provider, environment);
+  try {
+    await PROVIDER_ENV[provider].push(projectName, values, environment);
+  } catch (error) {
+    throw providerCliError(provider, 'env push', error, `bit2 env push${environmentFlag(environment)}`, linkHints(provider, projectName));
+  }
+}
+
+export async function fetchEnv(provider, projectName, environment = DEFAULT_ENVIRONMENT) {
+  assertLinkedSite(provider, projectName, environment);
+  await assertVercelPreviewScope(provider, environment);
+  try {
+    return await PROVIDER_ENV[provider].fetch(projectName, environment);
+  } catch (error) {
+    throw providerCliError(provider, 'env pull', error, `bit2 env diff${environmentFlag(environment)}`, linkHints(provider, projectName));
+  }
+}
+
+// One entry per key, sorted: local, remote, changed, same or hidden (remote value not readable)
+export function diffEnv(local, remote) {
+  const keys = [...new Set([...Object.keys(local), ...Object.keys(remote)])].sort();
+  return keys.map(key => {
+    if (!(key in remote)) {
+      return { key, status: 'local' };
+    }
+    if (!(key in local)) {
+      return { key, status: 'remote' };
+    }
+    if (remote[key] === null) {
+      return { key, status: 'hidden' };
+    }
+    return { key, status: local[key] === remote[key] ? 'same' : 'changed' };
+  });
+}
+
+// KEY=value lines for env:import, values with spaces, # or quotes are double-quoted
+export function formatDotenv(values) {
+  return Object.entries(values).map(([key, value]) => {
+    const plain = /^[^\s#'"`]*$/.test(value);
+    return `${key}=${plain ? value : `"${value.replace(/\n/g, '\\n')}"`}\n`;
+  }).join('');
+}
+
+// Vercel has a single preview scope per project: a second named environment would overwrite
+// the TURSO_* variables of the first, so only one named environment may deploy to Vercel
+export async function assertVercelPreviewScope(provider, environment, projectPath = process.cwd()) {
+  if (provider !== 'vercel' || environment === DEFAULT_ENVIRONMENT) {
+    return;
+  }
+  for (const other of await listDeployedEnvironments(projectPath)) {
+    if (other !== environment && (await readDeployment(other, projectPath)).PROVIDER === 'vercel') {
+      throw createError(`The ${other} environment already uses the Vercel preview variables, ${environment} cannot share them`, ErrorCodes.INVALID_INPUT, [
+        'Vercel has one preview scope per project, so only one named environment can deploy to it',
+        `Deploy ${environment} to another provider (environments.${environment}.provider), or remove ${other}: bit2 delete --env ${other}`
+      ]);
+    }
+  }
+}
+
+function vercelTarget(environment) {
+  return environment === DEFAULT_ENVIRONMENT ? 'production' : 'preview';
+}
+
+// Named environments deploy to a Netlify site of their own, but the Netlify env commands
+// only work on the site linked to the current directory, which is the production one
+function assertLinkedSite(provider, projectName, environment) {
+  if (provider !== 'netlify' || environment === DEFAULT_ENVIRONMENT) {
+    return;
+  }
+  throw createError(`bit2 env only manages the variables of the linked Netlify site, not of ${environment}`, ErrorCodes.INVALID_INPUT, [
+    `Set them in the dashboard: https://app.netlify.com/sites/${projectName}/configuration/env`
+  ]);
+}
+
+// Vercel and Netlify env commands work on the project linked to the current directory
+function linkHints(provider, projectName) {
+  if (provider === 'vercel') {
+    return [`Link the project: vercel link --yes --project ${projectName}`];
+  }
+  if (provider === 'netlify') {
+    return [`Link the site: netlify link --name ${projectName}`];
+  }
+  return [];
+}
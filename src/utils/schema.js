@@ -0,0 +1,262 @@
+import { withDatabase } from './database.js';
+import { MIGRATIONS_TABLE } from './migrations.js';
+import { quoteIdentifier } from './sql.js';
+
+// Internal tables of SQLite, libSQL/Turso and bit2 itself are never compared
+const INTERNAL_NAME = /^(sqlite_|libsql_|_litestream_|_cf_)/;
+
+// Tables a virtual table module creates for its own storage (e.g. quotes_fts_data).
+// They are created and dropped with the virtual table, so they are left out of the schema.
+const SHADOW_TABLES = {
+  fts5: ['data', 'idx', 'content', 'docsize', 'config'],
+  fts4: ['content', 'segments', 'segdir', 'docsize', 'stat'],
+  fts3: ['content', 'segments', 'segdir', 'docsize', 'stat'],
+  rtree: ['node', 'rowid', 'parent']
+};
+
+const FULL_TEXT_MODULES = ['fts3', 'fts4', 'fts5'];
+
+// Read tables (with their columns), indexes and triggers from sqlite_master.
+// The migration history table is skipped unless `includeMigrations` is set.
+export async function introspectSchema(connection, { includeMigrations = false } = {}) {
+  return withDatabase(connection, async (db) => {
+    const { rows } = await db.execute(
+      "SELECT type, name, tbl_name, sql FROM sqlite_master WHERE type IN ('table', 'index', 'trigger') AND sql IS NOT NULL ORDER BY name"
+    );
+
+    const schema = { tables: {}, indexes: {}, triggers: {} };
+    const virtualTables = new Map(rows
+      .filter(row => row.type === 'table')
+      .map(row => [row.name, parseVirtualTable(row.sql)])
+      .filter(([, virtual]) => virtual));
+    const shadowTables = new Set([...virtualTables].flatMap(([name, virtual]) =>
+      (SHADOW_TABLES[virtual.module] || []).map(suffix => `${name}_${suffix}`)
+    ));
+
+    for (const row of rows) {
+      const isMigrationsTable = row.name === MIGRATIONS_TABLE || row.tbl_name === MIGRATIONS_TABLE;
+      if (INTERNAL_NAME.test(row.name) || shadowTables.has(row.tbl_name) || (isMigrationsTable && !includeMigrations)) {
+        continue;
+      }
+
+      if (row.type === 'table') {
+        const { rows: columns } = await db.execute({
+          sql: 'SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?) ORDER BY cid',
+          args: [row.name]
+        });
+        schema.tables[row.name] = {
+          sql: row.sql,
+          columns: columns.map(column => ({
+            name: column.name,
+            type: column.type,
+            notnull: Number(column.notnull) === 1,
+            defaultValue: column.dflt_value,
+            pk: Number(column.pk)
+          }))
+        };
+        if (virtualTables.has(row.name)) {
+          schema.tables[row.name].virtual = virtualTables.get(row.name);
+        }
+      } else if (row.type === 'index') {
+        schema.indexes[row.name] = { table: row.tbl_name, sql: row.sql };
+      } else {
+        schema.triggers[row.name] = { table: row.tbl_name, sql: row.sql };
+      }
+    }
+
+    return schema;
+  });
+}
+
+// Full-text tables that can be rebuilt from their content: external content
+// tables (content='quotes') and regular ones, but not contentless (content='')
+export function searchIndexes(schema, tables = Object.keys(schema.tables)) {
+  return tables.filter(name => {
+    const virtual = schema.tables[name]?.virtual;
+    return virtual && FULL_TEXT_MODULES.includes(virtual.module) && virtual.content !== '';
+  });
+}
+
+// Re-index every row, e.g. after rows were copied while the sync triggers didn't exist yet
+export function rebuildSearchIndexStatements(schema, tables) {
+  return searchIndexes(schema, tables).map(name => {
+    const table = quoteIdentifier(name);
+    return { sql: `INSERT INTO ${table}(${table}) VALUES ('rebuild')` };
+  });
+}
+
+// Rows of external content tables live in their content table, copying them would duplicate the index
+export function hasExternalContent(definition) {
+  return Boolean(definition.virtual?.content);
+}
+
+// Compare two schemas with `expected` (dev.db) as the reference.
+// "missing" objects only exist in expected, "extra" ones only in actual.
+export function diffSchemas(expected, actual) {
+  const differences = [];
+
+  for (const name of Object.keys(expected.tables)) {
+    const table = actual.tables[name];
+    if (!table) {
+      differences.push({ kind: 'table', change: 'missing', name });
+      continue;
+    }
+
+    const actualColumns = new Map(table.columns.map(column => [column.name, column]));
+    const expectedNames = new Set(expected.tables[name].columns.map(column => column.name));
+
+    for (const column of expected.tables[name].columns) {
+      const other = actualColumns.get(column.name);
+      if (!other) {
+        differences.push({ kind: 'column', change: 'missing', table: name, name: column.name });
+      } else if (describeColumn(column) !== describeColumn(other)) {
+        differences.push({
+          kind: 'column',
+          change: 'changed',
+          table: name,
+          name: column.name,
+          expected: describeColumn(column),
+          actual: describeColumn(other)
+        });
+      }
+    }
+
+    for (const column of table.columns) {
+      if (!expectedNames.has(column.name)) {
+        differences.push({ kind: 'column', change: 'extra', table: name, name: column.name });
+      }
+    }
+  }
+
+  for (const name of Object.keys(actual.tables)) {
+    if (!expected.tables[name]) {
+      differences.push({ kind: 'table', change: 'extra', name });
+    }
+  }
+
+  for (const kind of ['index', 'trigger']) {
+    const group = kind === 'index' ? 'indexes' : 'triggers';
+
+    for (const [name, object] of Object.entries(expected[group])) {
+      const other = actual[group][name];
+      if (!other) {
+        differences.push({ kind, change: 'missing', table: object.table, name });
+      } else if (normalizeSql(object.sql) !== normalizeSql(other.sql)) {
+        differences.push({ kind, change: 'changed', table: object.table, name });
+      }
+    }
+
+    for (const [name, object] of Object.entries(actual[group])) {
+      if (!expected[group][name]) {
+        differences.push({ kind, change: 'extra', table: object.table, name });
+      }
+    }
+  }
+
+  return differences;
+}
+
+// SQL that would bring `actual` in line with `expected`. Changes SQLite cannot
+// express with ALTER TABLE are emitted as comments that need a manual table rebuild.
+export function reconcileSql(differences, expected) {
+  const statements = [];
+
+  // Tables first, so new indexes and triggers have something to point at
+  for (const diff of differences.filter(d => d.kind === 'table')) {
+    if (diff.change === 'missing') {
+      statements.push(`${expected.tables[diff.name].sql};`);
+    } else {
+      statements.push(`DROP TABLE ${quoteIdentifier(diff.name)};`);
+    }
+  }
+
+  for (const diff of differences.filter(d => d.kind === 'column')) {
+    const table = quoteIdentifier(diff.table);
+    if (diff.change === 'missing') {
+      const column = expected.tables[diff.table].columns.find(c => c.name === diff.name);
+      statements.push(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition(column)};`);
+    } else if (diff.change === 'extra') {
+      statements.push(`ALTER TABLE ${table} DROP COLUMN ${quoteIdentifier(diff.name)};`);
+    } else {
+      statements.push(`-- ${diff.table}.${diff.name} is ${diff.actual}, expected ${diff.expected} (requires rebuilding ${diff.table})`);
+    }
+  }
+
+  for (const kind of ['index', 'trigger']) {
+    const group = kind === 'index' ? 'indexes' : 'triggers';
+    const keyword = kind.toUpperCase();
+
+    for (const diff of differences.filter(d => d.kind === kind)) {
+      if (diff.change !== 'missing') {
+        statements.push(`DROP ${keyword} IF EXISTS ${quoteIdentifier(diff.name)};`);
+      }
+      if (diff.change !== 'extra') {
+        statements.push(`${expected[group][diff.name].sql};`);
+      }
+    }
+  }
+
+  return statements;
+}
+
+export function describeDifference(diff) {
+  const subject = diff.kind === 'table' ? `table ${diff.name}` : `${diff.kind} ${diff.table}.${diff.name}`;
+
+  if (diff.change === 'missing') {
+    return `${subject} is missing`;
+  }
+  if (diff.change === 'extra') {
+    return `${subject} only exists on the remote database`;
+  }
+  if (diff.expected) {
+    return `${subject} differs (${diff.actual}, expected ${diff.expected})`;
+  }
+  return `${subject} differs`;
+}
+
+function describeColumn(column) {
+  const parts = [column.type ? column.type.toUpperCase() : 'ANY'];
+  if (column.pk) {
+    parts.push('PRIMARY KEY');
+  }
+  if (column.notnull) {
+    parts.push('NOT NULL');
+  }
+  if (column.defaultValue !== null && column.defaultValue !== undefined) {
+    parts.push(`DEFAULT ${column.defaultValue}`);
+  }
+  return parts.join(' ');
+}
+
+function columnDefinition(column) {
+  const parts = [quoteIdentifier(column.name)];
+  if (column.type) {
+    parts.push(column.type);
+  }
+  if (column.notnull) {
+    parts.push('NOT NULL');
+  }
+  if (column.defaultValue !== null && column.defaultValue !== undefined) {
+    parts.push(`DEFAULT ${column.defaultValue}`);
+  }
+  return parts.join(' ');
+}
+
+// CREATE VIRTUAL TABLE quotes_fts USING fts5(quote, content='quotes') -> { module: 'fts5', content: 'quotes' }
+// `content` is null when the table stores its own content
+function parseVirtualTable(sql) {
+  const match = /^CREATE\s+VIRTUAL\s+TABLE\s[\s\S]*?\bUSING\s+(\w+)\s*(?:\(([\s\S]*)\))?\s*$/i.exec(sql || '');
+  if (!match) {
+    return null;
+  }
+
+  const content = /\bcontent\s*=\s*(?:'((?:[^']|'')*)'|"((?:[^"]|"")*)"|(\w+))/i.exec(match[2] || '');
+  return {
+    module: match[1].toLowerCase(),
+    content: content ? (content[1] ?? content[2] ?? content[3]).replace(/''|""/g, m => m[0]) : null
+  };
+}
+
+function normalizeSql(sql) {
+  return sql.replace(/\s+/g, ' ').trim().toLowerCase();
+}
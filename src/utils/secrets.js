@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { readEnvFile, setEnvValues } from './env-file.js';
+import { DEFAULT_ENVIRONMENT, DEPLOYMENT_FILE } from './deployment.js';
+import { createError, ErrorCodes } from './errors.js';
+
+export const SECRETS_FILE = path.join('.bit2', 'secrets.json');
+
+// A plaintext Turso token in an env file
+export const TOKEN_PATTERN = /^\s*(BIT2_)?TURSO_AUTH_TOKEN\s*=\s*\S+/m;
+
+// Secrets are encrypted with AES-256-GCM. The key is derived from BIT2_SECRETS_PASSPHRASE
+// when it is set while the store is created, otherwise it is a random key file outside the
+// repository: ~/.bit2/keys/<store id>.key, or BIT2_SECRETS_KEY_FILE.
+export async function readSecrets(projectPath = process.cwd()) {
+  const file = path.join(projectPath, SECRETS_FILE);
+  if (!await fs.pathExists(file)) {
+    return {};
+  }
+
+  const store = await fs.readJson(file);
+  const key = await storeKey(store, { create: false });
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(store.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(store.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(store.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  } catch {
+    throw createError(`Could not decrypt ${SECRETS_FILE}`, ErrorCodes.AUTH_FAILED, [
+      store.key === 'passphrase' ? 'Check BIT2_SECRETS_PASSPHRASE' : `Check the key file: ${keyFilePath(store.id)}`,
+      `Or start over: delete ${SECRETS_FILE} and run bit2 db token`
+    ]);
+  }
+}
+
+// Merges the values into the store, undefined removes a secret
+export async function setSecrets(values, projectPath = process.cwd()) {
+  const file = path.join(projectPath, SECRETS_FILE);
+  const existing = await fs.pathExists(file) ? await fs.readJson(file) : null;
+  const secrets = { ...(existing ? await readSecrets(projectPath) : {}), ...values };
+  for (const [name, value] of Object.entries(secrets)) {
+    if (value === undefined) {
+      delete secrets[name];
+    }
+  }
+
+  const store = existing || {
+    version: 1,
+    id: crypto.randomBytes(8).toString('hex'),
+    key: process.env.BIT2_SECRETS_PASSPHRASE ? 'passphrase' : 'file',
+    salt: crypto.randomBytes(16).toString('base64')
+  };
+  const key = await storeKey(store, { create: !existing });
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  await fs.outputJson(file, {
+    ...store,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  }, { spaces: 2 });
+}
+
+// Production secrets keep their plain name, those of named environments are "staging:TURSO_AUTH_TOKEN"
+export function secretName(environment, name) {
+  return environment === DEFAULT_ENVIRONMENT ? name : `${environment}:${name}`;
+}
+
+// Removes the secrets of a named environment ("staging:*"), returns their names
+export async function removeEnvironmentSecrets(environment, projectPath = process.cwd()) {
+  if (environment === DEFAULT_ENVIRONMENT || !await fs.pathExists(path.join(projectPath, SECRETS_FILE))) {
+    return [];
+  }
+  const names = Object.keys(await readSecrets(projectPath)).filter(name => name.startsWith(secretName(environment, '')));
+  if (names.length > 0) {
+    await setSecrets(Object.fromEntries(names.map(name => [name, undefined])), projectPath);
+  }
+  return names;
+}
+
+// The Turso token of the deployment. Projects deployed before the store existed have it in
+// plaintext in .env.bit2; it is moved into the store the first time it is read, unless
+// `migrate` is false (read-only commands such as bit2 status).
+export async function loadTursoToken(projectPath = process.cwd(), environment = DEFAULT_ENVIRONMENT, { migrate = true } = {}) {
+  const secrets = await readSecrets(projectPath);
+  const name = secretName(environment, 'TURSO_AUTH_TOKEN');
+  if (secrets[name]) {
+    return secrets[name];
+  }
+  if (environment !== DEFAULT_ENVIRONMENT) {
+    return null;
+  }
+
+  const deploymentFile = path.join(projectPath, DEPLOYMENT_FILE);
+  const { BIT2_TURSO_AUTH_TOKEN: legacyToken } = await readEnvFile(deploymentFile);
+  if (!legacyToken || !migrate) {
+    return legacyToken || null;
+  }
+  await setSecrets({ TURSO_AUTH_TOKEN: legacyToken }, projectPath);
+  await setEnvValues(deploymentFile, { BIT2_TURSO_AUTH_TOKEN: undefined });
+  return legacyToken;
+}
+
+// Enough of a token to tell two apart, nothing that could be used
+export function maskSecret(value) {
+  if (!value) {
+    return '';
+  }
+  return value.length > 16 ? `${value.slice(0, 4)}…${value.slice(-4)} (hidden, --reveal to show)` : '•••••••• (hidden, --reveal to show)';
+}
+
+async function storeKey(store, { create }) {
+  if (store.key === 'passphrase') {
+    const passphrase = process.env.BIT2_SECRETS_PASSPHRASE;
+    if (!passphrase) {
+      throw createError(`${SECRETS_FILE} is protected by a passphrase`, ErrorCodes.AUTH_REQUIRED, [
+        'Set it for this command: BIT2_SECRETS_PASSPHRASE=... bit2 <command>'
+      ]);
+    }
+    return crypto.scryptSync(passphrase, Buffer.from(store.salt, 'base64'), 32);
+  }
+
+  // Hashed, so any file can serve as the key, not only the generated ones
+  const keyFile = keyFilePath(store.id);
+  if (await fs.pathExists(keyFile)) {
+    return crypto.createHash('sha256').update((await fs.readFile(keyFile, 'utf8')).trim()).digest();
+  }
+  if (!create) {
+    throw createError(`Key file for ${SECRETS_FILE} not found: ${keyFile}`, ErrorCodes.AUTH_REQUIRED, [
+      'Copy the key file from the machine that created the store, or point BIT2_SECRETS_KEY_FILE at it',
+      `Or start over: delete ${SECRETS_FILE} and run bit2 db token`
+    ]);
+  }
+
+  const secret = crypto.randomBytes(32).toString('base64');
+  await fs.ensureDir(path.dirname(keyFile));
+  await fs.writeFile(keyFile, `${secret}\n`, { mode: 0o600 });
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function keyFilePath(id) {
+  return process.env.BIT2_SECRETS_KEY_FILE || path.join(os.homedir(), '.bit2', 'keys', `${id}.key`);
+}
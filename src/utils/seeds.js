@@ -0,0 +1,138 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseSqlStatements, quoteIdentifier } from './sql.js';
+import { introspectSchema } from './schema.js';
+import { createFaker } from './faker.js';
+import { createError, ErrorCodes } from './errors.js';
+
+export const SEEDS_DIR = './src/db/seeds';
+export const DEFAULT_SEED_PROFILE = 'dev';
+
+const SEED_FILE_PATTERN = /^([a-z0-9_-]+)\.(sql|js|mjs|ts)$/;
+
+// First match wins, so the more specific column names come first
+const VALUE_RULES = [
+  { name: /email/, value: faker => faker.email() },
+  { name: /(^|_)(url|link|website)$/, value: faker => faker.url() },
+  { name: /(_at|_on|date)$/, type: /DATE|TIME/, value: faker => faker.date() },
+  { name: /(^|_)first_?name$/, value: faker => faker.firstName() },
+  { name: /(^|_)last_?name$/, value: faker => faker.lastName() },
+  { name: /(name|author)$/, value: faker => faker.name() },
+  { name: /^(is|has)_/, type: /BOOL/, value: faker => (faker.boolean() ? 1 : 0) },
+  { type: /INT/, value: faker => faker.integer() },
+  { type: /REAL|FLOA|DOUB|NUMERIC|DECIMAL/, value: faker => faker.float() },
+  { name: /(quote|body|content|text|description|notes?|bio|summary)$/, value: faker => faker.sentence() },
+  { name: /(title|source|subject)$/, value: faker => faker.words(faker.integer(1, 3)) }
+];
+
+export async function listSeedProfiles(seedsDir = SEEDS_DIR) {
+  // Projects created before seed profiles have a single src/db/seed.sql, used as the dev profile
+  if (!await fs.pathExists(seedsDir)) {
+    const legacyPath = path.join(path.dirname(seedsDir), 'seed.sql');
+    return await fs.pathExists(legacyPath)
+      ? [{ name: DEFAULT_SEED_PROFILE, file: legacyPath, format: 'sql' }]
+      : [];
+  }
+
+  return (await fs.readdir(seedsDir))
+    .map(file => file.match(SEED_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, name, extension]) => ({
+      name,
+      file: path.join(seedsDir, file),
+      format: extension === 'sql' ? 'sql' : 'js'
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function findSeedProfile(name = DEFAULT_SEED_PROFILE, seedsDir = SEEDS_DIR) {
+  const profiles = await listSeedProfiles(seedsDir);
+  const matches = profiles.filter(profile => profile.name === name);
+
+  if (matches.length > 1) {
+    throw createError(
+      `Seed profile "${name}" is defined more than once: ${matches.map(p => path.basename(p.file)).join(', ')}`,
+      ErrorCodes.INVALID_INPUT,
+      ['Keep a single file per profile in src/db/seeds']
+    );
+  }
+  return matches[0] || null;
+}
+
+// SQL profiles are read as they are; JS/TS profiles export a default function
+// that generates rows with `table(name, count, overrides)`
+export async function buildSeedBatch(profile, { connection, randomSeed } = {}) {
+  const batch = { name: `Seed data (${profile.name})`, file: profile.file, statements: [] };
+
+  if (profile.format === 'sql') {
+    batch.statements = parseSqlStatements(await fs.readFile(profile.file, 'utf8'));
+    return batch;
+  }
+
+  const module = await import(pathToFileURL(path.resolve(profile.file)).href);
+  if (typeof module.default !== 'function') {
+    throw createError(
+      `${profile.file} must export a default seed function`,
+      ErrorCodes.INVALID_INPUT,
+      ['Example: export default async function seed({ table, faker }) { await table(\'quotes\', 100); }']
+    );
+  }
+
+  const schema = await introspectSchema(connection);
+  const faker = createFaker(randomSeed ?? Date.now());
+
+  const table = async (name, count, overrides = {}) => {
+    const definition = schema.tables[name];
+    if (!definition) {
+      throw createError(`Seed profile "${profile.name}" uses unknown table "${name}"`, ErrorCodes.INVALID_INPUT, ['Run the migration that creates it first']);
+    }
+    const rows = generateRows(definition, count, overrides, faker);
+    batch.statements.push(...rows.map(row => insertStatement(name, row)));
+    return rows;
+  };
+
+  await module.default({ table, faker });
+  batch.randomSeed = faker.seed;
+  return batch;
+}
+
+// Schema-aware rows: every column without a default gets a value that fits its
+// name and type, unless an override (a value or a function of the row index) is given
+export function generateRows(definition, count, overrides, faker) {
+  const keyCount = definition.columns.filter(column => column.pk > 0).length;
+  const columns = definition.columns.filter(column => {
+    if (column.name in overrides) {
+      return true;
+    }
+    // A single INTEGER PRIMARY KEY is the rowid and gets assigned by SQLite
+    const isRowId = keyCount === 1 && column.pk > 0 && /^INTEGER$/i.test(column.type);
+    return !isRowId && column.defaultValue === null;
+  });
+
+  return Array.from({ length: count }, (_, index) => {
+    const row = {};
+    for (const column of columns) {
+      const override = overrides[column.name];
+      row[column.name] = column.name in overrides
+        ? (typeof override === 'function' ? override(index, faker) : override)
+        : fakeValue(column, faker);
+    }
+    return row;
+  });
+}
+
+function fakeValue(column, faker) {
+  const name = column.name.toLowerCase();
+  const type = (column.type || '').toUpperCase();
+  const rule = VALUE_RULES.find(candidate => (candidate.name && candidate.name.test(name)) || (candidate.type && candidate.type.test(type)));
+  return rule ? rule.value(faker) : faker.word();
+}
+
+function insertStatement(table, row) {
+  const columns = Object.keys(row);
+  return {
+    sql: `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    args: columns.map(column => row[column])
+  };
+}
@@ -0,0 +1,163 @@
+// SQLite quoting styles: 'string', "identifier", `identifier` and [identifier]
+const QUOTE_PAIRS = {
+  "'": "'",
+  '"': '"',
+  '`': '`',
+  '[': ']'
+};
+
+const WORD_START = /[A-Za-z_]/;
+const WORD_CHAR = /[A-Za-z0-9_$]/;
+
+// Split a SQL script into statements, keeping the line each one starts on.
+// Comments are stripped, semicolons inside quotes are ignored, and
+// CREATE TRIGGER ... BEGIN ... END bodies stay in one statement.
+export function parseSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+  let startLine = null;
+  let line = 1;
+  let leadingWords = [];
+  let isTrigger = false;
+  let blockDepth = 0;
+  let caseDepth = 0;
+  let i = 0;
+
+  const markStart = () => {
+    if (startLine === null) {
+      startLine = line;
+    }
+  };
+
+  const endStatement = () => {
+    const text = current.trim();
+    if (text.length > 0) {
+      statements.push({ sql: text, line: startLine });
+    }
+    current = '';
+    startLine = null;
+    leadingWords = [];
+    isTrigger = false;
+    blockDepth = 0;
+    caseDepth = 0;
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    // Line comment: skip to the end of the line, the newline itself is kept
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    // Block comment: replaced by a space so the surrounding tokens stay apart
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      line += countNewlines(sql.slice(i, stop));
+      current += ' ';
+      i = stop;
+      continue;
+    }
+
+    // Quoted string or identifier, doubled quotes are escapes
+    const closing = QUOTE_PAIRS[char];
+    if (closing) {
+      let j = i + 1;
+      while (j < sql.length) {
+        if (sql[j] === closing) {
+          if (closing !== ']' && sql[j + 1] === closing) {
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        j++;
+      }
+      const quoted = sql.slice(i, j + 1);
+      markStart();
+      line += countNewlines(quoted);
+      current += quoted;
+      i = j + 1;
+      continue;
+    }
+
+    if (WORD_START.test(char)) {
+      let j = i + 1;
+      while (j < sql.length && WORD_CHAR.test(sql[j])) {
+        j++;
+      }
+      const word = sql.slice(i, j);
+      const keyword = word.toUpperCase();
+      markStart();
+
+      if (leadingWords.length < 3) {
+        leadingWords.push(keyword);
+        isTrigger = leadingWords[0] === 'CREATE' && (
+          leadingWords[1] === 'TRIGGER' ||
+          (['TEMP', 'TEMPORARY'].includes(leadingWords[1]) && leadingWords[2] === 'TRIGGER')
+        );
+      }
+
+      // Inside a trigger body only the END that closes BEGIN ends the block,
+      // CASE ... END expressions are tracked separately. Qualified names (new.end) are columns.
+      if (isTrigger && sql[i - 1] !== '.') {
+        if (keyword === 'BEGIN') {
+          blockDepth++;
+        } else if (keyword === 'CASE' && blockDepth > 0) {
+          caseDepth++;
+        } else if (keyword === 'END' && blockDepth > 0) {
+          if (caseDepth > 0) {
+            caseDepth--;
+          } else {
+            blockDepth--;
+          }
+        }
+      }
+
+      current += word;
+      i = j;
+      continue;
+    }
+
+    if (char === ';' && blockDepth === 0) {
+      endStatement();
+      i++;
+      continue;
+    }
+
+    if (char === '\n') {
+      line++;
+    } else if (!/\s/.test(char)) {
+      markStart();
+    }
+
+    current += char;
+    i++;
+  }
+
+  endStatement();
+  return statements;
+}
+
+export function splitSqlStatements(sql) {
+  return parseSqlStatements(sql).map(statement => statement.sql);
+}
+
+// Quote an identifier only when it needs it, so generated SQL stays readable
+export function quoteIdentifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `"${name.replace(/"/g, '""')}"`;
+}
+
+function countNewlines(text) {
+  let count = 0;
+  for (const char of text) {
+    if (char === '\n') {
+      count++;
+    }
+  }
+  return count;
+}
@@ -0,0 +1,241 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { createError, ErrorCodes } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const execFileAsync = promisify(execFile);
+
+export const TEMPLATES_DIR = path.resolve(__dirname, '../../templates');
+export const DEFAULT_TEMPLATE = 'astro-app';
+export const MANIFEST_FILE = 'bit2.template.json';
+
+// Never copied from a template into a project
+const IGNORED_ENTRIES = [MANIFEST_FILE, '.git', 'node_modules', 'dev.db'];
+
+const GIT_URL = /^(https?:\/\/|ssh:\/\/|git:\/\/|git@|github:)|\.git(#.*)?$/;
+
+// Bundled templates are the directories of templates/ that have a manifest
+export async function listTemplates() {
+  const templates = [];
+  for (const entry of await fs.readdir(TEMPLATES_DIR, { withFileTypes: true })) {
+    const dir = path.join(TEMPLATES_DIR, entry.name);
+    if (entry.isDirectory() && await fs.pathExists(path.join(dir, MANIFEST_FILE))) {
+      const manifest = await readManifest(dir);
+      templates.push({ name: entry.name, description: manifest.description || '', dir });
+    }
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// --template accepts a bundled template name, a local directory or a git URL
+// (https://, git@, ssh://, github:owner/repo; append #ref for a branch or tag)
+export function parseTemplateSpec(spec = DEFAULT_TEMPLATE, cwd = process.cwd()) {
+  if (GIT_URL.test(spec)) {
+    const [url, ref] = spec.split('#');
+    return {
+      type: 'git',
+      url: url.startsWith('github:') ? `https://github.com/${url.slice('github:'.length)}.git` : url,
+      ref: ref || null
+    };
+  }
+  if (spec.startsWith('.') || spec.startsWith('~') || path.isAbsolute(spec) || spec.includes(path.sep)) {
+    const expanded = spec.startsWith('~') ? path.join(os.homedir(), spec.slice(1)) : spec;
+    return { type: 'local', dir: path.resolve(cwd, expanded) };
+  }
+  return { type: 'bundled', name: spec, dir: path.join(TEMPLATES_DIR, spec) };
+}
+
+// Make a template available on disk. Git templates are cloned into a temporary
+// directory, call cleanup() once the project has been created.
+export async function fetchTemplate(spec, cwd = process.cwd()) {
+  const parsed = parseTemplateSpec(spec, cwd);
+
+  if (parsed.type === 'bundled') {
+    if (!await fs.pathExists(path.join(parsed.dir, MANIFEST_FILE))) {
+      const available = (await listTemplates()).map(template => template.name);
+      throw createError(
+        `Unknown template: ${spec}`,
+        ErrorCodes.INVALID_INPUT,
+        [`Bundled templates: ${available.join(', ')}`, 'Local directories (./my-template) and git URLs work too']
+      );
+    }
+    return { ...parsed, label: parsed.name, cleanup: async () => {} };
+  }
+
+  if (parsed.type === 'local') {
+    await assertTemplateDir(parsed.dir, spec);
+    return { ...parsed, label: parsed.dir, cleanup: async () => {} };
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-template-'));
+  const cleanup = () => fs.remove(dir);
+  try {
+    const args = ['clone', '--depth', '1', ...(parsed.ref ? ['--branch', parsed.ref] : []), '--', parsed.url, dir];
+    await execFileAsync('git', args);
+  } catch (error) {
+    await cleanup();
+    throw createError(
+      `Could not clone template ${parsed.url}${parsed.ref ? ` (${parsed.ref})` : ''}`,
+      ErrorCodes.NETWORK_ERROR,
+      [error.stderr?.trim().split('\n').pop() || error.message, 'Check the URL and that you have access to the repository']
+    );
+  }
+
+  try {
+    await assertTemplateDir(dir, spec);
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+  return { ...parsed, dir, label: parsed.url, cleanup };
+}
+
+// The manifest is optional for local and git templates:
+// {
+//   "description": "...",
+//   "extends": "minimal",                 bundled template copied first
+//   "exclude": ["src/pages/index.astro"], files of the base template to leave out
+//   "include": { "astro-app": ["src/lib/query.ts"] }, files copied from other bundled templates
+//   "features": ["auth"],                 applied like `bit2 new --with`
+//   "placeholders": { "PROJECT_NAME": "{{projectName}}" },
+//   "files": ["README.md"]                files the placeholders are replaced in
+// }
+export async function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!await fs.pathExists(file)) {
+    return {};
+  }
+  try {
+    return await fs.readJson(file);
+  } catch (error) {
+    throw createError(`Invalid ${MANIFEST_FILE} in ${dir}: ${error.message}`, ErrorCodes.INVALID_INPUT);
+  }
+}
+
+// Follow "extends" to the bundled base templates, base first
+export async function resolveTemplateChain(dir, seen = []) {
+  const manifest = await readManifest(dir);
+  const layer = { dir, manifest };
+  if (!manifest.extends) {
+    return [layer];
+  }
+
+  const baseDir = await bundledTemplateDir(manifest.extends, `Template ${dir} extends`);
+  if (seen.includes(baseDir) || baseDir === dir) {
+    throw createError(`Template ${dir} extends itself through "${manifest.extends}"`, ErrorCodes.INVALID_INPUT);
+  }
+  return [...await resolveTemplateChain(baseDir, [...seen, dir]), layer];
+}
+
+// Copy a template (and the templates it extends) into projectPath and replace
+// its placeholders. Returns the features the template asks for.
+export async function copyTemplate(dir, projectPath, variables) {
+  const chain = await resolveTemplateChain(dir);
+  const placeholders = {};
+  const files = new Set();
+  const features = [];
+
+  for (const { dir: layerDir, manifest } of chain) {
+    // "exclude" drops files the base templates brought in
+    for (const excluded of manifest.exclude || []) {
+      await fs.remove(resolveInside(projectPath, excluded, 'exclude'));
+    }
+    // "include" copies single files from other bundled templates, the layer's own files win
+    for (const [template, included] of Object.entries(manifest.include || {})) {
+      await copyIncludedFiles(template, included, projectPath);
+    }
+    await fs.copy(layerDir, projectPath, {
+      filter: source => source === layerDir || !IGNORED_ENTRIES.includes(path.basename(source))
+    });
+
+    Object.assign(placeholders, manifest.placeholders);
+    (manifest.files || []).forEach(file => files.add(file));
+    features.push(...(manifest.features || []));
+  }
+
+  await replacePlaceholders(projectPath, [...files], placeholders, variables);
+  return { features: [...new Set(features)] };
+}
+
+// "{{name}}" in a placeholder value is replaced by the variable of that name
+export function renderPlaceholder(value, variables) {
+  return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in variables)) {
+      throw createError(
+        `Unknown template variable {{${name}}}`,
+        ErrorCodes.INVALID_INPUT,
+        [`Available variables: ${Object.keys(variables).map(variable => `{{${variable}}}`).join(', ')}`]
+      );
+    }
+    return String(variables[name]);
+  });
+}
+
+async function copyIncludedFiles(template, files, projectPath) {
+  const templateDir = await bundledTemplateDir(template, 'include takes files from');
+  for (const file of files) {
+    const source = resolveInside(templateDir, file, 'include');
+    if (!await fs.pathExists(source)) {
+      throw createError(`Template ${template} has no ${file} to include`, ErrorCodes.INVALID_INPUT);
+    }
+    await fs.copy(source, resolveInside(projectPath, file, 'include'));
+  }
+}
+
+// "extends" and "include" only name bundled templates, never a path
+async function bundledTemplateDir(name, context) {
+  const dir = path.join(TEMPLATES_DIR, String(name));
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(name) || !await fs.pathExists(path.join(dir, MANIFEST_FILE))) {
+    const available = (await listTemplates()).map(template => template.name);
+    throw createError(`${context} unknown template "${name}"`, ErrorCodes.INVALID_INPUT, [`Bundled templates: ${available.join(', ')}`]);
+  }
+  return dir;
+}
+
+// Manifest paths are relative to the project (or template) and must stay inside it
+function resolveInside(baseDir, file, key) {
+  const resolved = path.resolve(baseDir, String(file));
+  const relative = path.relative(baseDir, resolved);
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw createError(`${MANIFEST_FILE}: "${key}" entry ${file} points outside the project`, ErrorCodes.INVALID_INPUT, [
+      `${MANIFEST_FILE} paths are relative to the project root, e.g. src/pages/index.astro`
+    ]);
+  }
+  return resolved;
+}
+
+async function replacePlaceholders(projectPath, files, placeholders, variables) {
+  const replacements = Object.entries(placeholders)
+    .map(([token, value]) => [token, renderPlaceholder(value, variables)]);
+  if (replacements.length === 0) {
+    return;
+  }
+
+  for (const file of files) {
+    const filePath = resolveInside(projectPath, file, 'files');
+    if (!await fs.pathExists(filePath)) {
+      continue;
+    }
+    let content = await fs.readFile(filePath, 'utf8');
+    for (const [token, value] of replacements) {
+      content = content.split(token).join(value);
+    }
+    await fs.writeFile(filePath, content);
+  }
+}
+
+async function assertTemplateDir(dir, spec) {
+  const manifest = await readManifest(dir);
+  if (!manifest.extends && !await fs.pathExists(path.join(dir, 'package.json'))) {
+    throw createError(
+      `Template ${spec} has no package.json`,
+      ErrorCodes.FILE_NOT_FOUND,
+      [`A template is an Astro project directory, or a directory whose ${MANIFEST_FILE} extends a bundled template`]
+    );
+  }
+}
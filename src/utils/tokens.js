@@ -0,0 +1,68 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { DEFAULT_ENVIRONMENT, readDeployment, writeDeployment } from './deployment.js';
+import { createError, ErrorCodes } from './errors.js';
+
+const execAsync = promisify(exec);
+
+// Turso durations: "never", or units like 30d, 12h or 1d12h
+const EXPIRATION_PATTERN = /^(\d+[dhms])+$/;
+const UNIT_MS = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+
+// bit2 status flags deployment tokens that expire within this many days
+export const EXPIRY_WARNING_DAYS = 7;
+
+// Milliseconds until expiry, null for tokens that never expire
+export function parseExpiration(expiration = 'never') {
+  if (expiration === 'never') {
+    return null;
+  }
+  if (!EXPIRATION_PATTERN.test(expiration)) {
+    throw createError(`Invalid token expiration: ${expiration}`, ErrorCodes.INVALID_INPUT, [
+      'Use "never" or a duration such as 30d, 12h or 1d12h'
+    ]);
+  }
+  return [...expiration.matchAll(/(\d+)([dhms])/g)]
+    .reduce((total, [, amount, unit]) => total + Number(amount) * UNIT_MS[unit], 0);
+}
+
+// The metadata is what .env.bit2 records about the deployment token, never the token itself
+export async function createTursoToken(databaseName, { expiration = 'never', readOnly = false } = {}) {
+  const duration = parseExpiration(expiration);
+  const flags = [`--expiration ${expiration}`, ...(readOnly ? ['--read-only'] : [])];
+  const { stdout } = await execAsync(`turso db tokens create ${databaseName} ${flags.join(' ')}`);
+
+  const createdAt = new Date();
+  return {
+    token: stdout.trim(),
+    metadata: {
+      TOKEN_CREATED_AT: createdAt.toISOString(),
+      TOKEN_EXPIRATION: expiration,
+      TOKEN_EXPIRES_AT: duration ? new Date(createdAt.getTime() + duration).toISOString() : undefined
+    }
+  };
+}
+
+// Turso rotates the signing keys of the database, so every existing token stops working
+export async function invalidateTursoTokens(databaseName) {
+  await execAsync(`turso db tokens invalidate ${databaseName} --yes`);
+}
+
+// Only deployed environments are recorded; recording one would make its next deploy skip the setup
+export async function recordTokenMetadata(metadata, environment = DEFAULT_ENVIRONMENT, projectPath = process.cwd()) {
+  const deployment = await readDeployment(environment, projectPath);
+  if (!deployment.PROVIDER) {
+    return false;
+  }
+  await writeDeployment(metadata, environment, projectPath);
+  return true;
+}
+
+// { expiresAt, expired, daysLeft } of the recorded deployment token, null when it never expires
+export function tokenExpiry(deployment, now = new Date()) {
+  if (!deployment.TOKEN_EXPIRES_AT) {
+    return null;
+  }
+  const expiresAt = new Date(deployment.TOKEN_EXPIRES_AT);
+  return { expiresAt, expired: expiresAt <= now, daysLeft: Math.ceil((expiresAt - now) / UNIT_MS.d) };
+}
@@ -0,0 +1,173 @@
+import { withDatabase } from './database.js';
+import { introspectSchema, hasExternalContent, rebuildSearchIndexStatements } from './schema.js';
+import { quoteIdentifier } from './sql.js';
+import { createError, ErrorCodes } from './errors.js';
+
+export const TRANSFER_BATCH_SIZE = 500;
+
+// Resolve the comma separated --tables option against the tables of a schema
+export function selectTables(schema, tablesOption) {
+  const available = Object.keys(schema.tables);
+  if (!tablesOption) {
+    return available;
+  }
+
+  const requested = tablesOption.split(',').map(table => table.trim()).filter(Boolean);
+  const unknown = requested.filter(table => !available.includes(table));
+  if (unknown.length > 0) {
+    throw createError(
+      `Unknown table(s): ${unknown.join(', ')}`,
+      ErrorCodes.INVALID_INPUT,
+      [`Available tables: ${available.join(', ') || '(none)'}`]
+    );
+  }
+  return requested;
+}
+
+// Read a table page by page, so large tables never have to fit in memory at once
+export async function* readTablePages(source, table, definition, options = {}) {
+  const { columns = definition.columns.map(column => column.name), batchSize = TRANSFER_BATCH_SIZE } = options;
+
+  const name = quoteIdentifier(table);
+  const columnList = columns.map(quoteIdentifier).join(', ');
+  // WITHOUT ROWID tables have no rowid to page by, their primary key order is stable anyway
+  const orderBy = /WITHOUT\s+ROWID\s*$/i.test(definition.sql) ? '' : ' ORDER BY rowid';
+
+  const { rows: [{ total }] } = await source.execute(`SELECT COUNT(*) AS total FROM ${name}`);
+  const totalRows = Number(total);
+  let read = 0;
+
+  while (read < totalRows) {
+    const { rows } = await source.execute({
+      sql: `SELECT ${columnList} FROM ${name}${orderBy} LIMIT ? OFFSET ?`,
+      args: [batchSize, read]
+    });
+    if (rows.length === 0) {
+      break;
+    }
+
+    read += rows.length;
+    yield { rows, read, total: totalRows };
+  }
+}
+
+// Copy the rows of one table, each page inserted in a single write batch
+export async function copyRows(source, target, table, definition, options = {}) {
+  const { columns = definition.columns.map(column => column.name), batchSize, replace = false, onProgress } = options;
+
+  const columnList = columns.map(quoteIdentifier).join(', ');
+  const insert = `${replace ? 'INSERT OR REPLACE' : 'INSERT'} INTO ${quoteIdentifier(table)} (${columnList}) VALUES (${columns.map(() => '?').join(', ')})`;
+  let copied = 0;
+
+  for await (const { rows, read, total } of readTablePages(source, table, definition, { columns, batchSize })) {
+    await target.batch(rows.map(row => ({ sql: insert, args: columns.map(column => row[column]) })), 'write');
+    copied = read;
+    onProgress?.(table, read, total);
+  }
+
+  return copied;
+}
+
+// Replace tables of the local database with the remote ones. Without a table
+// filter dev.db ends up as an exact copy, migration history included.
+export async function pullDatabase(remote, local, options = {}) {
+  const { tables, schemaOnly = false, batchSize, onProgress } = options;
+
+  const schema = await introspectSchema(remote, { includeMigrations: !tables });
+  const localSchema = await introspectSchema(local, { includeMigrations: true });
+  const selected = selectTables(schema, tables);
+  const toDrop = tables ? selected : Object.keys(localSchema.tables);
+
+  // Indexes and triggers are created after the rows are in, so triggers don't fire on copied rows
+  const objects = [...Object.values(schema.indexes), ...Object.values(schema.triggers)]
+    .filter(object => selected.includes(object.table))
+    .map(object => object.sql);
+
+  await withDatabase(remote, source => withDatabase(local, async (target) => {
+    await target.batch([
+      ...toDrop.map(table => `DROP TABLE IF EXISTS ${quoteIdentifier(table)}`),
+      ...selected.map(table => schema.tables[table].sql)
+    ], 'write');
+
+    if (!schemaOnly) {
+      for (const table of selected.filter(name => !hasExternalContent(schema.tables[name]))) {
+        await copyRows(source, target, table, schema.tables[table], { batchSize, onProgress });
+      }
+    }
+
+    // Full-text indexes are rebuilt from the copied rows instead of being copied themselves,
+    // local ones that index a pulled table (with --tables) are rebuilt as well
+    const localIndexes = Object.keys(localSchema.tables).filter(table =>
+      !selected.includes(table) && selected.includes(localSchema.tables[table].virtual?.content)
+    );
+    const rebuilds = schemaOnly ? [] : [
+      ...rebuildSearchIndexStatements(schema, selected),
+      ...rebuildSearchIndexStatements(localSchema, localIndexes)
+    ];
+    if (objects.length > 0 || rebuilds.length > 0) {
+      await target.batch([...objects, ...rebuilds], 'write');
+    }
+  }));
+
+  return selected;
+}
+
+// Work out what a push would do before asking for confirmation
+export async function planPush(local, remote, tablesOption) {
+  const localSchema = await introspectSchema(local);
+  const remoteSchema = await introspectSchema(remote);
+  // External content full-text tables are rebuilt on the remote side instead of pushed
+  const selected = selectTables(localSchema, tablesOption).filter(table => !hasExternalContent(localSchema.tables[table]));
+
+  const missing = selected.filter(table => !remoteSchema.tables[table]);
+
+  const tables = await withDatabase(local, async (db) => {
+    const planned = [];
+    for (const table of selected.filter(name => remoteSchema.tables[name])) {
+      const remoteColumns = new Set(remoteSchema.tables[table].columns.map(column => column.name));
+      const localColumns = localSchema.tables[table].columns.map(column => column.name);
+      const { rows: [{ total }] } = await db.execute(`SELECT COUNT(*) AS total FROM ${quoteIdentifier(table)}`);
+
+      planned.push({
+        name: table,
+        definition: localSchema.tables[table],
+        rows: Number(total),
+        columns: localColumns.filter(column => remoteColumns.has(column)),
+        skippedColumns: localColumns.filter(column => !remoteColumns.has(column))
+      });
+    }
+    return planned;
+  });
+
+  // INSERT OR REPLACE doesn't fire the delete triggers that keep external content indexes in sync
+  const pushed = tables.map(table => table.name);
+  const searchIndexes = Object.keys(remoteSchema.tables)
+    .filter(table => pushed.includes(remoteSchema.tables[table].virtual?.content));
+
+  return { tables, missing, rebuild: rebuildSearchIndexStatements(remoteSchema, searchIndexes) };
+}
+
+// Load local rows into the remote tables. Rows with an existing primary key are
+// replaced; with `truncate` the remote tables are emptied first.
+export async function pushDatabase(local, remote, plan, options = {}) {
+  const { truncate = false, batchSize, onProgress } = options;
+
+  await withDatabase(local, source => withDatabase(remote, async (target) => {
+    if (truncate && plan.tables.length > 0) {
+      await target.batch(plan.tables.map(table => `DELETE FROM ${quoteIdentifier(table.name)}`), 'write');
+    }
+
+    for (const table of plan.tables) {
+      await copyRows(source, target, table.name, table.definition, {
+        columns: table.columns,
+        replace: true,
+        batchSize,
+        onProgress
+      });
+    }
+
+    if (plan.rebuild?.length > 0) {
+      await target.batch(plan.rebuild, 'write');
+    }
+  }));
+}
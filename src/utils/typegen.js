@@ -0,0 +1,138 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { introspectSchema } from './schema.js';
+
+export const TYPES_FILE = './src/db/types.generated.ts';
+
+// TypeScript source for the tables of a schema: a row interface, an insert type
+// (columns with a default, rowid aliases and nullable columns are optional) and table name unions.
+// Virtual tables (e.g. FTS5 search indexes) have untyped columns and are left out.
+export function generateTypes(schema) {
+  const tables = Object.keys(schema.tables).filter(table => !schema.tables[table].virtual).sort();
+  const names = typeNames(tables);
+
+  const lines = [
+    '// Generated by bit2 from dev.db - do not edit by hand.',
+    '// Regenerate with: bit2 db types (also runs after bit2 migrate and on bit2 dev)',
+    ''
+  ];
+
+  for (const table of tables) {
+    const columns = withRowIdAlias(schema.tables[table].columns);
+    const name = names[table];
+
+    lines.push(`export interface ${name} {`);
+    for (const column of columns) {
+      lines.push(`  ${propertyName(column.name)}: ${columnType(column)};`);
+    }
+    lines.push('}', '');
+
+    lines.push(`export interface ${name}Insert {`);
+    for (const column of columns) {
+      const optional = isOptionalOnInsert(column) ? '?' : '';
+      lines.push(`  ${propertyName(column.name)}${optional}: ${columnType(column)};`);
+    }
+    lines.push('}', '');
+  }
+
+  lines.push(`export type TableName = ${tables.length > 0 ? tables.map(table => `'${table}'`).join(' | ') : 'never'};`, '');
+
+  lines.push('export interface Tables {');
+  for (const table of tables) {
+    lines.push(`  ${propertyName(table)}: { row: ${names[table]}; insert: ${names[table]}Insert };`);
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+// Only touches the file when the types changed, so the dev server doesn't reload for nothing
+export async function writeTypesFile(connection, file = TYPES_FILE) {
+  const source = generateTypes(await introspectSchema(connection));
+  const current = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : null;
+
+  if (current === source) {
+    return { file, changed: false };
+  }
+
+  await fs.ensureDir(path.dirname(file));
+  await fs.writeFile(file, source);
+  return { file, changed: true };
+}
+
+// SQLite type affinity rules (https://www.sqlite.org/datatype3.html#determination_of_column_affinity),
+// with DATE/TIME columns stored as text
+function columnType(column) {
+  const declared = (column.type || '').toUpperCase();
+  if (!declared) {
+    return 'unknown';
+  }
+
+  let type = 'number';
+  if (/CHAR|CLOB|TEXT|DATE|TIME/.test(declared) && !declared.includes('INT')) {
+    type = 'string';
+  } else if (declared.includes('BLOB')) {
+    type = 'ArrayBuffer';
+  }
+
+  return isNullable(column) ? `${type} | null` : type;
+}
+
+// A single INTEGER PRIMARY KEY column aliases the rowid: never null, assigned on insert
+function withRowIdAlias(columns) {
+  const keys = columns.filter(column => column.pk > 0);
+  return columns.map(column => ({
+    ...column,
+    isRowId: keys.length === 1 && column.pk > 0 && /^INTEGER$/i.test(column.type)
+  }));
+}
+
+function isNullable(column) {
+  return !column.notnull && !column.isRowId;
+}
+
+function isOptionalOnInsert(column) {
+  return column.isRowId || column.defaultValue !== null || isNullable(column);
+}
+
+// quotes -> Quote, categories -> Category; falls back to the full name on collisions
+export function typeNames(tables) {
+  const names = {};
+  const used = new Set();
+
+  for (const table of tables) {
+    let name = pascalCase(singularize(table));
+    if (used.has(name) || !/^[A-Za-z_]/.test(name)) {
+      name = pascalCase(table);
+    }
+    used.add(name);
+    names[table] = name;
+  }
+
+  return names;
+}
+
+function singularize(word) {
+  if (/ies$/i.test(word)) {
+    return word.replace(/ies$/i, 'y');
+  }
+  if (/(ss|us|is)$/i.test(word)) {
+    return word;
+  }
+  if (/(x|ch|sh|ss)es$/i.test(word)) {
+    return word.replace(/es$/i, '');
+  }
+  return word.replace(/s$/i, '');
+}
+
+function pascalCase(name) {
+  return name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('') || 'Table';
+}
+
+function propertyName(name) {
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : `'${name.replace(/'/g, "\\'")}'`;
+}
@@ -0,0 +1,26 @@
+// Generated by bit2 from dev.db - do not edit by hand.
+// Regenerate with: bit2 db types (also runs after bit2 migrate and on bit2 dev)
+
+export interface Note {
+  id: number;
+  title: string;
+  body: string | null;
+  done: number;
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+export interface NoteInsert {
+  id?: number;
+  title: string;
+  body?: string | null;
+  done?: number;
+  created_at?: string | null;
+  updated_at?: string | null;
+}
+
+export type TableName = 'notes';
+
+export interface Tables {
+  notes: { row: Note; insert: NoteInsert };
+}
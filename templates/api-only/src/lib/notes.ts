@@ -0,0 +1,204 @@
+import { getDatabase } from '../db/client.js';
+import type { Note, NoteInsert } from '../db/types.generated';
+import { listRows } from './query';
+import type { ListParams, ListSpec, Page } from './query';
+
+export type { Note, NoteInsert } from '../db/types.generated';
+
+// Generated by bit2 generate resource note
+
+const NOTE_FIELDS = [
+  { name: 'title', type: 'text', required: true },
+  { name: 'body', type: 'text', required: false },
+  { name: 'done', type: 'boolean', required: false }
+] as const;
+
+const NOTE_COLUMNS: string[] = NOTE_FIELDS.map(field => field.name);
+
+// Columns the list endpoint can sort and filter by
+export const NOTE_LIST: ListSpec = {
+  table: 'notes',
+  sortable: ['id', 'title', 'body', 'done', 'created_at', 'updated_at'],
+  filterable: ['title', 'body', 'done'],
+  defaultSort: '-created_at'
+};
+
+/**
+ * Map a database row to a Note
+ * @param row - A row of the notes table (SELECT * or RETURNING *)
+ * @returns The note with its columns converted to their declared types
+ */
+export function toNote(row: Record<string, unknown>): Note {
+  return {
+    id: Number(row.id),
+    title: String(row.title),
+    body: optionalText(row.body),
+    done: Number(row.done),
+    created_at: optionalText(row.created_at),
+    updated_at: optionalText(row.updated_at)
+  };
+}
+
+function optionalText(value: unknown): string | null {
+  return value === null || value === undefined ? null : String(value);
+}
+
+export interface NoteValidationResult {
+  data: Partial<NoteInsert>;
+  errors: string[];
+}
+
+/**
+ * Validate a request body before it is written to the database
+ * @param input - Parsed JSON body
+ * @param partial - Allow missing fields (for updates)
+ * @returns The accepted fields and a list of validation errors
+ */
+export function validateNoteInput(input: unknown, partial = false): NoteValidationResult {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { data: {}, errors: ['Request body must be a JSON object'] };
+  }
+
+  const body = input as Record<string, unknown>;
+  const data: Record<string, unknown> = {};
+  const errors: string[] = [];
+
+  for (const field of NOTE_FIELDS) {
+    const value = body[field.name];
+
+    if (value === undefined) {
+      if (field.required && !partial) {
+        errors.push(`${field.name} is required`);
+      }
+      continue;
+    }
+
+    if (value === null) {
+      if (field.type === 'boolean') {
+        // Booleans are NOT NULL DEFAULT 0: leave the field out instead of sending null
+        errors.push(`${field.name} must be ${FIELD_DESCRIPTIONS.boolean}`);
+      } else if (field.required) {
+        errors.push(`${field.name} is required`);
+      } else {
+        data[field.name] = null;
+      }
+      continue;
+    }
+
+    const parsed = parseFieldValue(field.type, value);
+    if (parsed === undefined) {
+      errors.push(`${field.name} must be ${FIELD_DESCRIPTIONS[field.type]}`);
+    } else {
+      data[field.name] = parsed;
+    }
+  }
+
+  return { data: data as Partial<NoteInsert>, errors };
+}
+
+const FIELD_DESCRIPTIONS: Record<string, string> = {
+  text: 'a non-empty string',
+  integer: 'a whole number',
+  real: 'a number',
+  boolean: 'true or false',
+  date: 'a date string (e.g. 2025-01-31)'
+};
+
+function parseFieldValue(type: string, value: unknown): unknown {
+  switch (type) {
+    case 'text':
+      return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+    case 'integer':
+      return Number.isInteger(value) ? value : undefined;
+    case 'real':
+      return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    case 'boolean':
+      // Stored as 0/1
+      return typeof value === 'boolean' ? Number(value) : value === 0 || value === 1 ? value : undefined;
+    case 'date':
+      return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Get a page of notes, newest first unless sorted otherwise
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param params - Pagination, sort and filters (see parseListParams)
+ * @returns One page of notes with the total count and next cursor
+ */
+export async function listNotes(runtime?: any, params: ListParams = {}): Promise<Page<Note>> {
+  const db = getDatabase(runtime);
+  const page = await listRows<Record<string, unknown>>(db, NOTE_LIST, params);
+  return { ...page, data: page.data.map(row => toNote(row)) };
+}
+
+/**
+ * Get a specific note by ID
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The note ID
+ * @returns The note or null if not found
+ */
+export async function getNote(runtime: any, id: number): Promise<Note | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'SELECT * FROM notes WHERE id = ?',
+    args: [id]
+  });
+  return result.rows.length > 0 ? toNote(result.rows[0]) : null;
+}
+
+/**
+ * Create a note
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param input - Validated fields (see validateNoteInput)
+ * @returns The created note
+ */
+export async function createNote(runtime: any, input: NoteInsert): Promise<Note> {
+  const db = getDatabase(runtime);
+  const columns = NOTE_COLUMNS.filter(column => column in input);
+  const values = input as Record<string, any>;
+
+  const result = await db.execute({
+    sql: columns.length > 0
+      ? `INSERT INTO notes (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`
+      : 'INSERT INTO notes DEFAULT VALUES RETURNING *',
+    args: columns.map(column => values[column])
+  });
+  return toNote(result.rows[0]);
+}
+
+/**
+ * Update some fields of a note
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The note ID
+ * @param input - Validated fields to change
+ * @returns The updated note or null if not found
+ */
+export async function updateNote(runtime: any, id: number, input: Partial<NoteInsert>): Promise<Note | null> {
+  const db = getDatabase(runtime);
+  const columns = NOTE_COLUMNS.filter(column => column in input);
+  const values = input as Record<string, any>;
+
+  const result = await db.execute({
+    sql: `UPDATE notes SET ${[...columns.map(column => `${column} = ?`), 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ? RETURNING *`,
+    args: [...columns.map(column => values[column]), id]
+  });
+  return result.rows.length > 0 ? toNote(result.rows[0]) : null;
+}
+
+/**
+ * Delete a note
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The note ID
+ * @returns true if a note was deleted
+ */
+export async function deleteNote(runtime: any, id: number): Promise<boolean> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'DELETE FROM notes WHERE id = ?',
+    args: [id]
+  });
+  return result.rowsAffected > 0;
+}
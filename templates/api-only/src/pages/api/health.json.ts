@@ -0,0 +1,24 @@
+import type { APIRoute } from 'astro';
+import { getDatabase } from '../../db/client.js';
+
+// Liveness and database check for uptime monitors
+export const GET: APIRoute = async ({ locals }) => {
+  try {
+    const db = getDatabase(locals.runtime);
+    await db.execute('SELECT 1');
+    return new Response(JSON.stringify({ status: 'ok', database: 'ok' }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error) {
+    return new Response(JSON.stringify({ status: 'error', database: 'unreachable' }), {
+      status: 503,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }
+    });
+  }
+};
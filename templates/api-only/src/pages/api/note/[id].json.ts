@@ -0,0 +1,58 @@
+import type { APIRoute } from 'astro';
+import { getNote, updateNote, deleteNote, validateNoteInput } from '../../../lib/notes';
+import { json, errorResponse, readJson, parseId } from '../../../lib/api';
+
+export const GET: APIRoute = async ({ params, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid note ID');
+  }
+
+  try {
+    const note = await getNote(locals.runtime, id);
+    return note ? json(note) : errorResponse(404, 'Note not found');
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch note');
+  }
+};
+
+export const PUT: APIRoute = async ({ params, request, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid note ID');
+  }
+
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  // Partial updates: only the fields present in the body are changed
+  const { data, errors } = validateNoteInput(body, true);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid note', errors);
+  }
+
+  try {
+    const note = await updateNote(locals.runtime, id, data);
+    return note ? json(note) : errorResponse(404, 'Note not found');
+  } catch (error) {
+    return errorResponse(500, 'Failed to update note');
+  }
+};
+
+export const PATCH = PUT;
+
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  const id = parseId(params.id);
+  if (!id) {
+    return errorResponse(400, 'Invalid note ID');
+  }
+
+  try {
+    const deleted = await deleteNote(locals.runtime, id);
+    return deleted ? new Response(null, { status: 204 }) : errorResponse(404, 'Note not found');
+  } catch (error) {
+    return errorResponse(500, 'Failed to delete note');
+  }
+};
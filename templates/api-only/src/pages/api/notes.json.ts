@@ -0,0 +1,39 @@
+import type { APIRoute } from 'astro';
+import { NOTE_LIST, listNotes, createNote, validateNoteInput } from '../../lib/notes';
+import type { NoteInsert } from '../../lib/notes';
+import { json, errorResponse, readJson } from '../../lib/api';
+import { parseListParams } from '../../lib/query';
+
+// ?limit=20&cursor=... or ?offset=40, ?sort=-created_at, filters by column: ?title=a,b
+export const GET: APIRoute = async ({ url, locals }) => {
+  const { params, errors } = parseListParams(url.searchParams, NOTE_LIST);
+  if (errors.length > 0) {
+    return errorResponse(400, 'Invalid query parameters', errors);
+  }
+
+  try {
+    const page = await listNotes(locals.runtime, params);
+    return json(page);
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch notes');
+  }
+};
+
+export const POST: APIRoute = async ({ request, locals }) => {
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  const { data, errors } = validateNoteInput(body);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid note', errors);
+  }
+
+  try {
+    const note = await createNote(locals.runtime, data as NoteInsert);
+    return json(note, 201, { Location: `/api/note/${note.id}.json` });
+  } catch (error) {
+    return errorResponse(500, 'Failed to create note');
+  }
+};
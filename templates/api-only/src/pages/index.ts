@@ -0,0 +1,20 @@
+import type { APIRoute } from 'astro';
+
+// Describes the API, so the root URL isn't a 404
+export const GET: APIRoute = async () => {
+  return new Response(JSON.stringify({
+    name: 'PROJECT_NAME',
+    endpoints: [
+      'GET /api/health.json',
+      'GET /api/notes.json',
+      'POST /api/notes.json',
+      'GET /api/note/:id.json',
+      'PUT /api/note/:id.json',
+      'DELETE /api/note/:id.json'
+    ]
+  }), {
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+};
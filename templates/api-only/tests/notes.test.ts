@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'bun:test';
+import { validateNoteInput } from '../src/lib/notes';
+
+// Generated by bit2 generate resource note
+describe('notes validation', () => {
+  it('should accept a complete note', () => {
+    const { data, errors } = validateNoteInput({"title":"Example","body":"Example","done":true});
+    expect(errors).toEqual([]);
+    expect(Object.keys(data)).toEqual(["title","body","done"]);
+  });
+
+  it('should require title', () => {
+    const { errors } = validateNoteInput({});
+    expect(errors).toEqual(['title is required']);
+  });
+
+  it('should reject null for done', () => {
+    const { errors } = validateNoteInput({"done":null}, true);
+    expect(errors).toEqual(['done must be true or false']);
+  });
+
+  it('should reject values of the wrong type', () => {
+    const { errors } = validateNoteInput({ ...{"title":"Example","body":"Example","done":true}, title: 123 });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toStartWith('title must be');
+  });
+
+  it('should allow partial updates', () => {
+    const { errors } = validateNoteInput({}, true);
+    expect(errors).toEqual([]);
+  });
+
+  it('should reject bodies that are not objects', () => {
+    expect(validateNoteInput([]).errors).toEqual(['Request body must be a JSON object']);
+  });
+});
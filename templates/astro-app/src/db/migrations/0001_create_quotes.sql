@@ -1,3 +1,5 @@
+-- migrate:up
+
 -- Quotes table for Stoic wisdom
 CREATE TABLE IF NOT EXISTS quotes (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -11,4 +13,9 @@ CREATE TABLE IF NOT EXISTS quotes (
 
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_quotes_author ON quotes(author);
-CREATE INDEX IF NOT EXISTS idx_quotes_category ON quotes(category);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_quotes_category ON quotes(category);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_quotes_category;
+DROP INDEX IF EXISTS idx_quotes_author;
+DROP TABLE IF EXISTS quotes;
@@ -0,0 +1,40 @@
+-- migrate:up
+
+-- Full-text index over quotes (SQLite FTS5). The quotes table stays the source of truth:
+-- quotes_fts only stores the index and reads the text from quotes (content='quotes').
+CREATE VIRTUAL TABLE IF NOT EXISTS quotes_fts USING fts5(
+  quote,
+  author,
+  source,
+  notes,
+  content='quotes',
+  content_rowid='id',
+  tokenize='porter unicode61 remove_diacritics 2'
+);
+
+-- Keep the index in sync with the quotes table
+CREATE TRIGGER IF NOT EXISTS quotes_fts_after_insert AFTER INSERT ON quotes BEGIN
+  INSERT INTO quotes_fts(rowid, quote, author, source, notes)
+  VALUES (new.id, new.quote, new.author, new.source, new.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS quotes_fts_after_delete AFTER DELETE ON quotes BEGIN
+  INSERT INTO quotes_fts(quotes_fts, rowid, quote, author, source, notes)
+  VALUES ('delete', old.id, old.quote, old.author, old.source, old.notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS quotes_fts_after_update AFTER UPDATE OF quote, author, source, notes ON quotes BEGIN
+  INSERT INTO quotes_fts(quotes_fts, rowid, quote, author, source, notes)
+  VALUES ('delete', old.id, old.quote, old.author, old.source, old.notes);
+  INSERT INTO quotes_fts(rowid, quote, author, source, notes)
+  VALUES (new.id, new.quote, new.author, new.source, new.notes);
+END;
+
+-- Index the quotes that already exist
+INSERT INTO quotes_fts(quotes_fts) VALUES ('rebuild');
+
+-- migrate:down
+DROP TRIGGER IF EXISTS quotes_fts_after_update;
+DROP TRIGGER IF EXISTS quotes_fts_after_delete;
+DROP TRIGGER IF EXISTS quotes_fts_after_insert;
+DROP TABLE IF EXISTS quotes_fts;
@@ -0,0 +1,17 @@
+-- Extended Stoic quotes for demos and screenshots
+INSERT OR IGNORE INTO quotes (quote, author, source, category, notes) VALUES 
+  ('The happiness of your life depends upon the quality of your thoughts.', 'Marcus Aurelius', 'Meditations', 'mindfulness', 'A reminder that our thoughts shape our reality and wellbeing'),
+  ('You have power over your mind - not outside events. Realize this, and you will find strength.', 'Marcus Aurelius', 'Meditations', 'control', 'Focus on what you can control, let go of what you cannot'),
+  ('Waste no more time arguing about what a good man should be. Be one.', 'Marcus Aurelius', 'Meditations', 'virtue', 'Action over debate'),
+  ('Very little is needed to make a happy life; it is all within yourself, in your way of thinking.', 'Marcus Aurelius', 'Meditations', 'contentment', 'Happiness is an inside job'),
+  ('The obstacle is the way.', 'Marcus Aurelius', 'Meditations', 'perseverance', 'Challenges are opportunities for growth and character development'),
+  ('Every new beginning comes from some other beginning''s end.', 'Seneca', 'Letters', 'change', 'Embracing transitions and the cyclical nature of life'),
+  ('We suffer more in imagination than in reality.', 'Seneca', 'Letters', 'anxiety', 'Most of our fears never materialize; worry is often worse than reality'),
+  ('Luck is what happens when preparation meets opportunity.', 'Seneca', 'Letters', 'action', 'Preparation turns chance into results'),
+  ('It is not that we have a short time to live, but that we waste a lot of it.', 'Seneca', 'On the Shortness of Life', 'time', 'Life is long if you know how to use it'),
+  ('Difficulties strengthen the mind, as labor does the body.', 'Seneca', 'Letters', 'resilience', 'Hardship as training'),
+  ('It is not what happens to you, but how you react to it that matters.', 'Epictetus', 'Enchiridion', 'resilience', 'Our responses define our experience more than events themselves'),
+  ('Wealth consists not in having great possessions, but in having few wants.', 'Epictetus', 'Discourses', 'contentment', 'True wealth comes from contentment, not accumulation'),
+  ('How long are you going to wait before you demand the best for yourself?', 'Epictetus', 'Enchiridion', 'action', 'A call to stop procrastinating on your own excellence'),
+  ('First say to yourself what you would be; and then do what you have to do.', 'Epictetus', 'Discourses', 'action', 'Decide who you are, then act accordingly'),
+  ('No man is free who is not master of himself.', 'Epictetus', 'Fragments', 'control', 'Freedom starts with self-discipline');
@@ -0,0 +1,8 @@
+// Generated quotes for load testing the quotes pages locally:
+//   bit2 migrate --seed load --seed-random 42
+export default async function seed({ table, faker }) {
+  await table('quotes', 1000, {
+    author: () => faker.pick(['Marcus Aurelius', 'Seneca', 'Epictetus', 'Zeno of Citium', 'Musonius Rufus']),
+    category: () => faker.pick(['wisdom', 'courage', 'justice', 'temperance', 'resilience', 'time'])
+  });
+}
@@ -0,0 +1,5 @@
+-- Small, fixed data set for automated tests
+INSERT OR IGNORE INTO quotes (id, quote, author, source, category, notes) VALUES 
+  (1, 'The obstacle is the way.', 'Marcus Aurelius', 'Meditations', 'perseverance', NULL),
+  (2, 'We suffer more in imagination than in reality.', 'Seneca', 'Letters', 'anxiety', NULL),
+  (3, 'Wealth consists not in having great possessions, but in having few wants.', 'Epictetus', 'Discourses', 'contentment', NULL);
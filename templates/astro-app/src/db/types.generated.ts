@@ -0,0 +1,28 @@
+// Generated by bit2 from dev.db - do not edit by hand.
+// Regenerate with: bit2 db types (also runs after bit2 migrate and on bit2 dev)
+
+export interface Quote {
+  id: number;
+  quote: string;
+  author: string;
+  source: string | null;
+  category: string | null;
+  notes: string | null;
+  created_at: string | null;
+}
+
+export interface QuoteInsert {
+  id?: number;
+  quote: string;
+  author: string;
+  source?: string | null;
+  category?: string | null;
+  notes?: string | null;
+  created_at?: string | null;
+}
+
+export type TableName = 'quotes';
+
+export interface Tables {
+  quotes: { row: Quote; insert: QuoteInsert };
+}
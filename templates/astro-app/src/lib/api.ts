@@ -0,0 +1,57 @@
+// Shared helpers for the JSON API routes in src/pages/api
+// Every error response has the same shape: { error: string, details?: string[] }
+
+export interface ApiError {
+  error: string;
+  details?: string[];
+}
+
+/**
+ * Create a JSON response
+ * @param data - Value to serialize
+ * @param status - HTTP status code
+ * @param headers - Extra headers (e.g. Location)
+ */
+export function json(data: unknown, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+}
+
+/**
+ * Create a JSON error response
+ * @param status - HTTP status code (400, 404, 409, 422, 500...)
+ * @param error - Human readable message
+ * @param details - Optional list of problems, e.g. validation errors
+ */
+export function errorResponse(status: number, error: string, details?: string[]): Response {
+  const body: ApiError = details && details.length > 0 ? { error, details } : { error };
+  return json(body, status);
+}
+
+/**
+ * Parse a numeric route parameter
+ * @param value - Raw parameter (e.g. params.id)
+ * @returns The positive integer ID or null if invalid
+ */
+export function parseId(value?: string): number | null {
+  const id = parseInt(value || '0');
+  return isNaN(id) || id <= 0 ? null : id;
+}
+
+/**
+ * Read the JSON body of a request
+ * @param request - The incoming request
+ * @returns The parsed body, or undefined if it isn't valid JSON
+ */
+export async function readJson(request: Request): Promise<unknown> {
+  try {
+    return await request.json();
+  } catch {
+    return undefined;
+  }
+}
@@ -1,35 +1,50 @@
 import { getDatabase } from '../db/client.js';
+import type { Quote, QuoteInsert } from '../db/types.generated';
+import { listRows } from './query';
+import type { ListParams, ListSpec, Page } from './query';
 
-// Quote interface for Stoic wisdom
-export interface Quote {
-  id: number;
-  quote: string;
-  author: string;
-  source?: string;
-  category?: string;
-  notes?: string;
-  created_at: string;
+// Row types are generated from the database schema (bit2 db types)
+export type { Quote, QuoteInsert } from '../db/types.generated';
+
+// Columns the list endpoints can sort and filter by (?sort=author,-created_at&category=change)
+export const QUOTE_LIST: ListSpec = {
+  table: 'quotes',
+  sortable: ['id', 'quote', 'author', 'source', 'category', 'created_at'],
+  filterable: ['author', 'source', 'category'],
+  defaultSort: '-created_at'
+};
+
+/**
+ * Map a database row to a Quote
+ * @param row - A row of the quotes table (SELECT * or RETURNING *)
+ * @returns The quote with its columns converted to their declared types
+ */
+export function toQuote(row: Record<string, unknown>): Quote {
+  return {
+    id: Number(row.id),
+    quote: String(row.quote),
+    author: String(row.author),
+    source: optionalText(row.source),
+    category: optionalText(row.category),
+    notes: optionalText(row.notes),
+    created_at: optionalText(row.created_at)
+  };
+}
+
+function optionalText(value: unknown): string | null {
+  return value === null || value === undefined ? null : String(value);
 }
 
 /**
- * Get all quotes with optional category filtering
+ * Get a page of quotes
  * @param runtime - Runtime context for Cloudflare Workers
- * @param category - Optional category to filter by (mindfulness, control, change, etc.)
- * @returns Array of quotes
+ * @param params - Pagination, sort and filters (see parseListParams), e.g. { filters: { category: ['mindfulness'] } }
+ * @returns One page of quotes with the total count and next cursor
  */
-export async function getQuotes(runtime?: any, category?: string): Promise<Quote[]> {
+export async function getQuotes(runtime?: any, params: ListParams = {}): Promise<Page<Quote>> {
   const db = getDatabase(runtime);
-  
-  if (category) {
-    const result = await db.execute({
-      sql: 'SELECT * FROM quotes WHERE category = ? ORDER BY created_at DESC',
-      args: [category]
-    });
-    return result.rows as Quote[];
-  }
-  
-  const result = await db.execute('SELECT * FROM quotes ORDER BY created_at DESC');
-  return result.rows as Quote[];
+  const page = await listRows<Record<string, unknown>>(db, QUOTE_LIST, params);
+  return { ...page, data: page.data.map(row => toQuote(row)) };
 }
 
 /**
@@ -41,24 +56,80 @@ export async function getQuotes(runtime?: any, category?: string): Promise<Quote
 export async function getRandomQuote(runtime?: any): Promise<Quote | null> {
   const db = getDatabase(runtime);
   const result = await db.execute('SELECT * FROM quotes ORDER BY RANDOM() LIMIT 1');
-  return result.rows.length > 0 ? result.rows[0] as Quote : null;
+  return result.rows.length > 0 ? toQuote(result.rows[0]) : null;
+}
+
+// Search results are ranked by bm25 (best match first) unless another ?sort= is given
+export const QUOTE_SEARCH: ListSpec = {
+  ...QUOTE_LIST,
+  sortable: [...QUOTE_LIST.sortable, 'rank'],
+  defaultSort: 'rank'
+};
+
+export interface QuoteSearchResult extends Quote {
+  rank: number;
+  snippet: string;
+}
+
+// Private use characters mark matches in snippets until the text is HTML-escaped
+const MATCH_START = '\uE000';
+const MATCH_END = '\uE001';
+
+/**
+ * Turn user input into an FTS5 query: every word must match, the last one as a prefix
+ * "stoic virtue" -> "stoic" "virtue"*
+ * @param searchTerm - The raw search input
+ * @returns The FTS5 MATCH expression or null if there is nothing to search for
+ */
+export function toSearchQuery(searchTerm: string): string | null {
+  const words = searchTerm.match(/[\p{L}\p{N}_']+/gu) || [];
+  if (words.length === 0) {
+    return null;
+  }
+  return words.map((word, index) => `"${word.replace(/"/g, '""')}"${index === words.length - 1 ? '*' : ''}`).join(' ');
 }
 
 /**
- * Search quotes by text in quote, author, or notes
+ * Full-text search over quote, author, source and notes (quotes_fts, see migration 0002)
  * @param runtime - Runtime context for Cloudflare Workers
  * @param searchTerm - The term to search for
- * @returns Array of matching quotes
+ * @param params - Pagination, sort and filters (see parseListParams)
+ * @returns One page of matching quotes with their bm25 rank and an HTML snippet (<mark> around matches)
  */
-export async function searchQuotes(runtime?: any, searchTerm: string): Promise<Quote[]> {
+export async function searchQuotes(runtime: any, searchTerm: string, params: ListParams = {}): Promise<Page<QuoteSearchResult>> {
+  const match = toSearchQuery(searchTerm);
+  if (!match) {
+    throw new Error('Search term must contain at least one letter or number');
+  }
+
   const db = getDatabase(runtime);
-  const result = await db.execute({
-    sql: `SELECT * FROM quotes 
-          WHERE quote LIKE ? OR author LIKE ? OR notes LIKE ? OR source LIKE ?
-          ORDER BY created_at DESC`,
-    args: [`%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`]
+  // bm25 weights: quote 10, author 5, source 2, notes 1
+  const page = await listRows<Record<string, unknown>>(db, QUOTE_SEARCH, params, {
+    from: {
+      sql: `(SELECT quotes.*,
+                    bm25(quotes_fts, 10.0, 5.0, 2.0, 1.0) AS rank,
+                    snippet(quotes_fts, -1, ?, ?, '…', 16) AS snippet
+             FROM quotes_fts
+             JOIN quotes ON quotes.id = quotes_fts.rowid
+             WHERE quotes_fts MATCH ?) AS results`,
+      args: [MATCH_START, MATCH_END, match]
+    }
   });
-  return result.rows as Quote[];
+
+  return {
+    ...page,
+    data: page.data.map(row => ({ ...toQuote(row), rank: Number(row.rank), snippet: highlight(String(row.snippet ?? '')) }))
+  };
+}
+
+function highlight(snippet: string): string {
+  return snippet
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
 }
 
 /**
@@ -73,7 +144,7 @@ export async function getQuote(runtime?: any, id: number): Promise<Quote | null>
     sql: 'SELECT * FROM quotes WHERE id = ?',
     args: [id]
   });
-  return result.rows.length > 0 ? result.rows[0] as Quote : null;
+  return result.rows.length > 0 ? toQuote(result.rows[0]) : null;
 }
 
 /**
@@ -88,7 +159,7 @@ export async function getQuotesByAuthor(runtime?: any, author: string): Promise<
     sql: 'SELECT * FROM quotes WHERE author = ? ORDER BY created_at DESC',
     args: [author]
   });
-  return result.rows as Quote[];
+  return result.rows.map(row => toQuote(row));
 }
 
 /**
@@ -111,4 +182,147 @@ export async function getAuthors(runtime?: any): Promise<string[]> {
   const db = getDatabase(runtime);
   const result = await db.execute('SELECT DISTINCT author FROM quotes ORDER BY author');
   return result.rows.map(row => row.author as string);
-}
\ No newline at end of file
+}
+
+const REQUIRED_QUOTE_FIELDS = ['quote', 'author'] as const;
+const OPTIONAL_QUOTE_FIELDS = ['source', 'category', 'notes'] as const;
+const QUOTE_FIELD_MAX_LENGTH: Record<string, number> = {
+  quote: 2000,
+  author: 200,
+  source: 200,
+  category: 50,
+  notes: 2000
+};
+
+export interface QuoteValidationResult {
+  data: Partial<QuoteInsert>;
+  errors: string[];
+}
+
+/**
+ * Validate a quote request body
+ * Strings are trimmed, empty optional fields become null and unknown fields are rejected
+ * @param input - Parsed JSON body
+ * @param partial - Allow missing fields (PATCH)
+ * @returns The accepted fields and a list of validation errors
+ */
+export function validateQuoteInput(input: unknown, partial = false): QuoteValidationResult {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { data: {}, errors: ['Request body must be a JSON object'] };
+  }
+
+  const body = input as Record<string, unknown>;
+  const data: Record<string, string | null> = {};
+  const errors: string[] = [];
+  const allowed: readonly string[] = [...REQUIRED_QUOTE_FIELDS, ...OPTIONAL_QUOTE_FIELDS];
+
+  for (const key of Object.keys(body)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${key} is not a quote field`);
+    }
+  }
+
+  for (const field of allowed) {
+    const value = body[field];
+    const required = (REQUIRED_QUOTE_FIELDS as readonly string[]).includes(field);
+
+    if (value === undefined) {
+      if (required && !partial) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    if (value !== null && typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+      continue;
+    }
+
+    const text = value === null ? '' : value.trim();
+    if (text === '') {
+      if (required) {
+        errors.push(`${field} is required`);
+      } else {
+        data[field] = null;
+      }
+    } else if (text.length > QUOTE_FIELD_MAX_LENGTH[field]) {
+      errors.push(`${field} must be at most ${QUOTE_FIELD_MAX_LENGTH[field]} characters`);
+    } else {
+      data[field] = text;
+    }
+  }
+
+  return { data: data as Partial<QuoteInsert>, errors };
+}
+
+/**
+ * Find a quote with the same text and author
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param quote - The quote text
+ * @param author - The author name
+ * @param excludeId - Ignore this quote (when updating it)
+ * @returns The existing quote or null
+ */
+export async function findDuplicateQuote(runtime: any, quote: string, author: string, excludeId?: number): Promise<Quote | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'SELECT * FROM quotes WHERE quote = ? AND author = ? AND id != ? LIMIT 1',
+    args: [quote, author, excludeId ?? 0]
+  });
+  return result.rows.length > 0 ? toQuote(result.rows[0]) : null;
+}
+
+/**
+ * Create a quote
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param input - Validated quote fields (see validateQuoteInput)
+ * @returns The created quote
+ */
+export async function createQuote(runtime: any, input: QuoteInsert): Promise<Quote> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: `INSERT INTO quotes (quote, author, source, category, notes)
+          VALUES (?, ?, ?, ?, ?)
+          RETURNING *`,
+    args: [input.quote, input.author, input.source ?? null, input.category ?? null, input.notes ?? null]
+  });
+  return toQuote(result.rows[0]);
+}
+
+/**
+ * Update some fields of a quote
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The quote ID
+ * @param input - Validated fields to change; fields that are left out keep their value
+ * @returns The updated quote or null if not found
+ */
+export async function updateQuote(runtime: any, id: number, input: Partial<QuoteInsert>): Promise<Quote | null> {
+  const db = getDatabase(runtime);
+  const values = input as Record<string, unknown>;
+  const columns = [...REQUIRED_QUOTE_FIELDS, ...OPTIONAL_QUOTE_FIELDS].filter(column => values[column] !== undefined);
+
+  if (columns.length === 0) {
+    return getQuote(runtime, id);
+  }
+
+  const result = await db.execute({
+    sql: `UPDATE quotes SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? RETURNING *`,
+    args: [...columns.map(column => values[column] as string | null), id]
+  });
+  return result.rows.length > 0 ? toQuote(result.rows[0]) : null;
+}
+
+/**
+ * Delete a quote
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The quote ID
+ * @returns true if the quote was deleted, false if it didn't exist
+ */
+export async function deleteQuote(runtime: any, id: number): Promise<boolean> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'DELETE FROM quotes WHERE id = ?',
+    args: [id]
+  });
+  return result.rowsAffected > 0;
+}
@@ -0,0 +1,260 @@
+// Shared query builder for list endpoints: pagination (offset or cursor), sorting and filtering
+// Column names only ever come from the allowlists in a ListSpec, values are always bound as arguments
+
+export interface ListSpec {
+  table: string;
+  sortable: string[];
+  filterable: string[];
+  defaultSort: string;
+  defaultLimit?: number;
+  maxLimit?: number;
+}
+
+export interface ListParams {
+  limit?: number;
+  offset?: number;
+  cursor?: string;
+  sort?: string;
+  filters?: Record<string, string[]>;
+}
+
+export interface Page<T> {
+  data: T[];
+  meta: {
+    total: number;
+    limit: number;
+    offset: number | null;
+    sort: string;
+    next_cursor: string | null;
+  };
+}
+
+export interface Condition {
+  sql: string;
+  args: any[];
+}
+
+export interface ListQuery {
+  // Replaces the table, e.g. a subquery that adds computed columns: (SELECT ..., bm25(...) AS rank ...) AS results
+  from?: Condition;
+  // Extra condition, e.g. a search term
+  where?: Condition;
+}
+
+interface SortKey {
+  column: string;
+  descending: boolean;
+}
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Read ?limit=&offset=&cursor=&sort= and filters (?category=change,control) from a URL
+ * @param searchParams - The request's query string
+ * @param spec - Allowed sort and filter columns
+ * @returns The list parameters and a list of problems (respond with 400 when not empty)
+ */
+export function parseListParams(searchParams: URLSearchParams, spec: ListSpec): { params: ListParams; errors: string[] } {
+  const params: ListParams = { filters: {} };
+  const errors: string[] = [];
+  const maxLimit = spec.maxLimit ?? MAX_LIMIT;
+
+  const limit = searchParams.get('limit');
+  if (limit !== null) {
+    params.limit = Number(limit);
+    if (!Number.isInteger(params.limit) || params.limit < 1 || params.limit > maxLimit) {
+      errors.push(`limit must be a whole number between 1 and ${maxLimit}`);
+    }
+  }
+
+  const offset = searchParams.get('offset');
+  if (offset !== null) {
+    params.offset = Number(offset);
+    if (!Number.isInteger(params.offset) || params.offset < 0) {
+      errors.push('offset must be a whole number of at least 0');
+    }
+  }
+
+  const cursor = searchParams.get('cursor');
+  if (cursor) {
+    params.cursor = cursor;
+    if (offset !== null) {
+      errors.push('Use either cursor or offset, not both');
+    }
+  }
+
+  const sort = searchParams.get('sort');
+  if (sort) {
+    params.sort = sort;
+    for (const key of parseSort(sort)) {
+      if (!spec.sortable.includes(key.column)) {
+        errors.push(`Cannot sort by "${key.column}" (allowed: ${spec.sortable.join(', ')})`);
+      }
+    }
+  }
+
+  // Repeated or comma separated values match any of them: ?category=change&category=control
+  for (const column of spec.filterable) {
+    const values = searchParams.getAll(column)
+      .flatMap(value => value.split(','))
+      .map(value => value.trim())
+      .filter(Boolean);
+    if (values.length > 0) {
+      params.filters![column] = values;
+    }
+  }
+
+  if (params.cursor && errors.length === 0 && !decodeCursor(params.cursor, normalizeSort(params.sort || spec.defaultSort))) {
+    errors.push('cursor is invalid or was created with a different sort');
+  }
+
+  return { params, errors };
+}
+
+/**
+ * Run a paginated list query
+ * @param db - libSQL client (from getDatabase)
+ * @param spec - Table, allowed columns and defaults
+ * @param params - Parsed list parameters (see parseListParams)
+ * @param query - Optional source and extra condition (see ListQuery)
+ * @returns One page of rows with total count and the cursor of the next page
+ */
+export async function listRows<T>(db: any, spec: ListSpec, params: ListParams = {}, query: ListQuery = {}): Promise<Page<T>> {
+  const limit = Math.min(params.limit ?? spec.defaultLimit ?? DEFAULT_LIMIT, spec.maxLimit ?? MAX_LIMIT);
+  const sortString = normalizeSort(params.sort || spec.defaultSort);
+  const sort = withTieBreaker(parseSort(sortString));
+
+  for (const key of sort) {
+    if (key.column !== 'id' && !spec.sortable.includes(key.column)) {
+      throw new Error(`Cannot sort ${spec.table} by "${key.column}"`);
+    }
+  }
+
+  const source: Condition = query.from ?? { sql: spec.table, args: [] };
+  const conditions: Condition[] = query.where ? [query.where] : [];
+  for (const [column, values] of Object.entries(params.filters || {})) {
+    if (!spec.filterable.includes(column)) {
+      throw new Error(`Cannot filter ${spec.table} by "${column}"`);
+    }
+    conditions.push({
+      sql: values.length === 1 ? `${column} = ?` : `${column} IN (${values.map(() => '?').join(', ')})`,
+      args: values
+    });
+  }
+
+  const filter = combine(conditions);
+  const countResult = await db.execute({
+    sql: `SELECT COUNT(*) AS total FROM ${source.sql}${filter.sql ? ` WHERE ${filter.sql}` : ''}`,
+    args: [...source.args, ...filter.args]
+  });
+  const total = Number(countResult.rows[0].total);
+
+  const pageConditions = [...conditions];
+  let offset: number | null = params.offset ?? 0;
+  if (params.cursor) {
+    const values = decodeCursor(params.cursor, sortString);
+    if (!values) {
+      throw new Error('Invalid cursor');
+    }
+    pageConditions.push(afterCursor(sort, values));
+    offset = null;
+  }
+
+  // One extra row tells us whether there is a next page
+  const page = combine(pageConditions);
+  const result = await db.execute({
+    sql: `SELECT * FROM ${source.sql}${page.sql ? ` WHERE ${page.sql}` : ''}
+          ORDER BY ${sort.map(key => `${key.column} ${key.descending ? 'DESC' : 'ASC'}`).join(', ')}
+          LIMIT ?${offset ? ' OFFSET ?' : ''}`,
+    args: [...source.args, ...page.args, limit + 1, ...(offset ? [offset] : [])]
+  });
+
+  const rows = result.rows.slice(0, limit) as T[];
+  const last = rows[rows.length - 1] as Record<string, any> | undefined;
+  const nextCursor = result.rows.length > limit && last
+    ? encodeCursor({ sort: sortString, values: sort.map(key => last[key.column] ?? null) })
+    : null;
+
+  return {
+    data: rows,
+    meta: { total, limit, offset, sort: sortString, next_cursor: nextCursor }
+  };
+}
+
+// "author,-created_at" -> author ASC, created_at DESC
+function parseSort(sort: string): SortKey[] {
+  return sort
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => ({
+      column: part.replace(/^[-+]/, ''),
+      descending: part.startsWith('-')
+    }));
+}
+
+function normalizeSort(sort: string): string {
+  return parseSort(sort).map(key => `${key.descending ? '-' : ''}${key.column}`).join(',');
+}
+
+// The id breaks ties so every row has a stable position for cursors
+function withTieBreaker(sort: SortKey[]): SortKey[] {
+  if (sort.some(key => key.column === 'id')) {
+    return sort;
+  }
+  const last = sort[sort.length - 1];
+  return [...sort, { column: 'id', descending: last ? last.descending : false }];
+}
+
+// Rows after the cursor in the sort order: (a > ?) OR (a IS ? AND b > ?) OR ...
+// SQLite sorts NULL first, so NULLs come before every value ascending and after every value descending
+function afterCursor(sort: SortKey[], values: any[]): Condition {
+  const branches: Condition[] = [];
+
+  sort.forEach((key, index) => {
+    const equal = sort.slice(0, index).map((previous, i) => ({ sql: `${previous.column} IS ?`, args: [values[i]] }));
+    const value = values[index];
+    let after: Condition;
+
+    if (value === null) {
+      after = key.descending ? { sql: '0', args: [] } : { sql: `${key.column} IS NOT NULL`, args: [] };
+    } else {
+      after = key.descending
+        ? { sql: `(${key.column} < ? OR ${key.column} IS NULL)`, args: [value] }
+        : { sql: `${key.column} > ?`, args: [value] };
+    }
+
+    branches.push(combine([...equal, after]));
+  });
+
+  return {
+    sql: `(${branches.map(branch => `(${branch.sql})`).join(' OR ')})`,
+    args: branches.flatMap(branch => branch.args)
+  };
+}
+
+function combine(conditions: Condition[]): Condition {
+  return {
+    sql: conditions.map(condition => condition.sql).join(' AND '),
+    args: conditions.flatMap(condition => condition.args)
+  };
+}
+
+function encodeCursor(cursor: { sort: string; values: any[] }): string {
+  const bytes = new TextEncoder().encode(JSON.stringify(cursor));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor: string, sort: string): any[] | null {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const decoded = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    const valid = decoded.sort === sort
+      && Array.isArray(decoded.values)
+      && decoded.values.length === withTieBreaker(parseSort(sort)).length;
+    return valid ? decoded.values : null;
+  } catch {
+    return null;
+  }
+}
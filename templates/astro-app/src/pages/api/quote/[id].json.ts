@@ -1,42 +1,94 @@
 import type { APIRoute } from 'astro';
-import { getQuote } from '../../../lib/db';
+import { getQuote, updateQuote, deleteQuote, findDuplicateQuote, validateQuoteInput } from '../../../lib/db';
+import type { QuoteInsert } from '../../../lib/db';
+import { json, errorResponse, parseId, readJson } from '../../../lib/api';
 
 export const GET: APIRoute = async ({ params, locals }) => {
   try {
-    const id = parseInt(params.id || '0');
-    
-    if (isNaN(id) || id <= 0) {
-      return new Response(JSON.stringify({ error: 'Invalid quote ID' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    const id = parseId(params.id);
+    
+    if (!id) {
+      return errorResponse(400, 'Invalid quote ID');
     }
     
     const quote = await getQuote(locals.runtime, id);
     
     if (!quote) {
-      return new Response(JSON.stringify({ error: 'Quote not found' }), {
-        status: 404,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      return errorResponse(404, 'Quote not found');
+    }
+    
+    return json(quote);
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch quote');
+  }
+};
+
+// PUT replaces the quote: optional fields that are left out are cleared
+export const PUT: APIRoute = async ({ params, request, locals }) => {
+  return writeQuote(params.id, request, locals.runtime, false);
+};
+
+// PATCH only changes the fields in the body
+export const PATCH: APIRoute = async ({ params, request, locals }) => {
+  return writeQuote(params.id, request, locals.runtime, true);
+};
+
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  try {
+    const id = parseId(params.id);
+    
+    if (!id) {
+      return errorResponse(400, 'Invalid quote ID');
+    }
+    
+    const deleted = await deleteQuote(locals.runtime, id);
+    
+    if (!deleted) {
+      return errorResponse(404, 'Quote not found');
+    }
+    
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(500, 'Failed to delete quote');
+  }
+};
+
+async function writeQuote(rawId: string | undefined, request: Request, runtime: any, partial: boolean) {
+  const id = parseId(rawId);
+  if (!id) {
+    return errorResponse(400, 'Invalid quote ID');
+  }
+  
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+  
+  const { data, errors } = validateQuoteInput(body, partial);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid quote', errors);
+  }
+  const input: Partial<QuoteInsert> = partial ? data : { source: null, category: null, notes: null, ...data };
+  
+  try {
+    const existing = await getQuote(runtime, id);
+    if (!existing) {
+      return errorResponse(404, 'Quote not found');
+    }
+    
+    const duplicate = await findDuplicateQuote(
+      runtime,
+      input.quote ?? existing.quote,
+      input.author ?? existing.author,
+      id
+    );
+    if (duplicate) {
+      return errorResponse(409, `Quote already exists (id ${duplicate.id})`);
     }
     
-    return new Response(JSON.stringify(quote), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const quote = await updateQuote(runtime, id, input);
+    return quote ? json(quote) : errorResponse(404, 'Quote not found');
   } catch (error) {
-    return new Response(JSON.stringify({ error: 'Failed to fetch quote' }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    return errorResponse(500, 'Failed to update quote');
   }
-};
\ No newline at end of file
+}
@@ -1,24 +1,45 @@
 import type { APIRoute } from 'astro';
-import { getQuotes } from '../../lib/db';
+import { QUOTE_LIST, getQuotes, createQuote, findDuplicateQuote, validateQuoteInput } from '../../lib/db';
+import type { QuoteInsert } from '../../lib/db';
+import { json, errorResponse, readJson } from '../../lib/api';
+import { parseListParams } from '../../lib/query';
 
+// ?limit=20&cursor=... or ?offset=40, ?sort=author,-created_at, ?category=change,control&author=Seneca
 export const GET: APIRoute = async ({ url, locals }) => {
+  const { params, errors } = parseListParams(url.searchParams, QUOTE_LIST);
+  if (errors.length > 0) {
+    return errorResponse(400, 'Invalid query parameters', errors);
+  }
+  
+  try {
+    const page = await getQuotes(locals.runtime, params);
+    return json(page);
+  } catch (error) {
+    return errorResponse(500, 'Failed to fetch quotes');
+  }
+};
+
+export const POST: APIRoute = async ({ request, locals }) => {
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+  
+  const { data, errors } = validateQuoteInput(body);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid quote', errors);
+  }
+  const input = data as QuoteInsert;
+  
   try {
-    // Get category from query params if provided
-    const category = url.searchParams.get('category');
-    const quotes = await getQuotes(locals.runtime, category || undefined);
+    const duplicate = await findDuplicateQuote(locals.runtime, input.quote, input.author);
+    if (duplicate) {
+      return errorResponse(409, `Quote already exists (id ${duplicate.id})`);
+    }
     
-    return new Response(JSON.stringify(quotes), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const quote = await createQuote(locals.runtime, input);
+    return json(quote, 201, { Location: `/api/quote/${quote.id}.json` });
   } catch (error) {
-    return new Response(JSON.stringify({ error: 'Failed to fetch quotes' }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    return errorResponse(500, 'Failed to create quote');
   }
-};
\ No newline at end of file
+};
@@ -1,37 +1,30 @@
 import type { APIRoute } from 'astro';
-import { searchQuotes } from '../../../lib/db';
+import { QUOTE_SEARCH, searchQuotes, toSearchQuery } from '../../../lib/db';
+import { json, errorResponse } from '../../../lib/api';
+import { parseListParams } from '../../../lib/query';
 
+// Ranked full-text search (bm25) with highlighted snippets. Takes the same pagination and
+// filter parameters as /api/quotes.json, and ?sort=rank (default) next to the other columns
 export const GET: APIRoute = async ({ url, locals }) => {
+  const searchTerm = url.searchParams.get('q');
+  
+  if (!searchTerm) {
+    return errorResponse(400, 'Search term is required. Use ?q=your-search');
+  }
+  
+  if (!toSearchQuery(searchTerm)) {
+    return errorResponse(400, 'Search term must contain at least one letter or number');
+  }
+  
+  const { params, errors } = parseListParams(url.searchParams, QUOTE_SEARCH);
+  if (errors.length > 0) {
+    return errorResponse(400, 'Invalid query parameters', errors);
+  }
+  
   try {
-    const searchTerm = url.searchParams.get('q');
-    
-    if (!searchTerm) {
-      return new Response(JSON.stringify({ error: 'Search term is required. Use ?q=your-search' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-    }
-    
-    const quotes = await searchQuotes(locals.runtime, searchTerm);
-    
-    return new Response(JSON.stringify({
-      query: searchTerm,
-      count: quotes.length,
-      results: quotes
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const page = await searchQuotes(locals.runtime, searchTerm, params);
+    return json({ query: searchTerm, ...page });
   } catch (error) {
-    return new Response(JSON.stringify({ error: 'Failed to search quotes' }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    return errorResponse(500, 'Failed to search quotes');
   }
-};
\ No newline at end of file
+};
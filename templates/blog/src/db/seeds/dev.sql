@@ -0,0 +1,9 @@
+-- Sample posts, the last one is a draft
+INSERT OR IGNORE INTO posts (slug, title, excerpt, body, published_at) VALUES
+  ('hello-world', 'Hello, world', 'The first post on PROJECT_NAME.', 'Welcome to PROJECT_NAME, a blog built with Astro and libSQL.
+
+Posts live in the posts table of your database. Add them with SQL, a seed profile or an admin page of your own.', '2025-01-06 09:00:00'),
+  ('local-first-development', 'Local-first development', 'Why dev.db is just a file.', 'Locally the blog reads from dev.db, a plain SQLite file, so there is nothing to run besides the dev server.
+
+In production the same queries go to Turso: getDatabase(Astro.locals.runtime) picks the right connection.', '2025-01-13 09:00:00'),
+  ('drafts', 'Drafts stay hidden', 'Posts without published_at are drafts.', 'This post has no published_at date, so it is not listed and its page returns 404 until you publish it.', NULL);
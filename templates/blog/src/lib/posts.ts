@@ -0,0 +1,70 @@
+import { getDatabase } from '../db/client.js';
+
+export interface Post {
+  id: number;
+  slug: string;
+  title: string;
+  excerpt: string | null;
+  body: string;
+  published_at: string | null;
+  created_at: string | null;
+  updated_at: string | null;
+}
+
+/**
+ * Get published posts, newest first
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param limit - Maximum number of posts
+ * @returns Published posts
+ */
+export async function getPublishedPosts(runtime?: any, limit = 50): Promise<Post[]> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: `SELECT * FROM posts
+          WHERE published_at IS NOT NULL AND published_at <= CURRENT_TIMESTAMP
+          ORDER BY published_at DESC, id DESC
+          LIMIT ?`,
+    args: [limit]
+  });
+  return result.rows as unknown as Post[];
+}
+
+/**
+ * Get a published post by its slug
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param slug - The post slug
+ * @returns The post or null if it doesn't exist or is a draft
+ */
+export async function getPostBySlug(runtime: any, slug: string): Promise<Post | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: `SELECT * FROM posts
+          WHERE slug = ? AND published_at IS NOT NULL AND published_at <= CURRENT_TIMESTAMP`,
+    args: [slug]
+  });
+  return result.rows.length > 0 ? result.rows[0] as unknown as Post : null;
+}
+
+/**
+ * Split a post body into paragraphs (separated by blank lines)
+ * @param body - The post body
+ * @returns Paragraph texts
+ */
+export function paragraphs(body: string): string[] {
+  return body.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+/**
+ * Format a SQLite DATETIME for display
+ * @param value - e.g. "2025-01-06 09:00:00"
+ */
+export function formatDate(value: string | null): string {
+  if (!value) {
+    return '';
+  }
+  return new Date(`${value.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
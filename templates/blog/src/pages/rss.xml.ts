@@ -0,0 +1,41 @@
+import type { APIRoute } from 'astro';
+import { getPublishedPosts } from '../lib/posts';
+
+// RSS 2.0 feed of the latest published posts
+export const GET: APIRoute = async ({ url, locals }) => {
+  const posts = await getPublishedPosts(locals.runtime, 20);
+  const items = posts.map((post) => {
+    const link = new URL(`/posts/${post.slug}`, url.origin).href;
+    return `    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${link}</link>
+      <guid>${link}</guid>
+      <pubDate>${new Date(`${String(post.published_at).replace(' ', 'T')}Z`).toUTCString()}</pubDate>
+      ${post.excerpt ? `<description>${escapeXml(post.excerpt)}</description>` : ''}
+    </item>`;
+  });
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>PROJECT_NAME</title>
+    <link>${url.origin}</link>
+    <description>Latest posts from PROJECT_NAME</description>
+${items.join('\n')}
+  </channel>
+</rss>`;
+
+  return new Response(xml, {
+    headers: {
+      'Content-Type': 'application/rss+xml; charset=utf-8'
+    }
+  });
+};
+
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
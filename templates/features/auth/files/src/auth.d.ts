@@ -0,0 +1,8 @@
+// Types for Astro.locals, filled in by src/middleware.ts
+declare namespace App {
+  interface Locals {
+    runtime?: any;
+    user: import('./lib/auth').AuthUser | null;
+    session: import('./lib/auth').AuthSession | null;
+  }
+}
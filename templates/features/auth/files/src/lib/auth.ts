@@ -0,0 +1,290 @@
+import type { AstroCookies } from 'astro';
+import { getDatabase } from '../db/client.js';
+
+// Authentication added by `bit2 add auth`: users, sessions and password hashing.
+// Everything uses Web Crypto (crypto.subtle), available on Cloudflare Workers,
+// Vercel, Netlify, Node 18+ and Bun, so no native modules are needed.
+
+export const SESSION_COOKIE = 'session';
+
+const SESSION_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+// Sessions used in their last 15 days are extended, so active users stay signed in
+const SESSION_RENEW_WITHIN_MS = 15 * 24 * 60 * 60 * 1000;
+
+// 100,000 is the highest PBKDF2 iteration count Cloudflare Workers allow
+const PBKDF2_ITERATIONS = 100_000;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 256;
+
+export interface AuthUser {
+  id: number;
+  email: string;
+  name: string | null;
+  created_at: string | null;
+}
+
+export interface AuthSession {
+  id: string;
+  user_id: number;
+  expires_at: number;
+}
+
+export interface CredentialsInput {
+  email: string;
+  password: string;
+  name?: string | null;
+}
+
+/**
+ * Hash a password with PBKDF2-SHA256 and a random salt
+ * @param password - Plain text password
+ * @returns "pbkdf2_sha256$<iterations>$<salt>$<hash>" (base64)
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2_sha256$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param password - Plain text password
+ * @param stored - Stored hash
+ * @returns true if the password matches
+ */
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [algorithm, iterations, salt, hash] = stored.split('$');
+  if (algorithm !== 'pbkdf2_sha256' || !iterations || !salt || !hash) {
+    return false;
+  }
+  const expected = fromBase64(hash);
+  const actual = await pbkdf2(password, fromBase64(salt), Number(iterations), expected.length * 8);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate a register or login request body
+ * @param input - Parsed JSON body
+ * @param register - Also accept a name and enforce password rules
+ * @returns The credentials and a list of validation errors
+ */
+export function validateCredentials(input: unknown, register = false): { data: CredentialsInput; errors: string[] } {
+  const body = (input && typeof input === 'object' && !Array.isArray(input) ? input : {}) as Record<string, unknown>;
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+  const name = typeof body.name === 'string' && body.name.trim() !== '' ? body.name.trim() : null;
+  const errors: string[] = [];
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors.push('email must be a valid email address');
+  }
+  if (!password) {
+    errors.push('password is required');
+  } else if (register && (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH)) {
+    errors.push(`password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`);
+  }
+  if (register && body.name !== undefined && body.name !== null && typeof body.name !== 'string') {
+    errors.push('name must be a string');
+  }
+
+  return { data: { email, password, name }, errors };
+}
+
+/**
+ * Find a user by email (case insensitive)
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param email - The email address
+ * @returns The user or null if not found
+ */
+export async function getUserByEmail(runtime: any, email: string): Promise<AuthUser | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'SELECT id, email, name, created_at FROM users WHERE email = ?',
+    args: [email]
+  });
+  return result.rows.length > 0 ? result.rows[0] as unknown as AuthUser : null;
+}
+
+/**
+ * Create a user with a hashed password
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param input - Validated credentials (see validateCredentials)
+ * @returns The created user
+ */
+export async function createUser(runtime: any, input: CredentialsInput): Promise<AuthUser> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: `INSERT INTO users (email, name, password_hash)
+          VALUES (?, ?, ?)
+          RETURNING id, email, name, created_at`,
+    args: [input.email, input.name ?? null, await hashPassword(input.password)]
+  });
+  return result.rows[0] as unknown as AuthUser;
+}
+
+/**
+ * Check an email and password
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param email - The email address
+ * @param password - Plain text password
+ * @returns The user or null if the email is unknown or the password is wrong
+ */
+export async function authenticate(runtime: any, email: string, password: string): Promise<AuthUser | null> {
+  const db = getDatabase(runtime);
+  const result = await db.execute({
+    sql: 'SELECT id, email, name, created_at, password_hash FROM users WHERE email = ?',
+    args: [email]
+  });
+  const row = result.rows[0] as Record<string, any> | undefined;
+
+  // Unknown emails still pay for a hash, so response times don't reveal which accounts exist
+  const valid = await verifyPassword(password, row ? String(row.password_hash) : await dummyHash());
+  if (!row || !valid) {
+    return null;
+  }
+  return { id: Number(row.id), email: row.email, name: row.name ?? null, created_at: row.created_at ?? null };
+}
+
+/**
+ * Start a session for a user
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param userId - The user ID
+ * @returns The token for the session cookie and the stored session
+ */
+export async function createSession(runtime: any, userId: number): Promise<{ token: string; session: AuthSession }> {
+  const db = getDatabase(runtime);
+  const token = toBase64Url(crypto.getRandomValues(new Uint8Array(32)));
+  const session: AuthSession = {
+    id: await sessionId(token),
+    user_id: userId,
+    expires_at: Date.now() + SESSION_DURATION_MS
+  };
+
+  await db.execute({
+    sql: 'INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+    args: [session.id, session.user_id, session.expires_at]
+  });
+  return { token, session };
+}
+
+/**
+ * Look up the session of a cookie token, extending it when it is about to expire
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param token - Value of the session cookie
+ * @returns The user and session, or null if the token is unknown or expired
+ */
+export async function validateSessionToken(runtime: any, token: string): Promise<{ user: AuthUser; session: AuthSession; renewed: boolean } | null> {
+  const db = getDatabase(runtime);
+  const id = await sessionId(token);
+  const result = await db.execute({
+    sql: `SELECT sessions.id, sessions.user_id, sessions.expires_at, users.email, users.name, users.created_at
+          FROM sessions
+          JOIN users ON users.id = sessions.user_id
+          WHERE sessions.id = ?`,
+    args: [id]
+  });
+  const row = result.rows[0] as Record<string, any> | undefined;
+  if (!row) {
+    return null;
+  }
+
+  const session: AuthSession = { id, user_id: Number(row.user_id), expires_at: Number(row.expires_at) };
+  if (Date.now() >= session.expires_at) {
+    await invalidateSession(runtime, id);
+    return null;
+  }
+
+  let renewed = false;
+  if (Date.now() >= session.expires_at - SESSION_RENEW_WITHIN_MS) {
+    session.expires_at = Date.now() + SESSION_DURATION_MS;
+    await db.execute({
+      sql: 'UPDATE sessions SET expires_at = ? WHERE id = ?',
+      args: [session.expires_at, id]
+    });
+    renewed = true;
+  }
+
+  const user: AuthUser = { id: session.user_id, email: row.email, name: row.name ?? null, created_at: row.created_at ?? null };
+  return { user, session, renewed };
+}
+
+/**
+ * End a session (logout)
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param id - The session ID
+ */
+export async function invalidateSession(runtime: any, id: string): Promise<void> {
+  const db = getDatabase(runtime);
+  await db.execute({
+    sql: 'DELETE FROM sessions WHERE id = ?',
+    args: [id]
+  });
+}
+
+/**
+ * End every session of a user, e.g. after a password change
+ * @param runtime - Runtime context for Cloudflare Workers
+ * @param userId - The user ID
+ */
+export async function invalidateUserSessions(runtime: any, userId: number): Promise<void> {
+  const db = getDatabase(runtime);
+  await db.execute({
+    sql: 'DELETE FROM sessions WHERE user_id = ?',
+    args: [userId]
+  });
+}
+
+export function setSessionCookie(cookies: AstroCookies, token: string, expiresAt: number): void {
+  cookies.set(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: import.meta.env.PROD,
+    path: '/',
+    expires: new Date(expiresAt)
+  });
+}
+
+export function deleteSessionCookie(cookies: AstroCookies): void {
+  cookies.delete(SESSION_COOKIE, { path: '/' });
+}
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number, bits = 256): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const derived = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, bits);
+  return new Uint8Array(derived);
+}
+
+async function sessionId(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+let cachedDummyHash: Promise<string> | null = null;
+
+function dummyHash(): Promise<string> {
+  cachedDummyHash ??= hashPassword(crypto.randomUUID());
+  return cachedDummyHash;
+}
+
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+}
+
+function toBase64(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
@@ -0,0 +1,19 @@
+// A form on another site can POST to the auth routes and sign the visitor in or out
+// (login CSRF). Browsers send Origin with cross-site POSTs, and HTML forms cannot
+// send JSON, so the auth routes only accept JSON requests from this site.
+
+/**
+ * Check that a state-changing request comes from this site
+ * @param request - The incoming request
+ * @param url - The request URL (Astro's `url`)
+ * @returns false for requests from another origin or without a JSON body
+ */
+export function isSameSiteRequest(request: Request, url: URL): boolean {
+  const origin = request.headers.get('origin');
+  if (origin !== null && origin !== url.origin) {
+    return false;
+  }
+
+  const contentType = request.headers.get('content-type') ?? '';
+  return contentType.split(';')[0].trim().toLowerCase() === 'application/json';
+}
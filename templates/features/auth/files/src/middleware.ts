@@ -0,0 +1,40 @@
+import { defineMiddleware } from 'astro:middleware';
+import { SESSION_COOKIE, validateSessionToken, setSessionCookie, deleteSessionCookie } from './lib/auth';
+
+// Pages and API routes that need a signed-in user (prefix match)
+const PROTECTED_ROUTES = ['/account'];
+
+// Populates Astro.locals.user and Astro.locals.session on every request
+export const onRequest = defineMiddleware(async (context, next) => {
+  context.locals.user = null;
+  context.locals.session = null;
+
+  const token = context.cookies.get(SESSION_COOKIE)?.value;
+  if (token) {
+    const result = await validateSessionToken(context.locals.runtime, token);
+    if (result) {
+      context.locals.user = result.user;
+      context.locals.session = result.session;
+      if (result.renewed) {
+        setSessionCookie(context.cookies, token, result.session.expires_at);
+      }
+    } else {
+      deleteSessionCookie(context.cookies);
+    }
+  }
+
+  const { pathname } = context.url;
+  if (!context.locals.user && PROTECTED_ROUTES.some(route => pathname === route || pathname.startsWith(`${route}/`))) {
+    if (pathname.startsWith('/api/')) {
+      return new Response(JSON.stringify({ error: 'Authentication required' }), {
+        status: 401,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+    return context.redirect(`/login?next=${encodeURIComponent(pathname)}`);
+  }
+
+  return next();
+});
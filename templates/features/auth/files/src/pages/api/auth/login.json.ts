@@ -0,0 +1,34 @@
+import type { APIRoute } from 'astro';
+import { validateCredentials, authenticate, createSession, setSessionCookie } from '../../../lib/auth';
+import { json, errorResponse, readJson } from '../../../lib/api';
+import { isSameSiteRequest } from '../../../lib/csrf';
+
+// Sign in with { email, password }, sets the session cookie
+export const POST: APIRoute = async ({ request, url, cookies, locals }) => {
+  if (!isSameSiteRequest(request, url)) {
+    return errorResponse(403, 'Cross-site requests are not allowed');
+  }
+  
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+  
+  const { data, errors } = validateCredentials(body);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid credentials', errors);
+  }
+  
+  try {
+    const user = await authenticate(locals.runtime, data.email, data.password);
+    if (!user) {
+      return errorResponse(401, 'Invalid email or password');
+    }
+    
+    const { token, session } = await createSession(locals.runtime, user.id);
+    setSessionCookie(cookies, token, session.expires_at);
+    return json(user);
+  } catch (error) {
+    return errorResponse(500, 'Failed to sign in');
+  }
+};
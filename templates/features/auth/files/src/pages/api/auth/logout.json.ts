@@ -0,0 +1,21 @@
+import type { APIRoute } from 'astro';
+import { invalidateSession, deleteSessionCookie } from '../../../lib/auth';
+import { errorResponse } from '../../../lib/api';
+import { isSameSiteRequest } from '../../../lib/csrf';
+
+// End the current session, signing out is idempotent
+export const POST: APIRoute = async ({ request, url, cookies, locals }) => {
+  if (!isSameSiteRequest(request, url)) {
+    return errorResponse(403, 'Cross-site requests are not allowed');
+  }
+  
+  try {
+    if (locals.session) {
+      await invalidateSession(locals.runtime, locals.session.id);
+    }
+    deleteSessionCookie(cookies);
+    return new Response(null, { status: 204 });
+  } catch (error) {
+    return errorResponse(500, 'Failed to sign out');
+  }
+};
@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { json, errorResponse } from '../../../lib/api';
+
+// The signed-in user, set by src/middleware.ts
+export const GET: APIRoute = async ({ locals }) => {
+  if (!locals.user) {
+    return errorResponse(401, 'Authentication required');
+  }
+  return json(locals.user);
+};
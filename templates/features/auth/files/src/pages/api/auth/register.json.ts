@@ -0,0 +1,34 @@
+import type { APIRoute } from 'astro';
+import { validateCredentials, getUserByEmail, createUser, createSession, setSessionCookie } from '../../../lib/auth';
+import { json, errorResponse, readJson } from '../../../lib/api';
+import { isSameSiteRequest } from '../../../lib/csrf';
+
+// Create an account and sign in: { email, password, name? }
+export const POST: APIRoute = async ({ request, url, cookies, locals }) => {
+  if (!isSameSiteRequest(request, url)) {
+    return errorResponse(403, 'Cross-site requests are not allowed');
+  }
+  
+  const body = await readJson(request);
+  if (body === undefined) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+  
+  const { data, errors } = validateCredentials(body, true);
+  if (errors.length > 0) {
+    return errorResponse(422, 'Invalid registration', errors);
+  }
+  
+  try {
+    if (await getUserByEmail(locals.runtime, data.email)) {
+      return errorResponse(409, 'An account with this email already exists');
+    }
+    
+    const user = await createUser(locals.runtime, data);
+    const { token, session } = await createSession(locals.runtime, user.id);
+    setSessionCookie(cookies, token, session.expires_at);
+    return json(user, 201);
+  } catch (error) {
+    return errorResponse(500, 'Failed to create account');
+  }
+};
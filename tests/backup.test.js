@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { runBatches, query } from '../src/utils/database.js';
+import { createBackup, restoreBackup, listBackups, resolveBackup } from '../src/utils/backup.js';
+
+async function createDatabase(dir, name, statements) {
+  const connection = { url: `file:${path.join(dir, name)}` };
+  await runBatches(connection, [{ name, statements: statements.map(sql => ({ sql })) }]);
+  return connection;
+}
+
+describe('database backups', () => {
+  let tempDir;
+  let backupsDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-backup-'));
+    backupsDir = path.join(tempDir, '.bit2/backups');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should dump a database to SQL and restore it', async () => {
+    const source = await createDatabase(tempDir, 'source.db', [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT, data BLOB)',
+      'CREATE INDEX idx_quotes_quote ON quotes(quote)',
+      "INSERT INTO quotes (quote, data) VALUES ('It''s; fine', X'00ff'), (NULL, NULL)",
+      'CREATE TABLE _bit2_migrations (id TEXT PRIMARY KEY, checksum TEXT NOT NULL, applied_at TEXT NOT NULL)',
+      "INSERT INTO _bit2_migrations VALUES ('0001_a', 'abc', '2025-01-01')"
+    ]);
+
+    const backup = await createBackup(source, { target: 'remote', label: 'pre-migrate', dir: backupsDir });
+    expect(backup.name).toMatch(/^remote-.+Z-pre-migrate\.sql$/);
+
+    const target = await createDatabase(tempDir, 'target.db', ['CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT, data BLOB)']);
+    await restoreBackup(backup.file, target, { target: 'remote' });
+
+    const rows = await query(target, 'SELECT quote, hex(data) AS data FROM quotes ORDER BY id');
+    expect(rows.map(row => [row.quote, row.data])).toEqual([["It's; fine", '00FF'], [null, '']]);
+    expect((await query(target, 'SELECT id FROM _bit2_migrations'))[0].id).toBe('0001_a');
+    expect(await query(target, "SELECT name FROM sqlite_master WHERE name = 'idx_quotes_quote'")).toHaveLength(1);
+  });
+
+  it('should copy local databases as files and list backups newest first', async () => {
+    const local = await createDatabase(tempDir, 'dev.db', ['CREATE TABLE quotes (id INTEGER PRIMARY KEY)']);
+
+    const first = await createBackup(local, { dir: backupsDir });
+    const second = await createBackup(local, { dir: backupsDir, label: 'pre-delete' });
+    await fs.writeFile(path.join(backupsDir, 'notes.txt'), 'ignored');
+    await fs.utimes(first.file, new Date(2020, 0, 1), new Date(2020, 0, 1));
+
+    expect(first.name).toMatch(/^local-.+\.db$/);
+    const backups = await listBackups(backupsDir);
+    expect(backups.map(backup => backup.name)).toEqual([second.name, first.name]);
+    expect(backups[0]).toMatchObject({ target: 'local', label: 'pre-delete', format: 'db' });
+
+    expect((await resolveBackup(first.name, backupsDir)).file).toBe(first.file);
+    await expect(resolveBackup('missing.db', backupsDir)).rejects.toThrow('not found');
+  });
+
+  it('should refuse file backups of remote databases', async () => {
+    await expect(createBackup({ url: 'libsql://example.turso.io' }, { target: 'remote', format: 'db', dir: backupsDir }))
+      .rejects.toThrow('SQL dumps');
+  });
+});
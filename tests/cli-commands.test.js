@@ -67,8 +67,8 @@ describe('bit2 CLI Commands', () => {
       expect(await fs.pathExists(path.join(projectPath, 'package.json'))).toBe(true);
       expect(await fs.pathExists(path.join(projectPath, 'astro.config.mjs'))).toBe(true);
       expect(await fs.pathExists(path.join(projectPath, 'src'))).toBe(true);
-      expect(await fs.pathExists(path.join(projectPath, 'src/db/schema.sql'))).toBe(true);
-      expect(await fs.pathExists(path.join(projectPath, 'src/db/seed.sql'))).toBe(true);
+      expect(await fs.pathExists(path.join(projectPath, 'src/db/migrations/0001_create_quotes.sql'))).toBe(true);
+      expect(await fs.pathExists(path.join(projectPath, 'src/db/seeds/dev.sql'))).toBe(true);
       
       // Check package.json has correct name
       const packageJson = await fs.readJson(path.join(projectPath, 'package.json'));
@@ -148,6 +148,26 @@ describe('bit2 CLI Commands', () => {
       // Clean up
       await fs.remove(projectPath);
     });
+
+    it('should print the checks as JSON and exit 1 when a check fails', async () => {
+      const emptyDir = path.join(testProjectsDir, `test-status-json-${Date.now()}`);
+      await fs.ensureDir(emptyDir);
+
+      try {
+        await execAsync(`cd ${emptyDir} && ${cliPath} status --json`, { timeout: 30000 });
+        expect(true).toBe(false); // Should not reach here
+      } catch (error) {
+        expect(error.code).toBe(1);
+        const report = JSON.parse(error.stdout);
+        expect(report.ok).toBe(false);
+        expect(report.checks.map(check => check.name)).toContain('Project Structure');
+        const structure = report.checks.find(check => check.name === 'Project Structure');
+        expect(structure.status).toBe('error');
+        expect(structure.details).toContain('Missing: package.json');
+      }
+
+      await fs.remove(emptyDir);
+    });
   });
 
   describe('bit2 build', () => {
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadConfig, validateConfig, DEFAULT_PATHS } from '../src/utils/config.js';
+import { loadMigrations } from '../src/utils/migrations.js';
+
+describe('project config', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-config-'));
+    await fs.writeJson(path.join(projectPath, 'package.json'), { name: 'My_App' });
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('should fall back to the defaults without a config file', async () => {
+    const config = await loadConfig(projectPath);
+
+    expect(config.file).toBeNull();
+    expect(config.paths).toEqual(DEFAULT_PATHS);
+    expect(config.paths.migrations).toBe('src/db/migrations');
+    expect(config.database).toEqual({ name: 'my-app', org: null });
+    expect(config.provider).toBeNull();
+    expect(config.environments).toEqual({});
+    expect(config.envFile).toBeNull();
+  });
+
+  it('should merge bit2.config.json and bit2.config.js with the defaults', async () => {
+    await fs.writeJson(path.join(projectPath, 'bit2.config.json'), {
+      paths: { migrations: './db/migrations', database: 'local.db' },
+      database: { name: 'quotes', org: 'acme' },
+      provider: 'vercel',
+      environments: { staging: { database: { name: 'quotes-staging' } } }
+    });
+
+    const config = await loadConfig(projectPath);
+    expect(config.file).toBe('bit2.config.json');
+    expect(config.paths.migrations).toBe('db/migrations');
+    expect(config.paths.database).toBe('local.db');
+    expect(config.paths.seeds).toBe(DEFAULT_PATHS.seeds);
+    expect(config.database).toEqual({ name: 'quotes', org: 'acme' });
+    expect(config.provider).toBe('vercel');
+    expect(config.environments.staging.database.name).toBe('quotes-staging');
+
+    await fs.remove(path.join(projectPath, 'bit2.config.json'));
+    await fs.writeFile(path.join(projectPath, 'bit2.config.js'), "export default { provider: 'netlify' };\n");
+    expect((await loadConfig(projectPath)).provider).toBe('netlify');
+  });
+
+  it('should select the database and provider of a named environment', async () => {
+    await fs.writeJson(path.join(projectPath, 'bit2.config.json'), {
+      database: { name: 'quotes', org: 'acme' },
+      provider: 'cloudflare',
+      environments: { staging: {}, preview: { database: { name: 'quotes-pr' }, provider: 'netlify' } }
+    });
+
+    const production = await loadConfig(projectPath);
+    expect(production.environment).toBe('production');
+    expect(production.database).toEqual({ name: 'quotes', org: 'acme' });
+
+    const staging = await loadConfig(projectPath, { env: 'staging' });
+    expect(staging.environment).toBe('staging');
+    expect(staging.database).toEqual({ name: 'quotes-staging', org: 'acme' });
+    expect(staging.provider).toBe('cloudflare');
+
+    const preview = await loadConfig(projectPath, { env: 'preview' });
+    expect(preview.database).toEqual({ name: 'quotes-pr', org: 'acme' });
+    expect(preview.provider).toBe('netlify');
+
+    await expect(loadConfig(projectPath, { env: 'qa' })).rejects.toThrow('Unknown environment: qa');
+  });
+
+  it('should list every problem of an invalid config', () => {
+    let error;
+    try {
+      validateConfig({
+        path: {},
+        paths: { migrations: '', output: 'dist' },
+        database: { name: 'My DB' },
+        provider: 'heroku',
+        environments: { staging: { provider: 'aws' }, production: {}, QA: {} }
+      }, 'bit2.config.json');
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).toBe('Invalid bit2.config.json');
+    expect(error.recoverySteps).toEqual([
+      'Unknown option path (expected: paths, database, provider, environments, envFile)',
+      'Unknown option paths.output (expected: migrations, seeds, database, types, astroConfig, backups)',
+      'paths.migrations must be a non-empty string',
+      'database.name must only contain lowercase letters, numbers and dashes',
+      'provider must be one of: cloudflare, vercel, netlify',
+      'environments.staging.provider must be one of: cloudflare, vercel, netlify',
+      'environments.production is the top-level config, move its options there',
+      'environments.QA must be named with lowercase letters, numbers and dashes'
+    ]);
+  });
+
+  it('should refuse more than one config file', async () => {
+    await fs.writeJson(path.join(projectPath, 'bit2.config.json'), {});
+    await fs.writeFile(path.join(projectPath, 'bit2.config.js'), 'export default {};\n');
+
+    await expect(loadConfig(projectPath)).rejects.toThrow('Found more than one config file');
+  });
+
+  it('should read the legacy schema.sql next to the migrations directory', async () => {
+    await fs.outputFile(path.join(projectPath, 'db/schema.sql'), 'CREATE TABLE quotes (id INTEGER PRIMARY KEY);\n');
+
+    const [migration] = await loadMigrations(path.join(projectPath, 'db/migrations'));
+    expect(migration.id).toBe('0000_schema');
+    expect(migration.file).toBe(path.join(projectPath, 'db/schema.sql'));
+  });
+});
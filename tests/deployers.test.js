@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { extractDeploymentUrl } from '../src/utils/deployers.js';
+import { parseEnv, readEnvFile, setEnvValues } from '../src/utils/env-file.js';
+import { deploymentKey, readDeployment, writeDeployment, listDeployedEnvironments, removeDeployment } from '../src/utils/deployment.js';
+import { diffEnv, formatDotenv, assertVercelPreviewScope } from '../src/utils/provider-env.js';
+
+describe('provider CLIs', () => {
+  it('should find the deployment URL in the provider CLI output', () => {
+    const wrangler = [
+      '✨ Compiled Worker successfully',
+      '🌎 Deploying... see https://developers.cloudflare.com/pages/',
+      '✨ Deployment complete! Take a peek over at https://3f2a1b.my-app.pages.dev'
+    ].join('\n');
+    expect(extractDeploymentUrl('cloudflare', wrangler)).toBe('https://3f2a1b.my-app.pages.dev');
+
+    expect(extractDeploymentUrl('vercel', 'https://my-app-k2j3h4.vercel.app\n')).toBe('https://my-app-k2j3h4.vercel.app');
+
+    const netlify = JSON.stringify({ site_name: 'my-app', deploy_url: 'https://65f0c1--my-app.netlify.app', url: 'https://my-app.netlify.app' });
+    expect(extractDeploymentUrl('netlify', netlify)).toBe('https://65f0c1--my-app.netlify.app');
+
+    expect(extractDeploymentUrl('vercel', 'Error: not logged in')).toBeNull();
+  });
+
+  it('should diff local and provider variables by key', () => {
+    const local = { TURSO_DATABASE_URL: 'libsql://a', TURSO_AUTH_TOKEN: 'new', API_KEY: 'k' };
+    const remote = { TURSO_DATABASE_URL: 'libsql://a', TURSO_AUTH_TOKEN: 'old', SENTRY_DSN: 'x', API_KEY: null };
+
+    expect(diffEnv(local, remote)).toEqual([
+      { key: 'API_KEY', status: 'hidden' },
+      { key: 'SENTRY_DSN', status: 'remote' },
+      { key: 'TURSO_AUTH_TOKEN', status: 'changed' },
+      { key: 'TURSO_DATABASE_URL', status: 'same' }
+    ]);
+    expect(diffEnv({ NEW_KEY: '1' }, {})).toEqual([{ key: 'NEW_KEY', status: 'local' }]);
+  });
+
+  it('should write pushed variables as a dotenv file for netlify env:import', () => {
+    expect(formatDotenv({ TURSO_DATABASE_URL: 'libsql://a.turso.io', GREETING: 'hello # world', PEM: 'a\nb' })).toBe(
+      'TURSO_DATABASE_URL=libsql://a.turso.io\nGREETING="hello # world"\nPEM="a\\nb"\n'
+    );
+    expect(parseEnv(formatDotenv({ GREETING: 'hello # world' }))).toEqual({ GREETING: 'hello # world' });
+  });
+
+  describe('.env.bit2', () => {
+    let file;
+
+    beforeEach(async () => {
+      file = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-env-')), '.env.bit2');
+    });
+
+    afterEach(async () => {
+      await fs.remove(path.dirname(file));
+    });
+
+    it('should replace the deployment URL in place and keep everything else', async () => {
+      await fs.writeFile(file, '# bit2 deployment configuration\nBIT2_PROJECT_NAME=my-app\nBIT2_PROVIDER=cloudflare\n');
+
+      await setEnvValues(file, { BIT2_DEPLOYMENT_URL: 'https://a.my-app.pages.dev' });
+      await setEnvValues(file, { BIT2_DEPLOYMENT_URL: 'https://b.my-app.pages.dev' });
+
+      expect(await fs.readFile(file, 'utf8')).toBe(
+        '# bit2 deployment configuration\nBIT2_PROJECT_NAME=my-app\nBIT2_PROVIDER=cloudflare\nBIT2_DEPLOYMENT_URL=https://b.my-app.pages.dev\n'
+      );
+      expect(await readEnvFile(file)).toEqual({
+        BIT2_PROJECT_NAME: 'my-app',
+        BIT2_PROVIDER: 'cloudflare',
+        BIT2_DEPLOYMENT_URL: 'https://b.my-app.pages.dev'
+      });
+    });
+
+    it('should keep the deployments of named environments apart', async () => {
+      const projectPath = path.dirname(file);
+      await fs.writeFile(file, 'BIT2_PROJECT_NAME=my-app\nBIT2_PROVIDER=cloudflare\n');
+
+      await writeDeployment({ PROJECT_NAME: 'my-app-pr-review', PROVIDER: 'netlify' }, 'pr-review', projectPath);
+
+      expect(deploymentKey('pr-review', 'PROVIDER')).toBe('BIT2_ENV_PR_REVIEW__PROVIDER');
+      expect(await readDeployment('production', projectPath)).toEqual({ PROJECT_NAME: 'my-app', PROVIDER: 'cloudflare' });
+      expect(await readDeployment('pr-review', projectPath)).toEqual({ PROJECT_NAME: 'my-app-pr-review', PROVIDER: 'netlify' });
+      expect(await readDeployment('staging', projectPath)).toEqual({});
+    });
+
+    it('should only let one named environment use the Vercel preview variables', async () => {
+      const projectPath = path.dirname(file);
+      await fs.writeFile(file, 'BIT2_PROVIDER=vercel\nBIT2_ENV_STAGING__PROVIDER=vercel\nBIT2_ENV_EU__PROVIDER=cloudflare\n');
+
+      await expect(assertVercelPreviewScope('vercel', 'qa', projectPath)).rejects.toThrow('The staging environment already uses the Vercel preview variables');
+      await assertVercelPreviewScope('vercel', 'staging', projectPath);
+      await assertVercelPreviewScope('vercel', 'production', projectPath);
+      await assertVercelPreviewScope('cloudflare', 'qa', projectPath);
+    });
+
+    it('should list and remove the deployments of named environments', async () => {
+      const projectPath = path.dirname(file);
+      await fs.writeFile(file, 'BIT2_PROJECT_NAME=my-app\nBIT2_ENV_PR_REVIEW__PROVIDER=netlify\nBIT2_ENV_STAGING__PROVIDER=cloudflare\n');
+
+      expect(await listDeployedEnvironments(projectPath)).toEqual(['pr-review', 'staging']);
+      expect(await removeDeployment('pr-review', projectPath)).toEqual(['PROVIDER']);
+      expect(await fs.readFile(file, 'utf8')).toBe('BIT2_PROJECT_NAME=my-app\nBIT2_ENV_STAGING__PROVIDER=cloudflare\n');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { addFeature, parseFeatureList } from '../src/utils/features.js';
+import { loadMigrations } from '../src/utils/migrations.js';
+import { isSameSiteRequest } from '../templates/features/auth/files/src/lib/csrf.ts';
+
+describe('features', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-features-'));
+    await fs.ensureDir(path.join(projectPath, 'src/db/migrations'));
+    await fs.writeFile(path.join(projectPath, 'src/db/migrations/0001_initial.sql'), '-- migrate:up\nCREATE TABLE quotes (id INTEGER PRIMARY KEY);\n');
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('should parse the --with option', () => {
+    expect(parseFeatureList(undefined)).toEqual([]);
+    expect(parseFeatureList('auth, auth')).toEqual(['auth']);
+    expect(() => parseFeatureList('auth,payments')).toThrow('Unknown feature(s): payments');
+  });
+
+  it('should add the auth files, migration and missing helpers', async () => {
+    const result = await addFeature('auth', projectPath);
+
+    expect(result.files).toContain('src/middleware.ts');
+    expect(result.files).toContain('src/pages/api/auth/login.json.ts');
+    expect(result.sharedFiles).toEqual(['src/lib/api.ts']);
+    expect(result.migration).toEqual({ file: 'src/db/migrations/0002_create_auth.sql', kept: false });
+    for (const file of [...result.files, ...result.sharedFiles]) {
+      expect(await fs.pathExists(path.join(projectPath, file))).toBe(true);
+    }
+
+    const [, migration] = await loadMigrations(path.join(projectPath, 'src/db/migrations'));
+    expect(migration.up).toContain('CREATE TABLE IF NOT EXISTS users');
+    expect(migration.down).toContain('DROP TABLE IF EXISTS sessions;');
+  });
+
+  it('should refuse to overwrite existing files unless forced', async () => {
+    await fs.outputFile(path.join(projectPath, 'src/middleware.ts'), '// custom');
+
+    await expect(addFeature('auth', projectPath)).rejects.toThrow('src/middleware.ts');
+    expect(await fs.readFile(path.join(projectPath, 'src/middleware.ts'), 'utf8')).toBe('// custom');
+    expect(await fs.pathExists(path.join(projectPath, 'src/lib/auth.ts'))).toBe(false);
+
+    await addFeature('auth', projectPath, { force: true });
+    const again = await addFeature('auth', projectPath, { force: true });
+    expect(again.migration.kept).toBe(true);
+    expect(await fs.readFile(path.join(projectPath, 'src/middleware.ts'), 'utf8')).toContain('defineMiddleware');
+  });
+
+  it('should only accept JSON auth requests from the same origin', () => {
+    const url = new URL('https://app.example.com/api/auth/login.json');
+    const request = headers => new Request(url, { method: 'POST', headers });
+
+    expect(isSameSiteRequest(request({ 'Content-Type': 'application/json', Origin: 'https://app.example.com' }), url)).toBe(true);
+    expect(isSameSiteRequest(request({ 'Content-Type': 'application/json; charset=utf-8' }), url)).toBe(true);
+    expect(isSameSiteRequest(request({ 'Content-Type': 'application/json', Origin: 'https://evil.example' }), url)).toBe(false);
+    expect(isSameSiteRequest(request({ 'Content-Type': 'application/x-www-form-urlencoded', Origin: 'https://app.example.com' }), url)).toBe(false);
+    expect(isSameSiteRequest(request({ 'Content-Type': 'text/plain' }), url)).toBe(false);
+    expect(isSameSiteRequest(request({}), url)).toBe(false);
+  });
+});
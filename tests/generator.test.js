@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'bun:test';
+import { resourceNames, parseFields, renderMigration, renderResource } from '../src/utils/generator.js';
+
+describe('resource generator', () => {
+  it('should derive table, file, function and type names', () => {
+    const names = resourceNames('BlogPost');
+    expect(names.plural.snake).toBe('blog_posts');
+    expect(names.plural.kebab).toBe('blog-posts');
+    expect(names.singular.camel).toBe('blogPost');
+    expect(names.type).toBe('BlogPost');
+    expect(resourceNames('category').plural.snake).toBe('categories');
+    expect(() => resourceNames('1st')).toThrow('Invalid resource name');
+  });
+
+  it('should parse field definitions with aliases and modifiers', () => {
+    expect(parseFields(['title:string', 'body:text:optional', 'published:bool', 'score'])).toEqual([
+      { name: 'title', type: 'text', required: true },
+      { name: 'body', type: 'text', required: false },
+      { name: 'published', type: 'boolean', required: false },
+      { name: 'score', type: 'text', required: true }
+    ]);
+    expect(() => parseFields([])).toThrow('At least one field is required');
+    expect(() => parseFields(['created_at:date'])).toThrow('added automatically');
+    expect(() => parseFields(['title:json'])).toThrow('Unknown type "json"');
+    expect(() => parseFields(['title', 'title'])).toThrow('defined twice');
+  });
+
+  it('should render the migration and every resource file', () => {
+    const names = resourceNames('post');
+    const fields = parseFields(['title:text', 'published:boolean']);
+
+    const { up, down } = renderMigration(names, fields);
+    expect(up).toContain('id INTEGER PRIMARY KEY AUTOINCREMENT');
+    expect(up).toContain('title TEXT NOT NULL');
+    expect(up).toContain('published BOOLEAN NOT NULL DEFAULT 0');
+    expect(down).toBe('DROP TABLE IF EXISTS posts;');
+
+    const files = renderResource(names, fields);
+    expect(Object.values(files).map(file => file.path)).toEqual([
+      'src/lib/posts.ts',
+      'src/pages/api/posts.json.ts',
+      'src/pages/api/post/[id].json.ts',
+      'src/pages/posts/index.astro',
+      'src/pages/posts/[id].astro',
+      'tests/posts.test.ts'
+    ]);
+    expect(files.lib.content).toContain('export async function createPost(runtime: any, input: PostInsert): Promise<Post>');
+    expect(files.lib.content).toContain("filterable: ['title', 'published']");
+    expect(files.lib.content).toContain('published: Number(row.published)');
+    expect(files.lib.content).toContain('return result.rows.length > 0 ? toPost(result.rows[0]) : null;');
+    expect(files.lib.content).not.toContain(' as Post;');
+    expect(files.listRoute.content).toContain('parseListParams(url.searchParams, POST_LIST)');
+    expect(files.listRoute.content).toContain("import { json, errorResponse, readJson } from '../../lib/api';");
+    expect(files.itemRoute.content).toContain("errorResponse(404, 'Post not found')");
+    expect(files.itemRoute.content).not.toContain('function json(');
+    expect(files.test.content).toContain("expect(errors).toEqual(['title is required']);");
+    expect(files.test.content).toContain("expect(errors).toEqual(['published must be true or false']);");
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  loadMigrations,
+  planMigrations,
+  planRollback,
+  parseMigrationSections,
+  isDestructiveStatement,
+  migrationStatements,
+  buildMigrationBatches,
+  computeChecksum,
+  slugifyMigrationName,
+  createMigrationFile,
+  findMigration
+} from '../src/utils/migrations.js';
+
+describe('migrations', () => {
+  let migrationsDir;
+
+  beforeEach(async () => {
+    migrationsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-migrations-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(migrationsDir);
+  });
+
+  it('should load migration files in version order', async () => {
+    await fs.writeFile(path.join(migrationsDir, '0002_add_tags.sql'), 'ALTER TABLE quotes ADD COLUMN tags TEXT;');
+    await fs.writeFile(path.join(migrationsDir, '0001_create_quotes.sql'), 'CREATE TABLE quotes (id INTEGER);');
+    await fs.writeFile(path.join(migrationsDir, 'notes.md'), 'ignored');
+
+    const migrations = await loadMigrations(migrationsDir);
+    expect(migrations.map(m => m.id)).toEqual(['0001_create_quotes', '0002_add_tags']);
+    expect(migrations[0].checksum).toBe(computeChecksum('CREATE TABLE quotes (id INTEGER);'));
+  });
+
+  it('should scaffold the next numbered migration file', async () => {
+    await fs.writeFile(path.join(migrationsDir, '0007_existing.sql'), '');
+
+    const { id, file } = await createMigrationFile('Add Author Index', migrationsDir);
+    expect(id).toBe('0008_add_author_index');
+    expect(await fs.pathExists(file)).toBe(true);
+  });
+
+  it('should find the migration created for a slug', async () => {
+    await fs.writeFile(path.join(migrationsDir, '0003_create_posts.sql'), '');
+
+    expect(await findMigration(migrationsDir, 'create_posts')).toBe(path.join(migrationsDir, '0003_create_posts.sql'));
+    expect(await findMigration(migrationsDir, 'create_users')).toBeNull();
+    expect(await findMigration(path.join(migrationsDir, 'missing'), 'create_posts')).toBeNull();
+  });
+
+  it('should split migrations into applied, pending, modified and missing', () => {
+    const migrations = [
+      { id: '0001_a', checksum: 'aaa' },
+      { id: '0002_b', checksum: 'bbb' },
+      { id: '0003_c', checksum: 'ccc' }
+    ];
+    const appliedRows = [
+      { id: '0001_a', checksum: 'aaa', applied_at: '2025-01-01T00:00:00.000Z' },
+      { id: '0002_b', checksum: 'changed', applied_at: '2025-01-02T00:00:00.000Z' },
+      { id: '0000_gone', checksum: 'zzz', applied_at: '2024-12-31T00:00:00.000Z' }
+    ];
+
+    const plan = planMigrations(migrations, appliedRows);
+    expect(plan.applied.map(m => m.id)).toEqual(['0001_a', '0002_b']);
+    expect(plan.pending.map(m => m.id)).toEqual(['0003_c']);
+    expect(plan.modified.map(m => m.id)).toEqual(['0002_b']);
+    expect(plan.missing.map(row => row.id)).toEqual(['0000_gone']);
+  });
+
+  it('should split a migration into up and down sections', () => {
+    const { up, down } = parseMigrationSections('-- migrate:up\nCREATE TABLE a (id INTEGER);\n-- migrate:down\nDROP TABLE a;\n');
+    expect(up.trim()).toBe('CREATE TABLE a (id INTEGER);');
+    expect(down.trim()).toBe('DROP TABLE a;');
+
+    const legacy = parseMigrationSections('CREATE TABLE b (id INTEGER);');
+    expect(legacy.up).toBe('CREATE TABLE b (id INTEGER);');
+    expect(legacy.down).toBeNull();
+  });
+
+  it('should report statement lines relative to the migration file', async () => {
+    await fs.writeFile(path.join(migrationsDir, '0001_a.sql'), [
+      '-- migrate:up',
+      'CREATE TABLE a (id INTEGER);',
+      '',
+      'CREATE INDEX idx_a ON a(id);',
+      '-- migrate:down',
+      'DROP INDEX idx_a;',
+      'DROP TABLE a;'
+    ].join('\n'));
+
+    const [migration] = await loadMigrations(migrationsDir);
+    expect(migrationStatements(migration, 'up').map(s => s.line)).toEqual([2, 4]);
+    expect(migrationStatements(migration, 'down').map(s => s.line)).toEqual([6, 7]);
+  });
+
+  it('should build one batch per migration that records it', () => {
+    const batches = buildMigrationBatches([
+      { id: '0001_a', file: '0001_a.sql', up: 'CREATE TABLE a (id INTEGER);', checksum: 'aaa' }
+    ]);
+
+    expect(batches.map(batch => batch.name)).toEqual(['_bit2_migrations', '0001_a']);
+    expect(batches[1].statements[0].sql).toBe('CREATE TABLE a (id INTEGER)');
+    expect(batches[1].statements[1].sql).toContain('INSERT INTO _bit2_migrations');
+    expect(batches[1].statements[1].args.slice(0, 2)).toEqual(['0001_a', 'aaa']);
+  });
+
+  it('should pick migrations to roll back newest first', () => {
+    const applied = [{ id: '0001_a' }, { id: '0002_b' }, { id: '0003_c' }];
+
+    expect(planRollback(applied).map(m => m.id)).toEqual(['0003_c']);
+    expect(planRollback(applied, { steps: '2' }).map(m => m.id)).toEqual(['0003_c', '0002_b']);
+    expect(planRollback(applied, { to: '0001' }).map(m => m.id)).toEqual(['0003_c', '0002_b']);
+    expect(planRollback(applied, { to: '0' }).map(m => m.id)).toEqual(['0003_c', '0002_b', '0001_a']);
+    expect(() => planRollback(applied, { to: '0009' })).toThrow('has not been applied');
+    expect(() => planRollback(applied, { steps: '-1' })).toThrow('positive whole number');
+  });
+
+  it('should flag destructive statements', () => {
+    expect(isDestructiveStatement('DROP TABLE quotes')).toBe(true);
+    expect(isDestructiveStatement('  delete from quotes where id = 1')).toBe(true);
+    expect(isDestructiveStatement('ALTER TABLE quotes DROP COLUMN notes')).toBe(true);
+    expect(isDestructiveStatement('ALTER TABLE quotes ADD COLUMN tags TEXT')).toBe(false);
+    expect(isDestructiveStatement("INSERT INTO quotes (quote) VALUES ('DROP everything')")).toBe(false);
+  });
+
+  it('should slugify migration names', () => {
+    expect(slugifyMigrationName('Add tags!')).toBe('add_tags');
+    expect(slugifyMigrationName('  create-users  table ')).toBe('create_users_table');
+    expect(slugifyMigrationName('!!!')).toBe('');
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect, afterEach } from 'bun:test';
+import { configurePrompts, isInteractive, requireConfirmation, confirm, choose } from '../src/utils/prompts.js';
+
+describe('prompts', () => {
+  afterEach(() => {
+    configurePrompts();
+  });
+
+  it('should fail fast in non-interactive mode when a choice has no flag', async () => {
+    configurePrompts({ nonInteractive: true });
+
+    expect(isInteractive()).toBe(false);
+    expect(() => requireConfirmation('push confirmation', ['--force', '--yes'])).toThrow('Missing push confirmation');
+    await expect(confirm('Continue? (y/N): ')).rejects.toThrow('prompts are disabled in non-interactive mode');
+    await expect(choose('Provider:', [{ value: 'vercel', label: 'Vercel' }], {
+      choice: 'deployment provider',
+      flags: ['--provider vercel']
+    })).rejects.toMatchObject({ recoverySteps: expect.arrayContaining(['Pass --provider vercel']) });
+  });
+
+  it('should answer confirmations with --yes', async () => {
+    configurePrompts({ nonInteractive: true, yes: true });
+
+    expect(() => requireConfirmation('push confirmation')).not.toThrow();
+    expect(await confirm('Continue? (y/N): ')).toBe(true);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
+import { createClient } from '@libsql/client';
+import { listRows, parseListParams } from '../templates/astro-app/src/lib/query.ts';
+
+const SPEC = {
+  table: 'items',
+  sortable: ['id', 'category', 'score', 'name'],
+  filterable: ['category'],
+  defaultSort: 'category'
+};
+
+// NULLs and ties in every sortable column
+const ITEMS = [
+  ['b', 3, 'kiwi'], [null, 1, 'lime'], ['a', null, 'plum'], ['b', 3, 'fig'], [null, null, 'pear'],
+  ['a', 2, 'date'], ['c', 1, 'kiwi'], ['b', null, 'apple'], [null, 3, 'fig'], ['a', 2, 'lime'],
+  ['c', null, 'pear'], ['b', 1, 'date'], [null, 2, 'plum']
+];
+
+describe('list queries', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = createClient({ url: ':memory:' });
+    await db.execute('CREATE TABLE items (id INTEGER PRIMARY KEY, category TEXT, score INTEGER, name TEXT NOT NULL)');
+    for (const [category, score, name] of ITEMS) {
+      await db.execute({ sql: 'INSERT INTO items (category, score, name) VALUES (?, ?, ?)', args: [category, score, name] });
+    }
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  async function walk(params) {
+    const ids = [];
+    let cursor;
+    do {
+      const page = await listRows(db, SPEC, { ...params, limit: 3, cursor });
+      expect(page.data.length).toBeLessThanOrEqual(3);
+      ids.push(...page.data.map(row => Number(row.id)));
+      cursor = page.meta.next_cursor;
+    } while (cursor && ids.length <= ITEMS.length);
+    return ids;
+  }
+
+  it('should page through NULLs and ties with cursors in the same order as one query', async () => {
+    for (const sort of ['category', '-category', 'score,-name', '-score,category', 'name,-id', '-id']) {
+      const keys = sort.split(',').map(key => `${key.replace('-', '')} ${key.startsWith('-') ? 'DESC' : 'ASC'}`);
+      if (!sort.includes('id')) {
+        keys.push(`id ${sort.split(',').pop().startsWith('-') ? 'DESC' : 'ASC'}`);
+      }
+      const expected = await db.execute(`SELECT id FROM items ORDER BY ${keys.join(', ')}`);
+
+      expect(await walk({ sort })).toEqual(expected.rows.map(row => Number(row.id)));
+    }
+  });
+
+  it('should page a filtered list until the last row', async () => {
+    const ids = await walk({ sort: '-score', filters: { category: ['a', 'b'] } });
+    expect(ids).toHaveLength(ITEMS.filter(([category]) => category === 'a' || category === 'b').length);
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should reject invalid cursors and cursors of another sort', async () => {
+    const page = await listRows(db, SPEC, { sort: 'score', limit: 2 });
+    const cursor = page.meta.next_cursor;
+    expect(cursor).toBeTruthy();
+
+    await expect(listRows(db, SPEC, { sort: '-score', cursor })).rejects.toThrow('Invalid cursor');
+    await expect(listRows(db, SPEC, { cursor })).rejects.toThrow('Invalid cursor');
+    await expect(listRows(db, SPEC, { cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    await expect(listRows(db, SPEC, { cursor: btoa(JSON.stringify({ sort: 'category', values: ['a'] })) })).rejects.toThrow('Invalid cursor');
+
+    expect(parseListParams(new URLSearchParams({ sort: '-score', cursor }), SPEC).errors)
+      .toEqual(['cursor is invalid or was created with a different sort']);
+    expect(parseListParams(new URLSearchParams({ sort: 'score', cursor }), SPEC).errors).toEqual([]);
+  });
+
+  it('should report invalid list parameters', () => {
+    const { errors } = parseListParams(new URLSearchParams('limit=0&offset=-1&cursor=abc&sort=secret'), SPEC);
+    expect(errors).toEqual([
+      'limit must be a whole number between 1 and 100',
+      'offset must be a whole number of at least 0',
+      'Use either cursor or offset, not both',
+      'Cannot sort by "secret" (allowed: id, category, score, name)'
+    ]);
+  });
+});
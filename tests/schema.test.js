@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { runBatches } from '../src/utils/database.js';
+import { introspectSchema, diffSchemas, reconcileSql, rebuildSearchIndexStatements } from '../src/utils/schema.js';
+
+async function createDatabase(dir, name, statements) {
+  const connection = { url: `file:${path.join(dir, name)}` };
+  await runBatches(connection, [{ name, statements: statements.map(sql => ({ sql })) }]);
+  return connection;
+}
+
+describe('schema drift', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-schema-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should report no differences for identical schemas', async () => {
+    const statements = [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL)',
+      'CREATE INDEX idx_quotes_quote ON quotes(quote)',
+      'CREATE TABLE _bit2_migrations (id TEXT PRIMARY KEY, checksum TEXT NOT NULL, applied_at TEXT NOT NULL)'
+    ];
+    const local = await introspectSchema(await createDatabase(tempDir, 'local.db', statements));
+    const remote = await introspectSchema(await createDatabase(tempDir, 'remote.db', statements.slice(0, 2)));
+
+    expect(Object.keys(local.tables)).toEqual(['quotes']);
+    expect(diffSchemas(local, remote)).toEqual([]);
+  });
+
+  it('should hide full-text shadow tables and rebuild indexes that have content', async () => {
+    const schema = await introspectSchema(await createDatabase(tempDir, 'local.db', [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL)',
+      "CREATE VIRTUAL TABLE quotes_fts USING fts5(quote, content='quotes', content_rowid='id')",
+      'CREATE VIRTUAL TABLE notes_fts USING fts5(body)',
+      "CREATE VIRTUAL TABLE tokens_fts USING fts5(token, content='')"
+    ]));
+
+    expect(Object.keys(schema.tables)).toEqual(['notes_fts', 'quotes', 'quotes_fts', 'tokens_fts']);
+    expect(schema.tables.quotes_fts.virtual).toEqual({ module: 'fts5', content: 'quotes' });
+    expect(schema.tables.quotes.virtual).toBeUndefined();
+    expect(rebuildSearchIndexStatements(schema).map(statement => statement.sql)).toEqual([
+      "INSERT INTO notes_fts(notes_fts) VALUES ('rebuild')",
+      "INSERT INTO quotes_fts(quotes_fts) VALUES ('rebuild')"
+    ]);
+  });
+
+  it('should report missing, extra and changed objects', async () => {
+    const local = await introspectSchema(await createDatabase(tempDir, 'local.db', [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL, author TEXT DEFAULT \'Unknown\')',
+      'CREATE TABLE tags (id INTEGER PRIMARY KEY)',
+      'CREATE INDEX idx_quotes_author ON quotes(author)'
+    ]));
+    const remote = await introspectSchema(await createDatabase(tempDir, 'remote.db', [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT, notes TEXT)',
+      'CREATE TABLE legacy (id INTEGER)'
+    ]));
+
+    const differences = diffSchemas(local, remote);
+    expect(differences.map(d => `${d.change} ${d.kind} ${d.name}`)).toEqual([
+      'changed column quote',
+      'missing column author',
+      'extra column notes',
+      'missing table tags',
+      'extra table legacy',
+      'missing index idx_quotes_author'
+    ]);
+
+    expect(reconcileSql(differences, local)).toEqual([
+      'CREATE TABLE tags (id INTEGER PRIMARY KEY);',
+      'DROP TABLE legacy;',
+      '-- quotes.quote is TEXT, expected TEXT NOT NULL (requires rebuilding quotes)',
+      "ALTER TABLE quotes ADD COLUMN author TEXT DEFAULT 'Unknown';",
+      'ALTER TABLE quotes DROP COLUMN notes;',
+      'CREATE INDEX idx_quotes_author ON quotes(author);'
+    ]);
+  });
+});
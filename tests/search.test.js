@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeAll, afterAll } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import { createClient } from '@libsql/client';
+import { toSearchQuery } from '../templates/astro-app/src/lib/db.ts';
+
+const MIGRATIONS_DIR = path.join(import.meta.dir, '../templates/astro-app/src/db/migrations');
+
+describe('quote search', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = createClient({ url: ':memory:' });
+    for (const file of (await fs.readdir(MIGRATIONS_DIR)).sort()) {
+      const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+      await db.executeMultiple(sql.split('-- migrate:down')[0]);
+    }
+    await db.execute(`INSERT INTO quotes (quote, author) VALUES ('Waste no more time arguing what a good man should be', 'Marcus Aurelius'), ('It''s not what happens to you', 'Epictetus')`);
+  });
+
+  afterAll(() => {
+    db.close();
+  });
+
+  async function search(term) {
+    const result = await db.execute({ sql: 'SELECT rowid FROM quotes_fts WHERE quotes_fts MATCH ? ORDER BY rowid', args: [toSearchQuery(term)] });
+    return result.rows.map(row => Number(row.rowid));
+  }
+
+  it('should quote every word and match the last one as a prefix', () => {
+    expect(toSearchQuery('stoic virtue')).toBe('"stoic" "virtue"*');
+    expect(toSearchQuery('  Marcus  ')).toBe('"Marcus"*');
+    expect(toSearchQuery('café 2024')).toBe('"café" "2024"*');
+  });
+
+  it('should strip FTS5 syntax so it is searched as text', () => {
+    expect(toSearchQuery('"good" OR NOT man*')).toBe('"good" "OR" "NOT" "man"*');
+    expect(toSearchQuery('author:Marcus (time) -waste ^no')).toBe('"author" "Marcus" "time" "waste" "no"*');
+    expect(toSearchQuery("it's")).toBe('"it\'s"*');
+  });
+
+  it('should return null when there is nothing to search for', () => {
+    expect(toSearchQuery('')).toBeNull();
+    expect(toSearchQuery('  "*" () - :')).toBeNull();
+  });
+
+  it('should produce queries FTS5 accepts', async () => {
+    expect(await search('marc')).toEqual([1]);
+    expect(await search('"good" OR NOT man*')).toEqual([]);
+    expect(await search('Marcus (time)')).toEqual([1]);
+    expect(await search('what -happens')).toEqual([2]);
+    expect(await search("it's not")).toEqual([2]);
+  });
+});
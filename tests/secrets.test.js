@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { storedTursoConnection } from '../src/utils/database.js';
+import { readSecrets, setSecrets, loadTursoToken, removeEnvironmentSecrets, maskSecret, SECRETS_FILE } from '../src/utils/secrets.js';
+
+describe('secrets store', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-secrets-'));
+    process.env.BIT2_SECRETS_KEY_FILE = path.join(projectPath, 'keys', 'test.key');
+    delete process.env.BIT2_SECRETS_PASSPHRASE;
+  });
+
+  afterEach(async () => {
+    delete process.env.BIT2_SECRETS_KEY_FILE;
+    delete process.env.BIT2_SECRETS_PASSPHRASE;
+    await fs.remove(projectPath);
+  });
+
+  it('should encrypt secrets with a key file created on first use', async () => {
+    await setSecrets({ TURSO_AUTH_TOKEN: 'token-one' }, projectPath);
+    await setSecrets({ OTHER: 'value' }, projectPath);
+
+    const raw = await fs.readFile(path.join(projectPath, SECRETS_FILE), 'utf8');
+    expect(raw).not.toContain('token-one');
+    expect(await fs.pathExists(process.env.BIT2_SECRETS_KEY_FILE)).toBe(true);
+    expect(await readSecrets(projectPath)).toEqual({ TURSO_AUTH_TOKEN: 'token-one', OTHER: 'value' });
+
+    await fs.writeFile(process.env.BIT2_SECRETS_KEY_FILE, 'another key\n');
+    await expect(readSecrets(projectPath)).rejects.toThrow(`Could not decrypt ${SECRETS_FILE}`);
+  });
+
+  it('should require the passphrase of a passphrase store', async () => {
+    process.env.BIT2_SECRETS_PASSPHRASE = 'correct horse';
+    await setSecrets({ TURSO_AUTH_TOKEN: 'token-two' }, projectPath);
+    expect(await fs.pathExists(process.env.BIT2_SECRETS_KEY_FILE)).toBe(false);
+    expect((await readSecrets(projectPath)).TURSO_AUTH_TOKEN).toBe('token-two');
+
+    delete process.env.BIT2_SECRETS_PASSPHRASE;
+    await expect(readSecrets(projectPath)).rejects.toThrow('is protected by a passphrase');
+
+    process.env.BIT2_SECRETS_PASSPHRASE = 'wrong';
+    await expect(readSecrets(projectPath)).rejects.toThrow('Could not decrypt');
+  });
+
+  it('should move a plaintext token out of .env.bit2', async () => {
+    const deploymentFile = path.join(projectPath, '.env.bit2');
+    await fs.writeFile(deploymentFile, 'BIT2_PROJECT_NAME=app\nBIT2_TURSO_AUTH_TOKEN=legacy-token\nBIT2_PROVIDER=vercel\n');
+
+    expect(await loadTursoToken(projectPath, 'production', { migrate: false })).toBe('legacy-token');
+    expect(await fs.pathExists(path.join(projectPath, SECRETS_FILE))).toBe(false);
+
+    expect(await loadTursoToken(projectPath)).toBe('legacy-token');
+    expect(await fs.readFile(deploymentFile, 'utf8')).toBe('BIT2_PROJECT_NAME=app\nBIT2_PROVIDER=vercel\n');
+    expect(await loadTursoToken(projectPath)).toBe('legacy-token');
+  });
+
+  it('should remove the secrets of one environment', async () => {
+    expect(await removeEnvironmentSecrets('staging', projectPath)).toEqual([]);
+    expect(await fs.pathExists(path.join(projectPath, SECRETS_FILE))).toBe(false);
+
+    await setSecrets({ TURSO_AUTH_TOKEN: 'prod', 'staging:TURSO_AUTH_TOKEN': 'stg', 'staging-eu:TURSO_AUTH_TOKEN': 'eu' }, projectPath);
+    expect(await removeEnvironmentSecrets('staging', projectPath)).toEqual(['staging:TURSO_AUTH_TOKEN']);
+    expect(await removeEnvironmentSecrets('production', projectPath)).toEqual([]);
+    expect(await readSecrets(projectPath)).toEqual({ TURSO_AUTH_TOKEN: 'prod', 'staging-eu:TURSO_AUTH_TOKEN': 'eu' });
+  });
+
+  it('should read the saved Turso connection without changing any file', async () => {
+    const deploymentFile = path.join(projectPath, '.env.bit2');
+    await fs.writeFile(deploymentFile, 'BIT2_TURSO_AUTH_TOKEN=legacy-token\n');
+    expect(await storedTursoConnection(projectPath)).toBeNull();
+
+    await fs.writeFile(deploymentFile, 'BIT2_TURSO_DATABASE_URL=libsql://app.turso.io\nBIT2_TURSO_AUTH_TOKEN=legacy-token\n');
+    expect(await storedTursoConnection(projectPath)).toEqual({ url: 'libsql://app.turso.io', authToken: 'legacy-token' });
+    expect(await storedTursoConnection(projectPath, 'staging')).toBeNull();
+    expect(await fs.readFile(deploymentFile, 'utf8')).toContain('BIT2_TURSO_AUTH_TOKEN=legacy-token');
+    expect(await fs.pathExists(path.join(projectPath, SECRETS_FILE))).toBe(false);
+  });
+
+  it('should mask tokens', () => {
+    expect(maskSecret('eyJhbGciOiJFZERTQSJ9.payload.signature')).toBe('eyJh…ture (hidden, --reveal to show)');
+    expect(maskSecret('short')).toBe('•••••••• (hidden, --reveal to show)');
+    expect(maskSecret('')).toBe('');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { runBatches, query } from '../src/utils/database.js';
+import { listSeedProfiles, findSeedProfile, buildSeedBatch, generateRows } from '../src/utils/seeds.js';
+import { createFaker } from '../src/utils/faker.js';
+
+const QUOTES = {
+  sql: 'CREATE TABLE quotes (...)',
+  columns: [
+    { name: 'id', type: 'INTEGER', notnull: false, defaultValue: null, pk: 1 },
+    { name: 'quote', type: 'TEXT', notnull: true, defaultValue: null, pk: 0 },
+    { name: 'author', type: 'TEXT', notnull: true, defaultValue: null, pk: 0 },
+    { name: 'views', type: 'INTEGER', notnull: false, defaultValue: null, pk: 0 },
+    { name: 'created_at', type: 'DATETIME', notnull: false, defaultValue: 'CURRENT_TIMESTAMP', pk: 0 }
+  ]
+};
+
+describe('seed profiles', () => {
+  let tempDir;
+  let seedsDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-seeds-'));
+    seedsDir = path.join(tempDir, 'seeds');
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should list SQL and JS profiles, falling back to a legacy seed.sql', async () => {
+    await fs.writeFile(path.join(tempDir, 'seed.sql'), 'SELECT 1;');
+    expect((await listSeedProfiles(seedsDir)).map(p => p.name)).toEqual(['dev']);
+
+    await fs.ensureDir(seedsDir);
+    await fs.writeFile(path.join(seedsDir, 'dev.sql'), 'SELECT 1;');
+    await fs.writeFile(path.join(seedsDir, 'load.js'), 'export default () => {};');
+    await fs.writeFile(path.join(seedsDir, 'README.md'), '');
+
+    expect((await listSeedProfiles(seedsDir)).map(p => `${p.name}:${p.format}`)).toEqual(['dev:sql', 'load:js']);
+    expect(await findSeedProfile('demo', seedsDir)).toBeNull();
+  });
+
+  it('should generate the same rows for the same random seed', () => {
+    const first = generateRows(QUOTES, 3, {}, createFaker('42'));
+    const second = generateRows(QUOTES, 3, {}, createFaker('42'));
+
+    expect(first).toEqual(second);
+    expect(Object.keys(first[0])).toEqual(['quote', 'author', 'views']);
+    expect(first[0].quote).toMatch(/^[A-Z].*\.$/);
+    expect(Number.isInteger(first[0].views)).toBe(true);
+    expect(generateRows(QUOTES, 3, {}, createFaker('43'))).not.toEqual(first);
+  });
+
+  it('should apply overrides by value or by row index', () => {
+    const rows = generateRows(QUOTES, 2, { author: 'Seneca', views: (index) => index * 10 }, createFaker(1));
+    expect(rows.map(row => [row.author, row.views])).toEqual([['Seneca', 0], ['Seneca', 10]]);
+  });
+
+  it('should build insert statements from a JS seed profile', async () => {
+    const connection = { url: `file:${path.join(tempDir, 'dev.db')}` };
+    await runBatches(connection, [{
+      name: 'schema',
+      statements: [{ sql: 'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL, author TEXT NOT NULL)' }]
+    }]);
+    await fs.ensureDir(seedsDir);
+    await fs.writeFile(path.join(seedsDir, 'load.js'), "export default async ({ table }) => { await table('quotes', 25); };");
+
+    const batch = await buildSeedBatch(await findSeedProfile('load', seedsDir), { connection, randomSeed: 'abc' });
+    expect(batch.randomSeed).toBe('abc');
+    await runBatches(connection, [batch]);
+
+    expect((await query(connection, 'SELECT COUNT(*) AS total FROM quotes'))[0].total).toBe(25);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'bun:test';
+import { splitSqlStatements, parseSqlStatements } from '../src/utils/sql.js';
+
+const cases = [
+  {
+    name: 'splits simple statements',
+    sql: 'CREATE TABLE a (id INTEGER); CREATE TABLE b (id INTEGER);',
+    expected: ['CREATE TABLE a (id INTEGER)', 'CREATE TABLE b (id INTEGER)']
+  },
+  {
+    name: 'keeps a final statement without a semicolon',
+    sql: 'SELECT 1;\nSELECT 2',
+    expected: ['SELECT 1', 'SELECT 2']
+  },
+  {
+    name: 'ignores empty statements',
+    sql: ';;\n  ;SELECT 1;;',
+    expected: ['SELECT 1']
+  },
+  {
+    name: 'drops full-line comments',
+    sql: '-- Quotes table\nCREATE TABLE quotes (id INTEGER);\n-- trailing note',
+    expected: ['CREATE TABLE quotes (id INTEGER)']
+  },
+  {
+    name: 'drops trailing comments',
+    sql: 'CREATE TABLE a (\n  id INTEGER, -- primary key; not null\n  name TEXT\n);',
+    expected: ['CREATE TABLE a (\n  id INTEGER, \n  name TEXT\n)']
+  },
+  {
+    name: 'drops block comments, including ones containing semicolons',
+    sql: '/* setup; do not edit */ SELECT 1; SELECT /* inline */ 2;',
+    expected: ['SELECT 1', 'SELECT   2']
+  },
+  {
+    name: 'drops multi-line block comments',
+    sql: '/*\n * Header;\n */\nSELECT 1;',
+    expected: ['SELECT 1']
+  },
+  {
+    name: 'keeps semicolons inside single-quoted strings',
+    sql: "INSERT INTO a (v) VALUES ('x; y'); SELECT 1;",
+    expected: ["INSERT INTO a (v) VALUES ('x; y')", 'SELECT 1']
+  },
+  {
+    name: 'handles escaped single quotes',
+    sql: "INSERT INTO a (v) VALUES ('it''s; fine'); SELECT 1;",
+    expected: ["INSERT INTO a (v) VALUES ('it''s; fine')", 'SELECT 1']
+  },
+  {
+    name: 'does not treat comment markers inside strings as comments',
+    sql: "INSERT INTO a (v) VALUES ('-- not a comment /* nor this */');",
+    expected: ["INSERT INTO a (v) VALUES ('-- not a comment /* nor this */')"]
+  },
+  {
+    name: 'handles double-quoted identifiers with escapes',
+    sql: 'CREATE TABLE "my;table" ("col""umn" TEXT); SELECT 1;',
+    expected: ['CREATE TABLE "my;table" ("col""umn" TEXT)', 'SELECT 1']
+  },
+  {
+    name: 'handles backtick identifiers',
+    sql: 'CREATE TABLE `a;b` (`x` TEXT); SELECT 1;',
+    expected: ['CREATE TABLE `a;b` (`x` TEXT)', 'SELECT 1']
+  },
+  {
+    name: 'handles bracket identifiers',
+    sql: "CREATE TABLE [a;b] ([it's] TEXT); SELECT 1;",
+    expected: ["CREATE TABLE [a;b] ([it's] TEXT)", 'SELECT 1']
+  },
+  {
+    name: 'keeps trigger bodies together',
+    sql: `CREATE TRIGGER quotes_ai AFTER INSERT ON quotes BEGIN
+  INSERT INTO log (msg) VALUES ('inserted');
+  UPDATE stats SET count = count + 1;
+END;
+SELECT 1;`,
+    expected: [
+      `CREATE TRIGGER quotes_ai AFTER INSERT ON quotes BEGIN
+  INSERT INTO log (msg) VALUES ('inserted');
+  UPDATE stats SET count = count + 1;
+END`,
+      'SELECT 1'
+    ]
+  },
+  {
+    name: 'keeps temporary trigger bodies with CASE expressions together',
+    sql: `CREATE TEMP TRIGGER t AFTER UPDATE ON a BEGIN
+  UPDATE b SET v = CASE WHEN new.x > 0 THEN 'pos' ELSE 'neg' END;
+  DELETE FROM c;
+END;
+SELECT 2;`,
+    expected: [
+      `CREATE TEMP TRIGGER t AFTER UPDATE ON a BEGIN
+  UPDATE b SET v = CASE WHEN new.x > 0 THEN 'pos' ELSE 'neg' END;
+  DELETE FROM c;
+END`,
+      'SELECT 2'
+    ]
+  },
+  {
+    name: 'keeps trigger WHEN clauses with CASE before BEGIN',
+    sql: `CREATE TRIGGER IF NOT EXISTS t BEFORE DELETE ON a WHEN CASE old.x WHEN 1 THEN 1 ELSE 0 END BEGIN SELECT RAISE(ABORT, 'no;'); END; SELECT 3;`,
+    expected: [
+      `CREATE TRIGGER IF NOT EXISTS t BEFORE DELETE ON a WHEN CASE old.x WHEN 1 THEN 1 ELSE 0 END BEGIN SELECT RAISE(ABORT, 'no;'); END`,
+      'SELECT 3'
+    ]
+  },
+  {
+    name: 'keeps multi-statement full-text sync triggers together',
+    sql: `CREATE TRIGGER notes_fts_au AFTER UPDATE ON notes BEGIN
+  INSERT INTO notes_fts(notes_fts, rowid, body) VALUES ('delete', old.id, old.body);
+  INSERT INTO notes_fts(rowid, body, "end") VALUES (new.id, new.body, new.end);
+END; INSERT INTO notes_fts(notes_fts) VALUES ('rebuild');`,
+    expected: [
+      `CREATE TRIGGER notes_fts_au AFTER UPDATE ON notes BEGIN
+  INSERT INTO notes_fts(notes_fts, rowid, body) VALUES ('delete', old.id, old.body);
+  INSERT INTO notes_fts(rowid, body, "end") VALUES (new.id, new.body, new.end);
+END`,
+      "INSERT INTO notes_fts(notes_fts) VALUES ('rebuild')"
+    ]
+  },
+  {
+    name: 'does not treat transaction BEGIN/END as a block',
+    sql: 'BEGIN TRANSACTION; INSERT INTO a VALUES (1); END;',
+    expected: ['BEGIN TRANSACTION', 'INSERT INTO a VALUES (1)', 'END']
+  },
+  {
+    name: 'keeps CTE bodies in one statement',
+    sql: `WITH RECURSIVE cnt(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM cnt WHERE x < 10)
+INSERT INTO numbers (n) SELECT x FROM cnt; SELECT 1;`,
+    expected: [
+      `WITH RECURSIVE cnt(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM cnt WHERE x < 10)
+INSERT INTO numbers (n) SELECT x FROM cnt`,
+      'SELECT 1'
+    ]
+  },
+  {
+    name: 'keeps column names that look like keywords',
+    sql: 'CREATE TABLE events (id INTEGER, "end" TEXT, [begin] TEXT); SELECT 1;',
+    expected: ['CREATE TABLE events (id INTEGER, "end" TEXT, [begin] TEXT)', 'SELECT 1']
+  }
+];
+
+describe('splitSqlStatements', () => {
+  for (const { name, sql, expected } of cases) {
+    it(`should ${name}`, () => {
+      expect(splitSqlStatements(sql)).toEqual(expected);
+    });
+  }
+});
+
+describe('parseSqlStatements', () => {
+  it('should report the line each statement starts on', () => {
+    const sql = `-- header
+
+CREATE TABLE a (
+  id INTEGER
+);
+/* multi
+   line */
+INSERT INTO a VALUES ('x
+y'); INSERT INTO a VALUES (2);`;
+
+    expect(parseSqlStatements(sql).map(statement => statement.line)).toEqual([3, 8, 9]);
+  });
+});
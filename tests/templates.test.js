@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { listTemplates, parseTemplateSpec, fetchTemplate, copyTemplate, renderPlaceholder, TEMPLATES_DIR } from '../src/utils/templates.js';
+
+describe('templates', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-templates-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should list the bundled templates', async () => {
+    const names = (await listTemplates()).map(template => template.name);
+    expect(names).toEqual(['api-only', 'astro-app', 'blog', 'minimal', 'saas-starter']);
+  });
+
+  it('should tell bundled names, local directories and git URLs apart', () => {
+    expect(parseTemplateSpec('blog', '/work')).toEqual({ type: 'bundled', name: 'blog', dir: path.join(TEMPLATES_DIR, 'blog') });
+    expect(parseTemplateSpec('./my-template', '/work')).toEqual({ type: 'local', dir: '/work/my-template' });
+    expect(parseTemplateSpec('https://github.com/acme/starter.git#v2')).toEqual({ type: 'git', url: 'https://github.com/acme/starter.git', ref: 'v2' });
+    expect(parseTemplateSpec('github:acme/starter')).toEqual({ type: 'git', url: 'https://github.com/acme/starter.git', ref: null });
+    expect(parseTemplateSpec('git@github.com:acme/starter.git').type).toBe('git');
+  });
+
+  it('should render placeholder values from variables', () => {
+    expect(renderPlaceholder('v{{ bit2Version }}', { bit2Version: '3.0.0' })).toBe('v3.0.0');
+    expect(() => renderPlaceholder('{{author}}', { projectName: 'app' })).toThrow('Unknown template variable {{author}}');
+  });
+
+  it('should copy a template over the one it extends and replace placeholders', async () => {
+    const templateDir = path.join(tmpDir, 'template');
+    await fs.outputJson(path.join(templateDir, 'bit2.template.json'), {
+      extends: 'minimal',
+      exclude: ['src/db/migrations/.gitkeep'],
+      features: ['auth'],
+      placeholders: { GREETING: 'Hello {{projectName}}' },
+      files: ['src/pages/hello.astro']
+    });
+    await fs.outputFile(path.join(templateDir, 'src/pages/hello.astro'), '<h1>GREETING</h1>');
+
+    const template = await fetchTemplate(templateDir);
+    const projectPath = path.join(tmpDir, 'app');
+    const { features } = await copyTemplate(template.dir, projectPath, { projectName: 'app', bit2Version: '3.0.0' });
+
+    expect(features).toEqual(['auth']);
+    expect(await fs.readFile(path.join(projectPath, 'src/pages/hello.astro'), 'utf8')).toBe('<h1>Hello app</h1>');
+    expect(await fs.readFile(path.join(projectPath, 'README.md'), 'utf8')).toStartWith('# app\n');
+    expect(await fs.pathExists(path.join(projectPath, 'src/db/client.ts'))).toBe(true);
+    expect(await fs.pathExists(path.join(projectPath, 'src/db/migrations/.gitkeep'))).toBe(false);
+    expect(await fs.pathExists(path.join(projectPath, 'bit2.template.json'))).toBe(false);
+  });
+
+  it('should copy the files a template includes from other bundled templates', async () => {
+    const projectPath = path.join(tmpDir, 'api');
+    await copyTemplate(path.join(TEMPLATES_DIR, 'api-only'), projectPath, { projectName: 'api', bit2Version: '3.0.0' });
+
+    expect(await fs.readFile(path.join(projectPath, 'src/lib/query.ts'), 'utf8'))
+      .toBe(await fs.readFile(path.join(TEMPLATES_DIR, 'astro-app/src/lib/query.ts'), 'utf8'));
+    expect(await fs.pathExists(path.join(projectPath, 'src/pages/index.astro'))).toBe(false);
+  });
+
+  it('should keep manifest paths inside the project and only extend or include bundled templates', async () => {
+    const victim = path.join(tmpDir, 'victim');
+    await fs.outputFile(path.join(victim, 'keep.txt'), 'keep');
+    const projectPath = path.join(tmpDir, 'app');
+    const variables = { projectName: 'app', bit2Version: '3.0.0' };
+
+    const manifests = [
+      [{ extends: 'minimal', exclude: ['../victim'] }, 'points outside the project'],
+      [{ extends: 'minimal', files: ['../victim/keep.txt'], placeholders: { keep: 'gone' } }, 'points outside the project'],
+      [{ extends: 'minimal', include: { 'astro-app': ['../../victim/keep.txt'] } }, 'points outside the project'],
+      [{ extends: 'minimal', include: { '../..': ['package.json'] } }, 'unknown template "../.."'],
+      [{ extends: '../minimal' }, 'unknown template "../minimal"']
+    ];
+    for (const [manifest, message] of manifests) {
+      const templateDir = await fs.mkdtemp(path.join(tmpDir, 'template-'));
+      await fs.outputJson(path.join(templateDir, 'bit2.template.json'), manifest);
+      await expect(copyTemplate(templateDir, projectPath, variables)).rejects.toThrow(message);
+    }
+    expect(await fs.readFile(path.join(victim, 'keep.txt'), 'utf8')).toBe('keep');
+  });
+
+  it('should reject unknown templates and directories that are not projects', async () => {
+    await expect(fetchTemplate('nope')).rejects.toThrow('Unknown template: nope');
+    await expect(fetchTemplate(tmpDir)).rejects.toThrow('has no package.json');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { parseExpiration, recordTokenMetadata, tokenExpiry } from '../src/utils/tokens.js';
+
+describe('token lifecycle', () => {
+  let projectPath;
+
+  beforeEach(async () => {
+    projectPath = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-tokens-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(projectPath);
+  });
+
+  it('should parse Turso expiration durations', () => {
+    expect(parseExpiration()).toBeNull();
+    expect(parseExpiration('never')).toBeNull();
+    expect(parseExpiration('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(parseExpiration('1d12h')).toBe(36 * 60 * 60 * 1000);
+    expect(() => parseExpiration('30 days')).toThrow('Invalid token expiration: 30 days');
+  });
+
+  it('should report days left until the recorded expiry', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    expect(tokenExpiry({}, now)).toBeNull();
+    expect(tokenExpiry({ TOKEN_EXPIRES_AT: '2026-03-08T12:00:00Z' }, now)).toMatchObject({ expired: false, daysLeft: 7 });
+    expect(tokenExpiry({ TOKEN_EXPIRES_AT: '2026-03-01T18:00:00Z' }, now)).toMatchObject({ expired: false, daysLeft: 1 });
+    expect(tokenExpiry({ TOKEN_EXPIRES_AT: '2026-02-28T12:00:00Z' }, now).expired).toBe(true);
+  });
+
+  it('should only record token metadata for deployed projects', async () => {
+    const metadata = { TOKEN_EXPIRATION: 'never', TOKEN_EXPIRES_AT: undefined };
+    expect(await recordTokenMetadata(metadata, 'production', projectPath)).toBe(false);
+    expect(await fs.pathExists(path.join(projectPath, '.env.bit2'))).toBe(false);
+
+    await fs.writeFile(path.join(projectPath, '.env.bit2'), 'BIT2_PROVIDER=vercel\nBIT2_TOKEN_EXPIRES_AT=2026-01-01T00:00:00.000Z\n');
+    expect(await recordTokenMetadata(metadata, 'staging', projectPath)).toBe(false);
+    expect(await recordTokenMetadata(metadata, 'production', projectPath)).toBe(true);
+    expect(await fs.readFile(path.join(projectPath, '.env.bit2'), 'utf8')).toBe('BIT2_PROVIDER=vercel\nBIT2_TOKEN_EXPIRATION=never\n');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { runBatches, query } from '../src/utils/database.js';
+import { pullDatabase, planPush, pushDatabase, selectTables } from '../src/utils/transfer.js';
+
+const QUOTES_TABLE = 'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL)';
+
+async function createDatabase(dir, name, statements) {
+  const connection = { url: `file:${path.join(dir, name)}` };
+  await runBatches(connection, [{ name, statements: statements.map(sql => ({ sql })) }]);
+  return connection;
+}
+
+describe('db pull and push', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-transfer-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should pull every table in batches, replacing local tables', async () => {
+    const remote = await createDatabase(tempDir, 'remote.db', [
+      QUOTES_TABLE,
+      'CREATE INDEX idx_quotes_quote ON quotes(quote)',
+      ...Array.from({ length: 7 }, (_, i) => `INSERT INTO quotes (quote) VALUES ('remote ${i}')`)
+    ]);
+    const local = await createDatabase(tempDir, 'local.db', [
+      QUOTES_TABLE,
+      "INSERT INTO quotes (quote) VALUES ('local')",
+      'CREATE TABLE scratch (id INTEGER)'
+    ]);
+
+    const progress = [];
+    const tables = await pullDatabase(remote, local, {
+      batchSize: 3,
+      onProgress: (table, rows) => progress.push(rows)
+    });
+
+    expect(tables).toEqual(['quotes']);
+    expect(progress).toEqual([3, 6, 7]);
+    expect((await query(local, 'SELECT quote FROM quotes ORDER BY id')).map(row => row.quote)[0]).toBe('remote 0');
+    expect(await query(local, "SELECT name FROM sqlite_master WHERE name IN ('scratch', 'idx_quotes_quote')"))
+      .toEqual([expect.objectContaining({ name: 'idx_quotes_quote' })]);
+  });
+
+  it('should pull only the schema when asked', async () => {
+    const remote = await createDatabase(tempDir, 'remote.db', [QUOTES_TABLE, "INSERT INTO quotes (quote) VALUES ('a')"]);
+    const local = await createDatabase(tempDir, 'local.db', []);
+
+    await pullDatabase(remote, local, { tables: 'quotes', schemaOnly: true });
+    expect(await query(local, 'SELECT * FROM quotes')).toEqual([]);
+  });
+
+  it('should push rows, replacing existing primary keys or truncating first', async () => {
+    const local = await createDatabase(tempDir, 'local.db', [
+      'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL, draft INTEGER)',
+      "INSERT INTO quotes (id, quote) VALUES (1, 'new one'), (2, 'new two')"
+    ]);
+    const remote = await createDatabase(tempDir, 'remote.db', [
+      QUOTES_TABLE,
+      "INSERT INTO quotes (id, quote) VALUES (1, 'old one'), (5, 'old five')"
+    ]);
+
+    const plan = await planPush(local, remote);
+    expect(plan.tables.map(({ name, rows, skippedColumns }) => ({ name, rows, skippedColumns })))
+      .toEqual([{ name: 'quotes', rows: 2, skippedColumns: ['draft'] }]);
+
+    await pushDatabase(local, remote, plan);
+    expect((await query(remote, 'SELECT quote FROM quotes ORDER BY id')).map(row => row.quote))
+      .toEqual(['new one', 'new two', 'old five']);
+
+    await pushDatabase(local, remote, plan, { truncate: true });
+    expect((await query(remote, 'SELECT quote FROM quotes ORDER BY id')).map(row => row.quote))
+      .toEqual(['new one', 'new two']);
+  });
+
+  it('should rebuild full-text indexes instead of copying them', async () => {
+    const schema = [
+      QUOTES_TABLE,
+      "CREATE VIRTUAL TABLE quotes_fts USING fts5(quote, content='quotes', content_rowid='id')",
+      'CREATE TRIGGER quotes_fts_ai AFTER INSERT ON quotes BEGIN INSERT INTO quotes_fts(rowid, quote) VALUES (new.id, new.quote); END',
+      "CREATE TRIGGER quotes_fts_ad AFTER DELETE ON quotes BEGIN INSERT INTO quotes_fts(quotes_fts, rowid, quote) VALUES ('delete', old.id, old.quote); END"
+    ];
+    const remote = await createDatabase(tempDir, 'remote.db', [...schema, "INSERT INTO quotes (quote) VALUES ('remote wisdom')"]);
+    const local = await createDatabase(tempDir, 'local.db', schema);
+    const matches = async (connection, term) =>
+      (await query(connection, 'SELECT rowid FROM quotes_fts WHERE quotes_fts MATCH ?', [term])).length;
+
+    await pullDatabase(remote, local);
+    expect(await matches(local, 'wisdom')).toBe(1);
+
+    await runBatches(local, [{ name: 'edit', statements: [{ sql: "INSERT INTO quotes (id, quote) VALUES (1, 'local courage') ON CONFLICT(id) DO UPDATE SET quote = excluded.quote" }] }]);
+    const plan = await planPush(local, remote);
+    expect(plan.tables.map(table => table.name)).toEqual(['quotes']);
+
+    await pushDatabase(local, remote, plan);
+    expect(await matches(remote, 'wisdom')).toBe(0);
+    expect(await matches(remote, 'courage')).toBe(1);
+  });
+
+  it('should reject unknown tables', () => {
+    const schema = { tables: { quotes: {} }, indexes: {}, triggers: {} };
+    expect(selectTables(schema, 'quotes, ')).toEqual(['quotes']);
+    expect(() => selectTables(schema, 'quotes,users')).toThrow('Unknown table(s): users');
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { runBatches } from '../src/utils/database.js';
+import { generateTypes, writeTypesFile } from '../src/utils/typegen.js';
+
+describe('database type generation', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bit2-types-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tempDir);
+  });
+
+  it('should generate row, insert and table name types', () => {
+    const source = generateTypes({
+      tables: {
+        categories: {
+          columns: [
+            { name: 'id', type: 'INTEGER', notnull: false, defaultValue: null, pk: 1 },
+            { name: 'name', type: 'VARCHAR(40)', notnull: true, defaultValue: null, pk: 0 },
+            { name: 'weight', type: 'REAL', notnull: true, defaultValue: '1.0', pk: 0 },
+            { name: 'icon', type: 'BLOB', notnull: false, defaultValue: null, pk: 0 },
+            { name: 'created_at', type: 'DATETIME', notnull: false, defaultValue: 'CURRENT_TIMESTAMP', pk: 0 }
+          ]
+        },
+        quote_tags: {
+          columns: [
+            { name: 'quote_id', type: 'INTEGER', notnull: true, defaultValue: null, pk: 1 },
+            { name: 'tag', type: 'TEXT', notnull: true, defaultValue: null, pk: 2 }
+          ]
+        }
+      },
+      indexes: {},
+      triggers: {}
+    });
+
+    expect(source).toContain(`export interface Category {
+  id: number;
+  name: string;
+  weight: number;
+  icon: ArrayBuffer | null;
+  created_at: string | null;
+}`);
+    expect(source).toContain(`export interface CategoryInsert {
+  id?: number;
+  name: string;
+  weight?: number;
+  icon?: ArrayBuffer | null;
+  created_at?: string | null;
+}`);
+    expect(source).toContain('export interface QuoteTagInsert {\n  quote_id: number;\n  tag: string;\n}');
+    expect(source).toContain("export type TableName = 'categories' | 'quote_tags';");
+    expect(source).toContain('  categories: { row: Category; insert: CategoryInsert };');
+  });
+
+  it('should only rewrite the types file when the schema changed', async () => {
+    const connection = { url: `file:${path.join(tempDir, 'dev.db')}` };
+    const file = path.join(tempDir, 'src/db/types.generated.ts');
+    await runBatches(connection, [{ name: 'schema', statements: [{ sql: 'CREATE TABLE quotes (id INTEGER PRIMARY KEY, quote TEXT NOT NULL)' }] }]);
+
+    expect((await writeTypesFile(connection, file)).changed).toBe(true);
+    expect((await writeTypesFile(connection, file)).changed).toBe(false);
+
+    await runBatches(connection, [{ name: 'change', statements: [{ sql: 'ALTER TABLE quotes ADD COLUMN author TEXT' }] }]);
+    expect((await writeTypesFile(connection, file)).changed).toBe(true);
+    expect(await fs.readFile(file, 'utf8')).toContain('author: string | null;');
+  });
+});